@@ -0,0 +1,127 @@
+import * as THREE from "three";
+import { scene } from "./scene.js";
+import { getSessionPeers } from "../core/session.js";
+import { sessionSettings } from "../core/settings.js";
+
+/**
+ * Session avatars
+ * A small marker at each other participant's camera in a shared session: a
+ * head with a cone pointing where they are looking and their name above it.
+ * Poses arrive a few times a second, so markers ease towards the latest one.
+ */
+
+const HEAD_RADIUS = 0.15;
+const NOSE_LENGTH = 0.25;
+const LABEL_HEIGHT = 0.3; // Above the head
+const SMOOTHING = 10; // 1/s; higher follows poses more tightly
+
+const avatarGroup = new THREE.Group();
+avatarGroup.name = "SessionAvatars";
+let avatarsAdded = false;
+const avatars = new Map(); // peer id -> THREE.Group
+
+const targetPosition = new THREE.Vector3();
+const targetQuaternion = new THREE.Quaternion();
+const targetEuler = new THREE.Euler();
+
+// Stable, well-separated hue per participant
+function colorForId(id) {
+  let hash = 0;
+  for (const char of id) hash = (hash * 31 + char.charCodeAt(0)) >>> 0;
+  return new THREE.Color().setHSL((hash % 360) / 360, 0.7, 0.55);
+}
+
+function createLabel(text) {
+  const canvas = document.createElement("canvas");
+  canvas.width = 256;
+  canvas.height = 64;
+  const ctx = canvas.getContext("2d");
+  ctx.font = "bold 36px sans-serif";
+  ctx.textAlign = "center";
+  ctx.textBaseline = "middle";
+  ctx.fillStyle = "#ffffff";
+  ctx.fillText(text, canvas.width / 2, canvas.height / 2);
+
+  const texture = new THREE.CanvasTexture(canvas);
+  texture.colorSpace = THREE.SRGBColorSpace;
+  const sprite = new THREE.Sprite(new THREE.SpriteMaterial({ map: texture, depthTest: false, transparent: true, toneMapped: false }));
+  sprite.scale.set(0.8, 0.2, 1);
+  sprite.position.y = LABEL_HEIGHT;
+  return sprite;
+}
+
+function createAvatar(peer) {
+  const material = new THREE.MeshBasicMaterial({ color: colorForId(peer.id), toneMapped: false });
+  // The head turns with the camera; the name stays upright above it
+  const avatar = new THREE.Group();
+  const head = new THREE.Group();
+  avatar.add(head);
+
+  const sphere = new THREE.Mesh(new THREE.SphereGeometry(HEAD_RADIUS, 16, 12), material);
+  // Cameras look down -Z
+  const nose = new THREE.Mesh(new THREE.ConeGeometry(HEAD_RADIUS * 0.5, NOSE_LENGTH, 12), material);
+  nose.rotation.x = -Math.PI / 2;
+  nose.position.z = -(HEAD_RADIUS + NOSE_LENGTH / 2);
+  head.add(sphere, nose);
+
+  avatar.add(createLabel(peer.host ? `${peer.name} (host)` : peer.name));
+  avatar.userData.head = head;
+  avatar.userData.placed = false;
+  return avatar;
+}
+
+function disposeAvatar(avatar) {
+  avatar.traverse((child) => {
+    if (child.geometry) child.geometry.dispose();
+    if (child.material) {
+      if (child.material.map) child.material.map.dispose();
+      child.material.dispose();
+    }
+  });
+  avatarGroup.remove(avatar);
+}
+
+/**
+ * Match the markers to the session's participants - call once per frame
+ */
+export function updateAvatars(deltaTime) {
+  if (!avatarsAdded) {
+    scene.add(avatarGroup);
+    avatarsAdded = true;
+  }
+  avatarGroup.visible = sessionSettings.showAvatars;
+
+  const peers = getSessionPeers();
+  avatars.forEach((avatar, id) => {
+    if (!peers.some((peer) => peer.id === id)) {
+      disposeAvatar(avatar);
+      avatars.delete(id);
+    }
+  });
+
+  const blend = 1 - Math.exp(-SMOOTHING * Math.max(0, deltaTime));
+  peers.forEach((peer) => {
+    let avatar = avatars.get(peer.id);
+    if (!avatar) {
+      avatar = createAvatar(peer);
+      avatars.set(peer.id, avatar);
+      avatarGroup.add(avatar);
+    }
+    avatar.visible = Boolean(peer.pose);
+    if (!peer.pose) return;
+
+    const [x, y, z, rx, ry, rz] = peer.pose;
+    targetPosition.set(x, y, z);
+    targetQuaternion.setFromEuler(targetEuler.set(rx, ry, rz));
+    const head = avatar.userData.head;
+    // The first pose is taken as is rather than eased in from the origin
+    if (avatar.userData.placed) {
+      avatar.position.lerp(targetPosition, blend);
+      head.quaternion.slerp(targetQuaternion, blend);
+    } else {
+      avatar.position.copy(targetPosition);
+      head.quaternion.copy(targetQuaternion);
+      avatar.userData.placed = true;
+    }
+  });
+}
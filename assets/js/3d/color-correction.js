@@ -0,0 +1,72 @@
+import * as THREE from "three";
+import { screenUniforms } from "./screen-shader.js";
+import {
+  colorCorrectionSettings,
+  getMediaColorCorrection,
+  saveMediaColorCorrection,
+} from "../core/settings.js";
+
+/**
+ * Color correction
+ * Brightness, contrast, gamma, saturation, hue shift and black-level lift for
+ * the screen source, applied in the screen shader so images, videos, streams
+ * and shaders all go through the same path. Each media item keeps its own
+ * values, restored when it comes back on screen.
+ */
+
+let mediaKey = null;
+let current = { ...colorCorrectionSettings };
+const changeListeners = [];
+
+function isNeutral(values) {
+  return Object.keys(colorCorrectionSettings).every((name) => values[name] === colorCorrectionSettings[name]);
+}
+
+function updateUniforms() {
+  screenUniforms.colorCorrection.value = !isNeutral(current);
+  screenUniforms.colorBrightness.value = current.brightness;
+  screenUniforms.colorContrast.value = current.contrast;
+  screenUniforms.colorGamma.value = current.gamma;
+  screenUniforms.colorSaturation.value = current.saturation;
+  screenUniforms.colorHue.value = THREE.MathUtils.degToRad(current.hue);
+  screenUniforms.colorLift.value = current.lift;
+}
+
+function notifyChange() {
+  changeListeners.forEach((listener) => listener(getColorCorrection()));
+}
+
+export function getColorCorrection() {
+  return { ...current };
+}
+
+/**
+ * Subscribe to color correction changes (including media switches)
+ */
+export function onColorCorrectionChange(callback) {
+  changeListeners.push(callback);
+}
+
+/**
+ * Change some or all values and remember them for the current media item
+ */
+export function setColorCorrection(values) {
+  Object.assign(current, values);
+  updateUniforms();
+  if (mediaKey) saveMediaColorCorrection(mediaKey, current);
+}
+
+export function resetColorCorrection() {
+  setColorCorrection(colorCorrectionSettings);
+  notifyChange();
+}
+
+/**
+ * Switch to the values saved for a media item (neutral when it has none)
+ */
+export function applyMediaColorCorrection(key) {
+  mediaKey = key;
+  current = { ...colorCorrectionSettings, ...getMediaColorCorrection(key) };
+  updateUniforms();
+  notifyChange();
+}
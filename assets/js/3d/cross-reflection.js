@@ -0,0 +1,159 @@
+import * as THREE from "three";
+import { scene, renderer } from "./scene.js";
+import { screenUniforms } from "./screen-shader.js";
+import { getScreenObject } from "./texture.js";
+import { crossReflectionSettings } from "../core/settings.js";
+
+/**
+ * Cross-reflection
+ * Approximates light bouncing across the dome: bright content on one side
+ * lifts the whole screen and costs contrast everywhere else.
+ *
+ * Inside a diffuse sphere every point receives the same irradiance from the
+ * rest of the surface, so the bounce is a uniform added luminance:
+ *   L = reflectivity * S / 4π, with S = ∫ L dΩ over the screen seen from the centre
+ * and further bounces sum to L / (1 - reflectivity * Ω / 4π), where Ω is the
+ * solid angle the screen covers (2π for a hemisphere). A tiny cube map
+ * rendered from the dome centre supplies S and Ω, so the projection, grading
+ * and the dome's real shape are all taken into account.
+ */
+
+const CUBE_SIZE = 16; // Texels per cube face; only the average is needed
+const UPDATE_INTERVAL = 200; // ms between captures
+const SMOOTHING = 0.5; // Blend factor towards each new measurement, hides flicker in fast cuts
+const CROSS_REFLECTION_LAYER = 2; // Only the screen meshes are drawn in the capture
+
+let cubeCamera = null;
+let cubeTarget = null;
+let readBuffer = null;
+let texelSolidAngles = null;
+let lastUpdate = 0;
+let capturing = false;
+let addedLevel = 0;
+const added = new THREE.Color(0, 0, 0);
+const measured = new THREE.Color();
+const clearColor = new THREE.Color();
+
+function createCapture() {
+  const floatReadable = renderer.extensions.has("EXT_color_buffer_float");
+  cubeTarget = new THREE.WebGLCubeRenderTarget(CUBE_SIZE, {
+    type: floatReadable ? THREE.FloatType : THREE.UnsignedByteType,
+    generateMipmaps: false,
+  });
+  readBuffer = floatReadable ? new Float32Array(CUBE_SIZE * CUBE_SIZE * 4) : new Uint8Array(CUBE_SIZE * CUBE_SIZE * 4);
+
+  cubeCamera = new THREE.CubeCamera(0.01, 1000, cubeTarget);
+  cubeCamera.children.forEach((camera) => camera.layers.set(CROSS_REFLECTION_LAYER));
+
+  // Solid angle of each texel on a cube face: (2 / N)^2 / (1 + u^2 + v^2)^(3/2)
+  texelSolidAngles = new Float32Array(CUBE_SIZE * CUBE_SIZE);
+  const texelArea = (2 / CUBE_SIZE) ** 2;
+  for (let y = 0; y < CUBE_SIZE; y++) {
+    for (let x = 0; x < CUBE_SIZE; x++) {
+      const u = (2 * (x + 0.5)) / CUBE_SIZE - 1;
+      const v = (2 * (y + 0.5)) / CUBE_SIZE - 1;
+      texelSolidAngles[y * CUBE_SIZE + x] = texelArea / Math.pow(1 + u * u + v * v, 1.5);
+    }
+  }
+}
+
+// Render the screen from the dome centre without the bounce itself or overlays
+async function capture(screenObject) {
+  if (!cubeCamera) createCapture();
+  screenObject.traverse((child) => {
+    if (child.isMesh) child.layers.enable(CROSS_REFLECTION_LAYER);
+  });
+
+  // Clear to transparent so texels that miss the screen can be told apart
+  const background = scene.background;
+  const clearAlpha = renderer.getClearAlpha();
+  renderer.getClearColor(clearColor);
+  const guideVisible = screenUniforms.guideVisible.value;
+  const pixelDensityView = screenUniforms.pixelDensityView.value;
+  scene.background = null;
+  renderer.setClearColor(0x000000, 0);
+  screenUniforms.guideVisible.value = false;
+  screenUniforms.pixelDensityView.value = false;
+  screenUniforms.crossReflectionColor.value.setRGB(0, 0, 0);
+
+  cubeCamera.position.copy(screenUniforms.domeCenter.value);
+  cubeCamera.updateMatrixWorld();
+  cubeCamera.update(renderer, scene);
+
+  scene.background = background;
+  renderer.setClearColor(clearColor, clearAlpha);
+  screenUniforms.guideVisible.value = guideVisible;
+  screenUniforms.pixelDensityView.value = pixelDensityView;
+  screenUniforms.crossReflectionColor.value.copy(added);
+
+  const scale = readBuffer instanceof Uint8Array ? 1 / 255 : 1;
+  let r = 0;
+  let g = 0;
+  let b = 0;
+  let solidAngle = 0;
+  for (let face = 0; face < 6; face++) {
+    await renderer.readRenderTargetPixelsAsync(cubeTarget, 0, 0, CUBE_SIZE, CUBE_SIZE, readBuffer, face);
+    for (let i = 0; i < texelSolidAngles.length; i++) {
+      // The screen is opaque; anything else was cleared to transparent
+      if (readBuffer[i * 4 + 3] * scale < 0.5) continue;
+      const weight = texelSolidAngles[i];
+      r += readBuffer[i * 4] * scale * weight;
+      g += readBuffer[i * 4 + 1] * scale * weight;
+      b += readBuffer[i * 4 + 2] * scale * weight;
+      solidAngle += weight;
+    }
+  }
+
+  const reflectivity = crossReflectionSettings.reflectivity;
+  const bounce = reflectivity / (4 * Math.PI);
+  const interreflection = 1 / Math.max(1e-3, 1 - bounce * solidAngle);
+  measured.setRGB(r * bounce * interreflection, g * bounce * interreflection, b * bounce * interreflection);
+  return measured;
+}
+
+/**
+ * Added luminance as a fraction of white - the black level the bounce creates
+ */
+export function getCrossReflectionLevel() {
+  return addedLevel;
+}
+
+/**
+ * Turn the simulation on or off, or change the screen reflectivity (0-1)
+ */
+export function setCrossReflectionSettings(values) {
+  Object.assign(crossReflectionSettings, values);
+  if (!crossReflectionSettings.enabled) {
+    added.setRGB(0, 0, 0);
+    addedLevel = 0;
+    screenUniforms.crossReflectionColor.value.copy(added);
+  }
+  lastUpdate = 0;
+}
+
+/**
+ * Re-measure the bounce from the current screen content - call once per frame
+ */
+export function updateCrossReflection(currentTime) {
+  if (!crossReflectionSettings.enabled || capturing) return;
+  if (currentTime - lastUpdate < UPDATE_INTERVAL) return;
+  const screenObject = getScreenObject();
+  if (!screenObject) return;
+  lastUpdate = currentTime;
+
+  capturing = true;
+  capture(screenObject)
+    .then((color) => {
+      if (!crossReflectionSettings.enabled) return;
+      added.lerp(color, SMOOTHING);
+      addedLevel = added.r * 0.2126 + added.g * 0.7152 + added.b * 0.0722;
+      screenUniforms.crossReflectionColor.value.copy(added);
+    })
+    .catch((error) => {
+      console.warn("Cross-reflection capture failed:", error);
+      crossReflectionSettings.enabled = false;
+    })
+    .finally(() => {
+      capturing = false;
+    });
+}
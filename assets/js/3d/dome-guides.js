@@ -0,0 +1,136 @@
+import * as THREE from "three";
+import { scene } from "./scene.js";
+import { screenUniforms, getDomeRadius } from "./screen-shader.js";
+import { guideSettings } from "../core/settings.js";
+
+/**
+ * Dome guides
+ * Altitude circles, azimuth spokes, spring line, zenith cross and a front
+ * marker drawn over the screen content in dome space. The lines are part of
+ * the screen shader; this module drives its uniforms and places the degree
+ * labels as sprites just inside the dome surface.
+ * Azimuth is in degrees clockwise from the front (positive = right), altitude
+ * in degrees above the spring line, as in speaker layouts.
+ */
+
+const LABEL_INSET = 0.97; // Fraction of the dome radius, keeps labels in front of the screen
+const LABEL_SCALE = 0.05; // Label height as a fraction of the dome radius
+const ALTITUDE_LABEL_AZIMUTH = 3; // Altitude labels sit just right of the front spoke
+const AZIMUTH_LABEL_ALTITUDE = 3; // Azimuth labels sit just above the spring line
+
+const labelGroup = new THREE.Group();
+labelGroup.name = "DomeGuideLabels";
+labelGroup.visible = false;
+let labelsAdded = false;
+
+const domeDirection = new THREE.Vector3();
+const basisTranspose = new THREE.Matrix3();
+
+function createLabel(text) {
+  const canvas = document.createElement("canvas");
+  canvas.width = 128;
+  canvas.height = 64;
+  const ctx = canvas.getContext("2d");
+  ctx.font = "bold 40px sans-serif";
+  ctx.textAlign = "center";
+  ctx.textBaseline = "middle";
+  ctx.fillStyle = guideSettings.color;
+  ctx.fillText(text, canvas.width / 2, canvas.height / 2);
+
+  const texture = new THREE.CanvasTexture(canvas);
+  texture.colorSpace = THREE.SRGBColorSpace;
+  return new THREE.Sprite(
+    new THREE.SpriteMaterial({
+      map: texture,
+      transparent: true,
+      opacity: guideSettings.opacity,
+      toneMapped: false,
+    })
+  );
+}
+
+function disposeLabels() {
+  labelGroup.children.forEach((label) => {
+    label.material.map.dispose();
+    label.material.dispose();
+  });
+  labelGroup.clear();
+}
+
+function addLabel(text, azimuth, elevation) {
+  const label = createLabel(text);
+  label.userData.azimuth = azimuth;
+  label.userData.elevation = elevation;
+  labelGroup.add(label);
+}
+
+function rebuildLabels() {
+  disposeLabels();
+
+  if (guideSettings.altitudeLabels) {
+    for (let altitude = guideSettings.altitudeSpacing; altitude < 90; altitude += guideSettings.altitudeSpacing) {
+      addLabel(`${altitude}°`, ALTITUDE_LABEL_AZIMUTH, altitude);
+    }
+  }
+
+  if (guideSettings.azimuthLabels) {
+    for (let azimuth = -180 + guideSettings.azimuthSpacing; azimuth <= 180; azimuth += guideSettings.azimuthSpacing) {
+      addLabel(azimuth === 0 ? "FRONT" : `${azimuth}°`, azimuth, AZIMUTH_LABEL_ALTITUDE);
+    }
+  }
+}
+
+/**
+ * Push guideSettings to the screen shader and rebuild the labels
+ * Call after changing any guide setting
+ */
+export function applyGuideSettings() {
+  screenUniforms.guideVisible.value = guideSettings.visible;
+  screenUniforms.guideColor.value.set(guideSettings.color);
+  screenUniforms.guideOpacity.value = guideSettings.opacity;
+  screenUniforms.guideAltitudeStep.value = THREE.MathUtils.degToRad(guideSettings.altitudeSpacing);
+  screenUniforms.guideAzimuthStep.value = THREE.MathUtils.degToRad(guideSettings.azimuthSpacing);
+  screenUniforms.guideLineWidth.value = guideSettings.lineWidth;
+  screenUniforms.guideSpringLine.value = guideSettings.springLine;
+  screenUniforms.guideZenithCross.value = guideSettings.zenithCross;
+  screenUniforms.guideFrontMarker.value = guideSettings.frontMarker;
+
+  if (!labelsAdded) {
+    scene.add(labelGroup);
+    labelsAdded = true;
+  }
+  rebuildLabels();
+  labelGroup.visible = guideSettings.visible && labelGroup.children.length > 0;
+}
+
+/**
+ * Update guide settings (see guideSettings) and apply them
+ */
+export function setGuideSettings(values) {
+  Object.assign(guideSettings, values);
+  applyGuideSettings();
+}
+
+/**
+ * Keep the labels on the dome - call once per frame
+ * The dome frame is only known once the venue model has loaded
+ */
+export function updateDomeGuides() {
+  if (!labelGroup.visible) return;
+
+  const radius = getDomeRadius();
+  const scale = radius * LABEL_SCALE * guideSettings.labelSize;
+  basisTranspose.copy(screenUniforms.domeBasis.value).transpose();
+
+  labelGroup.children.forEach((label) => {
+    const azimuth = THREE.MathUtils.degToRad(label.userData.azimuth);
+    const elevation = THREE.MathUtils.degToRad(label.userData.elevation);
+
+    // Dome space: x = right, y = zenith, z = front
+    domeDirection
+      .set(Math.sin(azimuth) * Math.cos(elevation), Math.sin(elevation), Math.cos(azimuth) * Math.cos(elevation))
+      .applyMatrix3(basisTranspose);
+    label.position.copy(screenUniforms.domeCenter.value).addScaledVector(domeDirection, radius * LABEL_INSET);
+    label.scale.set(scale * 2, scale, 1);
+  });
+}
@@ -0,0 +1,279 @@
+import * as THREE from "three";
+
+/**
+ * Image sequence playback
+ * Plays a numbered set of frames as a texture. The player mimics the parts of
+ * HTMLVideoElement the GUI uses (play/pause, currentTime, duration, loop and
+ * play/pause/ended events) so the existing video controls drive it unchanged.
+ */
+
+const PRELOAD_AHEAD = 24; // Frames decoded ahead of the playhead
+const KEEP_BEHIND = 4; // Decoded frames kept behind the playhead
+const MAX_IN_FLIGHT = 4; // Concurrent decode requests sent to the worker
+
+// Frame number = last run of digits in the filename ("shot_0042.png" -> 42)
+function getFrameNumber(filename) {
+  const match = filename.match(/(\d+)(?!.*\d)/);
+  return match ? parseInt(match[1], 10) : NaN;
+}
+
+/**
+ * Sort frames by frame number, falling back to a natural filename sort
+ */
+export function sortFramesByNumber(files) {
+  return [...files].sort((a, b) => {
+    const frameA = getFrameNumber(a.name);
+    const frameB = getFrameNumber(b.name);
+    if (!Number.isNaN(frameA) && !Number.isNaN(frameB) && frameA !== frameB) {
+      return frameA - frameB;
+    }
+    return a.name.localeCompare(b.name, undefined, { numeric: true });
+  });
+}
+
+/**
+ * Collect image files from a drop, descending into dropped folders
+ * Entries must be taken from the DataTransfer synchronously, before any await
+ */
+export async function getDroppedImageFiles(dataTransfer) {
+  const entries = Array.from(dataTransfer.items || [])
+    .map((item) => (item.webkitGetAsEntry ? item.webkitGetAsEntry() : null))
+    .filter(Boolean);
+
+  if (!entries.some((entry) => entry.isDirectory)) {
+    return Array.from(dataTransfer.files).filter((file) => file.type.startsWith("image/"));
+  }
+
+  const files = [];
+  const readEntry = async (entry) => {
+    if (entry.isFile) {
+      const file = await new Promise((resolve, reject) => entry.file(resolve, reject));
+      if (file.type.startsWith("image/")) files.push(file);
+    } else if (entry.isDirectory) {
+      const reader = entry.createReader();
+      // readEntries returns results in batches until it yields an empty array
+      let batch;
+      do {
+        batch = await new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+        for (const child of batch) {
+          await readEntry(child);
+        }
+      } while (batch.length > 0);
+    }
+  };
+
+  for (const entry of entries) {
+    await readEntry(entry);
+  }
+  return files;
+}
+
+export class ImageSequencePlayer extends EventTarget {
+  constructor(files, frameRate = 24) {
+    super();
+    this.isImageSequence = true;
+    this.files = sortFramesByNumber(files);
+    this._frameRate = frameRate;
+    this.loop = true;
+    this.paused = true;
+    this.volume = 0; // No audio - kept so the volume control has something to read
+    this.muted = true;
+
+    this.texture = new THREE.Texture();
+    this.frames = new Map(); // index -> ImageBitmap
+    this.pending = new Set();
+    this.failed = new Set(); // Frames that could not be decoded; never requested again
+    this.frameIndex = 0;
+    this.shownIndex = -1;
+    this.playStartTime = 0;
+    this.playStartFrame = 0;
+    this.animationFrameId = null;
+
+    this.worker = new Worker(new URL("../workers/frame-decoder.js", import.meta.url), { type: "module" });
+    this.worker.addEventListener("message", (e) => this.onFrameDecoded(e.data));
+
+    this.tick = this.tick.bind(this);
+  }
+
+  get frameRate() {
+    return this._frameRate;
+  }
+
+  set frameRate(fps) {
+    this._frameRate = fps;
+    // Keep the current frame and restart the clock at the new rate
+    this.playStartTime = performance.now();
+    this.playStartFrame = this.frameIndex;
+  }
+
+  get frameCount() {
+    return this.files.length;
+  }
+
+  get duration() {
+    return this.frameCount / this.frameRate;
+  }
+
+  get currentTime() {
+    return this.frameIndex / this.frameRate;
+  }
+
+  set currentTime(time) {
+    const frame = Math.floor(time * this.frameRate + 1e-6);
+    this.seekToFrame(frame);
+    this.dispatchEvent(new Event("seeked"));
+  }
+
+  /**
+   * Resolves once the first frame has been decoded and is on the texture
+   */
+  load() {
+    return new Promise((resolve, reject) => {
+      this.onFirstFrame = resolve;
+      this.onFirstFrameError = reject;
+      this.requestFrames();
+    });
+  }
+
+  play() {
+    if (!this.paused) return Promise.resolve();
+    if (this.frameIndex >= this.frameCount - 1 && !this.loop) {
+      this.frameIndex = 0;
+    }
+    this.paused = false;
+    this.playStartTime = performance.now();
+    this.playStartFrame = this.frameIndex;
+    this.animationFrameId = requestAnimationFrame(this.tick);
+    this.dispatchEvent(new Event("play"));
+    return Promise.resolve();
+  }
+
+  pause() {
+    if (this.paused) return;
+    this.paused = true;
+    if (this.animationFrameId) {
+      cancelAnimationFrame(this.animationFrameId);
+      this.animationFrameId = null;
+    }
+    this.dispatchEvent(new Event("pause"));
+  }
+
+  seekToFrame(frame) {
+    this.frameIndex = THREE.MathUtils.clamp(frame, 0, this.frameCount - 1);
+    // Restart the playback clock from the new position
+    this.playStartTime = performance.now();
+    this.playStartFrame = this.frameIndex;
+    this.requestFrames();
+    this.showFrame(this.frameIndex);
+  }
+
+  tick(now) {
+    if (this.paused) return;
+    this.animationFrameId = requestAnimationFrame(this.tick);
+
+    let frame = this.playStartFrame + Math.floor(((now - this.playStartTime) / 1000) * this.frameRate);
+    if (frame >= this.frameCount) {
+      if (this.loop) {
+        frame %= this.frameCount;
+        this.playStartTime = now;
+        this.playStartFrame = frame;
+      } else {
+        this.frameIndex = this.frameCount - 1;
+        this.showFrame(this.frameIndex);
+        this.pause();
+        this.dispatchEvent(new Event("ended"));
+        return;
+      }
+    }
+
+    if (frame !== this.frameIndex) {
+      this.frameIndex = frame;
+      this.requestFrames();
+      this.showFrame(frame);
+      this.dispatchEvent(new Event("timeupdate"));
+    }
+  }
+
+  // Show the frame if decoded, otherwise hold the last frame until it arrives (or for good, if it failed)
+  showFrame(index) {
+    const bitmap = this.frames.get(index);
+    if (!bitmap || index === this.shownIndex) return;
+    this.texture.image = bitmap;
+    this.texture.needsUpdate = true;
+    this.shownIndex = index;
+  }
+
+  // Queue decodes for the window ahead of the playhead and release frames behind it
+  requestFrames() {
+    const first = this.frameIndex;
+    for (let offset = 0; offset < PRELOAD_AHEAD && this.pending.size < MAX_IN_FLIGHT; offset++) {
+      let index = first + offset;
+      if (index >= this.frameCount) {
+        if (!this.loop) break;
+        index %= this.frameCount;
+      }
+      if (this.frames.has(index) || this.pending.has(index) || this.failed.has(index)) continue;
+      this.pending.add(index);
+      this.worker.postMessage({ index, file: this.files[index] });
+    }
+
+    for (const [index, bitmap] of this.frames) {
+      if (!this.isInWindow(index) && index !== this.shownIndex) {
+        bitmap.close();
+        this.frames.delete(index);
+      }
+    }
+  }
+
+  isInWindow(index) {
+    const ahead = (index - this.frameIndex + this.frameCount) % this.frameCount;
+    const behind = (this.frameIndex - index + this.frameCount) % this.frameCount;
+    return ahead < PRELOAD_AHEAD || behind <= KEEP_BEHIND;
+  }
+
+  onFrameDecoded({ index, bitmap, error }) {
+    this.pending.delete(index);
+
+    if (error) {
+      this.failed.add(index);
+      console.warn(`Could not decode frame ${this.files[index]?.name}:`, error);
+      if (this.onFirstFrameError && this.shownIndex === -1) {
+        this.onFirstFrameError(new Error(error));
+        this.onFirstFrameError = null;
+      }
+      // Failed frames are skipped, so the rest of the window can be refilled
+      if (this.worker) this.requestFrames();
+      return;
+    }
+
+    if (this.worker === null || !this.isInWindow(index)) {
+      bitmap.close();
+    } else {
+      this.frames.set(index, bitmap);
+      if (index === this.frameIndex) {
+        this.showFrame(index);
+      }
+      if (this.onFirstFrame && this.shownIndex !== -1) {
+        this.onFirstFrame(this);
+        this.onFirstFrame = null;
+      }
+    }
+
+    if (this.worker) {
+      this.requestFrames();
+    }
+  }
+
+  dispose() {
+    this.pause();
+    if (this.worker) {
+      this.worker.terminate();
+      this.worker = null;
+    }
+    this.frames.forEach((bitmap) => bitmap.close());
+    this.frames.clear();
+    this.pending.clear();
+    this.failed.clear();
+    this.texture.dispose();
+  }
+}
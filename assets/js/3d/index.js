@@ -34,14 +34,131 @@ export {
   getCurrentVideoTexture,
   getCurrentVideo,
   getCurrentImageTexture,
+  getCurrentMediaKey,
+  getCurrentMediaFile,
+  onMediaChange,
+  getVideoFrameStats,
   loadDefaultScreenTexture,
   loadImage,
+  loadImageFromURL,
+  loadHDRImage,
+  isHDRFile,
+  loadKTX2Image,
   loadVideo,
+  loadCubemapFaces,
+  loadImageSequence,
+  loadShaderSource,
+  getShaderSource,
   connectWebcam,
   disconnectWebcam,
+  connectScreenCapture,
+  disconnectScreenCapture,
+  disconnectMediaStream,
   setupDragAndDrop
 } from "./texture.js";
 
+// Pixel density exports
+export { setPixelDensitySettings, getPixelDensityLegend, getSourcePixelDensity } from "./pixel-density.js";
+
+// Motion comfort exports
+export {
+  startMotionAnalysis,
+  stopMotionAnalysis,
+  getMotionAnalysis,
+  onMotionAnalysisChange,
+  setMotionComfortSettings,
+  getMotionReport
+} from "./motion-comfort.js";
+
+// Large texture exports
+export {
+  getMaxTextureSize,
+  planTiles,
+  createTiledTexture,
+  checkDataTextureSize,
+  getTextureWarning,
+  onTextureWarning,
+  clearTextureWarning,
+  isKTX2File,
+  loadKTX2Texture
+} from "./large-texture.js";
+
+// Video decoding exports
+export { FrameCallbackTexture } from "./video-frames.js";
+export { WebCodecsVideoPlayer, isWebCodecsSupported } from "./webcodecs-video.js";
+export { demuxVideoFile, isDemuxableVideo } from "./video-demuxer.js";
+
+// Screen shader exports
+export {
+  PROJECTION_TYPES,
+  CUBEMAP_LAYOUTS,
+  screenUniforms,
+  patchScreenMaterial,
+  updateDomeFrame,
+  setDomeSettings,
+  setContentRotation,
+  setCubemapLayout,
+  setProjectionType,
+  setScreenExposure,
+  setScreenToneMapping,
+  setScreenMapLayout,
+  TONE_MAPPING_TYPES,
+  PROJECTOR_VIEWS,
+  MAX_PROJECTORS,
+  PIXEL_DENSITY_STOPS
+} from "./screen-shader.js";
+
+// Color correction exports
+export {
+  getColorCorrection,
+  onColorCorrectionChange,
+  setColorCorrection,
+  resetColorCorrection,
+  applyMediaColorCorrection
+} from "./color-correction.js";
+
+// 3D LUT exports
+export { MAX_LUT_SIZE, isLUTFile, getLUT, onLUTChange, loadLUT, clearLUT, setLUTEnabled, setLUTIntensity } from "./lut.js";
+
+// Projector rig exports
+export {
+  DEFAULT_RIG,
+  getProjectorRig,
+  onProjectorRigChange,
+  loadProjectorRig,
+  resetProjectorRig,
+  setProjectorSettings,
+  updateProjectorRig
+} from "./projector-rig.js";
+
+// Cross-reflection exports
+export { getCrossReflectionLevel, setCrossReflectionSettings, updateCrossReflection } from "./cross-reflection.js";
+
+// Dome guide overlay exports
+export { applyGuideSettings, setGuideSettings, updateDomeGuides } from "./dome-guides.js";
+
+// Shared session avatar exports
+export { updateAvatars } from "./avatars.js";
+
+// Live shader source exports
+export { ShaderSource, DEFAULT_SHADER_CODE, DEFAULT_SHADER_SIZE, updateShaderSources } from "./shader-source.js";
+
+// Transition and playlist exports
+export { captureTransitionFrame, holdTransition, startTransition, cancelTransition, updateTransition } from "./transitions.js";
+export {
+  addFilesToPlaylist,
+  addURLToPlaylist,
+  removeFromPlaylist,
+  clearPlaylist,
+  playItem,
+  playlistNext,
+  playlistPrevious,
+  startPlaylist,
+  stopPlaylist,
+  getPlaylist,
+  onPlaylistChange
+} from "./playlist.js";
+
 // Lighting exports
 export { setupLighting } from "./lighting.js";
 
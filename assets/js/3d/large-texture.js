@@ -0,0 +1,224 @@
+import * as THREE from "three";
+import { KTX2Loader } from "three/addons/loaders/KTX2Loader.js";
+import { renderer } from "./scene.js";
+
+/**
+ * Large textures
+ * Stills bigger than the GPU's maxTextureSize are split into up to 2x2 tile
+ * textures that the screen shader samples as one image, so an 8K domemaster
+ * keeps its resolution on a GPU limited to 4096 or 8192. Each tile repeats
+ * one texel of its neighbours - wrapped left/right, clamped top/bottom - so
+ * filtering is seamless across tile edges. Images that still do not fit are
+ * downsampled, and a warning is raised instead of losing detail silently.
+ *
+ * KTX2/Basis files are transcoded to a compressed format the GPU supports.
+ */
+
+const MAX_TILE_GRID = 2; // Tiles per side; the screen shader has one sampler per tile
+const TILE_GUTTER = 1; // Texels copied from the neighbouring tile on each side
+const PREVIEW_SIZE = 2048; // Whole-image copy for transitions and screen lighting
+const BASIS_TRANSCODER_PATH = "https://cdn.jsdelivr.net/npm/three@0.182.0/examples/jsm/libs/basis/";
+
+let ktx2Loader = null;
+let currentWarning = null;
+const warningListeners = [];
+
+/**
+ * Largest texture width/height the GPU accepts
+ */
+export function getMaxTextureSize() {
+  return renderer.capabilities.maxTextureSize;
+}
+
+/**
+ * Message about the content on screen having been downsampled, or null
+ */
+export function getTextureWarning() {
+  return currentWarning;
+}
+
+/**
+ * Subscribe to warning changes; the callback receives the message, or null when cleared
+ */
+export function onTextureWarning(callback) {
+  warningListeners.push(callback);
+}
+
+// A repeated message is raised again, so loading the same image twice warns twice
+function setTextureWarning(message) {
+  if (!message && !currentWarning) return;
+  currentWarning = message;
+  if (message) console.warn(message);
+  warningListeners.forEach((listener) => listener(message));
+}
+
+/**
+ * Forget the warning once other content replaces the downsampled image
+ */
+export function clearTextureWarning() {
+  setTextureWarning(null);
+}
+
+/**
+ * Tile grid for a width x height image, or null when it fits in one texture
+ * `scale` is below 1 when the image has to be downsampled to fit the largest grid
+ */
+export function planTiles(width, height, maxSize = getMaxTextureSize()) {
+  if (width <= maxSize && height <= maxSize) return null;
+
+  const content = maxSize - 2 * TILE_GUTTER;
+  const scale = Math.min(1, (MAX_TILE_GRID * content) / width, (MAX_TILE_GRID * content) / height);
+  const scaledWidth = Math.min(Math.round(width * scale), MAX_TILE_GRID * content);
+  const scaledHeight = Math.min(Math.round(height * scale), MAX_TILE_GRID * content);
+  const columns = Math.ceil(scaledWidth / content);
+  const rows = Math.ceil(scaledHeight / content);
+
+  return {
+    width: scaledWidth,
+    height: scaledHeight,
+    columns,
+    rows,
+    tileWidth: Math.ceil(scaledWidth / columns),
+    tileHeight: Math.ceil(scaledHeight / rows),
+    gutter: TILE_GUTTER,
+    scale,
+  };
+}
+
+// Tiles are numbered from the bottom row up, as texture v runs from the bottom of the image
+function drawTile(context, image, plan, column, row) {
+  const { width, height, tileWidth, tileHeight, gutter } = plan;
+  const left = column * tileWidth - gutter;
+  const top = height - (row + 1) * tileHeight - gutter;
+  const x = -left;
+  const y = -top;
+
+  // The image itself, then copies either side for the horizontal wrap
+  context.drawImage(image, x, y, width, height);
+  context.drawImage(image, x - width, y, width, height);
+  context.drawImage(image, x + width, y, width, height);
+
+  // Top and bottom rows stretched into the gutter
+  const sourceWidth = image.naturalWidth || image.width;
+  const sourceHeight = image.naturalHeight || image.height;
+  context.drawImage(image, 0, 0, sourceWidth, 1, x, y - gutter, width, gutter);
+  context.drawImage(image, 0, sourceHeight - 1, sourceWidth, 1, x, y + height, width, gutter);
+}
+
+/**
+ * Split an image that is too large for one texture into tile textures
+ * Returns null when the image fits; otherwise the first tile, which goes on the
+ * material as its map and carries the others in userData.tiling
+ */
+export function createTiledTexture(image, name = "Image") {
+  const sourceWidth = image.naturalWidth || image.width;
+  const sourceHeight = image.naturalHeight || image.height;
+  const maxSize = getMaxTextureSize();
+  const plan = planTiles(sourceWidth, sourceHeight, maxSize);
+  if (!plan) return null;
+
+  const tiles = [];
+  for (let row = 0; row < plan.rows; row++) {
+    for (let column = 0; column < plan.columns; column++) {
+      const canvas = document.createElement("canvas");
+      canvas.width = plan.tileWidth + 2 * plan.gutter;
+      canvas.height = plan.tileHeight + 2 * plan.gutter;
+      const context = canvas.getContext("2d");
+      context.imageSmoothingQuality = "high";
+      drawTile(context, image, plan, column, row);
+      const tile = new THREE.CanvasTexture(canvas);
+      tile.colorSpace = THREE.SRGBColorSpace;
+      tiles.push(tile);
+    }
+  }
+
+  const preview = document.createElement("canvas");
+  const previewScale = Math.min(1, PREVIEW_SIZE / Math.max(sourceWidth, sourceHeight));
+  preview.width = Math.round(sourceWidth * previewScale);
+  preview.height = Math.round(sourceHeight * previewScale);
+  preview.getContext("2d").drawImage(image, 0, 0, preview.width, preview.height);
+
+  const texture = tiles[0];
+  texture.userData.tiling = { ...plan, tiles };
+  texture.userData.previewImage = preview;
+  // The other tiles live as long as the first one
+  texture.addEventListener("dispose", () => tiles.slice(1).forEach((tile) => tile.dispose()));
+
+  if (plan.scale < 1) {
+    setTextureWarning(
+      `${name} is ${sourceWidth} × ${sourceHeight}, more than this GPU can show even in ${MAX_TILE_GRID} × ${MAX_TILE_GRID} tiles ` +
+        `(max texture size ${maxSize}). It was downsampled to ${plan.width} × ${plan.height}.`
+    );
+  } else {
+    clearTextureWarning();
+  }
+  return texture;
+}
+
+/**
+ * Throw when a float still (EXR/HDR) is too large for one texture
+ * Float data cannot be drawn into canvas tiles, so such images are not shown and the warning says so
+ */
+export function checkDataTextureSize(texture, name = "Image") {
+  const { width, height } = texture.image;
+  const maxSize = getMaxTextureSize();
+  if (width <= maxSize && height <= maxSize) {
+    clearTextureWarning();
+    return;
+  }
+  const message =
+    `${name} is ${width} × ${height}, more than this GPU's max texture size of ${maxSize}. ` +
+    `Float images cannot be split into tiles, so it was not loaded.`;
+  setTextureWarning(message);
+  throw new Error(message);
+}
+
+/**
+ * KTX2 container (Basis Universal or plain compressed formats)
+ */
+export function isKTX2File(file) {
+  return /\.ktx2$/i.test(file.name);
+}
+
+function getKTX2Loader() {
+  if (!ktx2Loader) {
+    ktx2Loader = new KTX2Loader().setTranscoderPath(BASIS_TRANSCODER_PATH).detectSupport(renderer);
+  }
+  return ktx2Loader;
+}
+
+/**
+ * Load a KTX2 file as a compressed texture
+ * Compressed data cannot be tiled; when the full size is too large, the largest
+ * mip level that fits is used instead and the warning says so
+ */
+export async function loadKTX2Texture(file) {
+  const url = URL.createObjectURL(file);
+  try {
+    const texture = await getKTX2Loader().loadAsync(url);
+    const maxSize = getMaxTextureSize();
+    const { width, height } = texture.image;
+
+    const level = texture.mipmaps.findIndex((mipmap) => mipmap.width <= maxSize && mipmap.height <= maxSize);
+    if (level === -1) {
+      texture.dispose();
+      throw new Error(
+        `${file.name} is ${width} × ${height} without mip levels small enough for this GPU (max texture size ${maxSize})`
+      );
+    }
+    if (level > 0) {
+      texture.mipmaps = texture.mipmaps.slice(level);
+      texture.image.width = texture.mipmaps[0].width;
+      texture.image.height = texture.mipmaps[0].height;
+      setTextureWarning(
+        `${file.name} is ${width} × ${height}, more than this GPU's max texture size of ${maxSize}. ` +
+          `Showing its ${texture.image.width} × ${texture.image.height} mip level instead.`
+      );
+    } else {
+      clearTextureWarning();
+    }
+    return texture;
+  } finally {
+    URL.revokeObjectURL(url);
+  }
+}
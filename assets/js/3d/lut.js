@@ -0,0 +1,101 @@
+import * as THREE from "three";
+import { LUTCubeLoader } from "three/addons/loaders/LUTCubeLoader.js";
+import { renderer } from "./scene.js";
+import { screenUniforms } from "./screen-shader.js";
+import { lutSettings } from "../core/settings.js";
+
+/**
+ * 3D LUT grading
+ * Applies a .cube 3D LUT to the screen content in the screen shader, after
+ * the texture is decoded and tone mapped and before post-processing (bloom).
+ * Toggling lutSettings.enabled is the A/B bypass.
+ */
+
+export const MAX_LUT_SIZE = 65;
+
+let currentLUT = null; // { name, size, texture }
+const changeListeners = [];
+
+function notifyChange() {
+  changeListeners.forEach((listener) => listener(getLUT()));
+}
+
+function updateLUTUniforms() {
+  screenUniforms.lutEnabled.value = Boolean(currentLUT) && lutSettings.enabled;
+  screenUniforms.lutIntensity.value = lutSettings.intensity;
+}
+
+export function isLUTFile(file) {
+  return /\.cube$/i.test(file.name);
+}
+
+/**
+ * Current LUT as { name, size }, or null
+ */
+export function getLUT() {
+  return currentLUT ? { name: currentLUT.name, size: currentLUT.size } : null;
+}
+
+/**
+ * Subscribe to LUT changes; the callback receives getLUT()
+ */
+export function onLUTChange(callback) {
+  changeListeners.push(callback);
+}
+
+/**
+ * Load a .cube file and apply it to the screen
+ * Resolves with { name, size }; rejects on files that are not 3D LUTs
+ */
+export async function loadLUT(file) {
+  // Float LUTs avoid banding where the GPU can filter them; otherwise fall back to 8 bits
+  const loader = new LUTCubeLoader();
+  if (renderer.extensions.has("OES_texture_float_linear")) {
+    loader.setType(THREE.FloatType);
+  }
+
+  const lut = loader.parse(await file.text());
+  if (lut.size < 2 || lut.size > MAX_LUT_SIZE) {
+    lut.texture3D.dispose();
+    throw new Error(`LUT size ${lut.size} is not supported (2 to ${MAX_LUT_SIZE})`);
+  }
+
+  if (currentLUT) currentLUT.texture.dispose();
+  currentLUT = {
+    name: lut.title || file.name.replace(/\.cube$/i, ""),
+    size: lut.size,
+    texture: lut.texture3D,
+  };
+  screenUniforms.lutMap.value = lut.texture3D;
+  screenUniforms.lutSize.value = lut.size;
+  screenUniforms.lutDomainMin.value.copy(lut.domainMin);
+  screenUniforms.lutDomainMax.value.copy(lut.domainMax);
+  updateLUTUniforms();
+  notifyChange();
+  return getLUT();
+}
+
+export function clearLUT() {
+  if (!currentLUT) return;
+  currentLUT.texture.dispose();
+  currentLUT = null;
+  screenUniforms.lutMap.value = null;
+  updateLUTUniforms();
+  notifyChange();
+}
+
+/**
+ * A/B bypass: false shows the ungraded content
+ */
+export function setLUTEnabled(enabled) {
+  lutSettings.enabled = enabled;
+  updateLUTUniforms();
+}
+
+/**
+ * Blend between ungraded (0) and fully graded (1) content
+ */
+export function setLUTIntensity(intensity) {
+  lutSettings.intensity = intensity;
+  updateLUTUniforms();
+}
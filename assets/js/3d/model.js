@@ -14,7 +14,16 @@ export let fbxMeshes = [];
 export let glbLights = [];
 export let glbLightsGroup = null;
 
-export function loadModel() {
+/**
+ * Load the venue; resolves once the screen is found and, unless `defaultTexture`
+ * is false, the default picture is on it
+ */
+export function loadModel({ defaultTexture = true } = {}) {
+  let resolveLoaded, rejectLoaded;
+  const loaded = new Promise((resolve, reject) => {
+    resolveLoaded = resolve;
+    rejectLoaded = reject;
+  });
   const loader = new GLTFLoader();
   
   // Set up DRACOLoader for Draco-compressed models
@@ -34,6 +43,7 @@ export function loadModel() {
         if (loadingOverlay) {
           loadingOverlay.innerHTML = '<div style="color: #ff4444; position: absolute; top: 50%; left: 50%; transform: translate(-50%, -50%);">Error: Model scene is missing.</div>';
         }
+        rejectLoaded(new Error("Model scene is missing"));
         return;
       }
       const object = gltf.scene;
@@ -241,12 +251,15 @@ export function loadModel() {
         import("../core/settings.js").then((settingsModule) => {
           return settingsModule.applySettingsToScene();
         }),
-        // Load default texture and wait for it to complete
-        loadDefaultScreenTexture().catch((error) => {
-          console.warn("Error loading default texture, continuing anyway:", error);
-          return null; // Don't block scene from showing
-        })
+        // Load default texture and wait for it to complete; media from a link replaces it
+        defaultTexture
+          ? loadDefaultScreenTexture().catch((error) => {
+              console.warn("Error loading default texture, continuing anyway:", error);
+              return null; // Don't block scene from showing
+            })
+          : null,
       ]).then(() => {
+        resolveLoaded();
         // Initialize screen-based lighting after texture is loaded
         setTimeout(() => {
           const screenObj = object.children.find(child => {
@@ -265,6 +278,7 @@ export function loadModel() {
         console.error("Error during scene initialization:", error);
         // Show scene anyway after a delay
         setTimeout(showScene, 1000);
+        resolveLoaded();
       });
     },
     (progress) => {
@@ -280,6 +294,8 @@ export function loadModel() {
       if (loadingOverlay) {
         loadingOverlay.innerHTML = '<div style="color: #ff4444; position: absolute; top: 50%; left: 50%; transform: translate(-50%, -50%);">Error loading 3D model.</div>';
       }
+      rejectLoaded(error);
     }
   );
+  return loaded;
 }
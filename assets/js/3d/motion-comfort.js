@@ -0,0 +1,306 @@
+import { screenUniforms, PROJECTION_TYPES } from "./screen-shader.js";
+import { getCurrentVideo, getCurrentVideoTexture, getCurrentVideoFilename } from "./texture.js";
+import { formatTimecode } from "../core/transport.js";
+import { motionComfortSettings } from "../core/settings.js";
+
+/**
+ * Motion comfort
+ * Plays the current video once from the start and estimates how fast the
+ * picture turns around the audience (rotation) and how much flow is left once
+ * that turn is taken out (translation: the camera moving through the scene),
+ * both in degrees per second on the dome. Frames are downsampled here and
+ * block-matched in a worker, so playback runs at normal speed; frames that
+ * arrive while the worker is busy are skipped and the next one is compared
+ * over the longer interval.
+ *
+ * Samples above the caution or limit thresholds are merged into flagged time
+ * ranges, which can be exported as a CSV report. Only fisheye and
+ * equirectangular content can be analysed.
+ */
+
+const ANALYSIS_WIDTH = 192; // Pixels across the downsampled frame
+const MAX_PENDING_FRAMES = 2; // Frames sent to the worker and not yet answered
+const SMOOTHING_WINDOW = 0.25; // Seconds averaged before comparing against the thresholds; single-frame spikes are mostly matching noise
+const MERGE_GAP = 0.5; // Flagged samples closer than this (seconds) form one range
+
+let worker = null;
+let run = 0; // Tags frames so replies from an earlier pass are ignored
+let canvas = null;
+let context = null;
+let analysedVideo = null;
+let restoreLoop = false;
+let frameCallbackId = null;
+let pendingFrames = 0;
+let lastImage = null;
+let lastTime = -Infinity;
+let running = false;
+let progress = 0;
+let samples = []; // { time, dt, rotation, axis, translation, clipped } plus smoothed values
+let ranges = [];
+const changeListeners = [];
+
+function notifyChange() {
+  changeListeners.forEach((listener) => listener(getMotionAnalysis()));
+}
+
+/**
+ * Subscribe to progress and results; the callback receives getMotionAnalysis()
+ */
+export function onMotionAnalysisChange(callback) {
+  changeListeners.push(callback);
+}
+
+/**
+ * { running, progress (0-1), duration, samples, ranges } of the last or current analysis
+ * ranges: { start, end, level ("caution" | "limit"), peakRotation, peakTranslation, axis, clipped }
+ */
+export function getMotionAnalysis() {
+  return {
+    running,
+    progress,
+    duration: analysedVideo ? analysedVideo.duration : 0,
+    samples,
+    ranges,
+  };
+}
+
+function getWorker() {
+  if (!worker) {
+    worker = new Worker(new URL("../workers/motion-estimator.js", import.meta.url), { type: "module" });
+    worker.addEventListener("message", (e) => onSample(e.data));
+  }
+  return worker;
+}
+
+/**
+ * Play the current video from the start and analyse every frame the worker keeps up with
+ * Throws when there is no video or its projection cannot be analysed
+ */
+export function startMotionAnalysis() {
+  const video = getCurrentVideo();
+  if (!video || video.srcObject) {
+    throw new Error("Load a video file to analyse its motion");
+  }
+  const type = screenUniforms.projectionType.value;
+  if (type !== PROJECTION_TYPES.fisheye && type !== PROJECTION_TYPES.equirectangular) {
+    throw new Error("Motion can only be analysed in the fisheye or equirectangular projection");
+  }
+  if (running) stopMotionAnalysis();
+
+  run++;
+  getWorker().postMessage({
+    type: "start",
+    projection: type === PROJECTION_TYPES.equirectangular ? "equirectangular" : "fisheye",
+    aperture: screenUniforms.fisheyeAperture.value,
+  });
+
+  analysedVideo = video;
+  restoreLoop = video.loop;
+  video.loop = false;
+  pendingFrames = 0;
+  lastImage = null;
+  lastTime = -Infinity;
+  samples = [];
+  ranges = [];
+  progress = 0;
+  running = true;
+
+  // Frames are only taken once the first frame is back on screen
+  const pass = run;
+  const onSeeked = () => {
+    video.removeEventListener("seeked", onSeeked);
+    if (!running || pass !== run) return;
+    video.addEventListener("ended", onEnded);
+    video.addEventListener("emptied", onEnded);
+    if (typeof video.requestVideoFrameCallback === "function") {
+      const onFrame = (now, metadata) => {
+        if (!running || pass !== run) return;
+        captureFrame(video, metadata.mediaTime);
+        frameCallbackId = video.requestVideoFrameCallback(onFrame);
+      };
+      frameCallbackId = video.requestVideoFrameCallback(onFrame);
+    } else {
+      // Image sequences and WebCodecs playback emit timeupdate on every presented frame
+      video.addEventListener("timeupdate", onTimeUpdate);
+    }
+    video.play();
+  };
+  video.addEventListener("seeked", onSeeked);
+  video.pause();
+  video.currentTime = 0;
+  notifyChange();
+}
+
+/**
+ * End the analysis; results so far are kept
+ */
+export function stopMotionAnalysis() {
+  if (!running) return;
+  running = false;
+  const video = analysedVideo;
+  if (frameCallbackId !== null && video.cancelVideoFrameCallback) {
+    video.cancelVideoFrameCallback(frameCallbackId);
+  }
+  frameCallbackId = null;
+  video.removeEventListener("ended", onEnded);
+  video.removeEventListener("emptied", onEnded);
+  video.removeEventListener("timeupdate", onTimeUpdate);
+  video.loop = restoreLoop;
+  if (getCurrentVideo() === video) video.pause();
+  notifyChange();
+}
+
+function onEnded() {
+  progress = 1;
+  stopMotionAnalysis();
+}
+
+function onTimeUpdate() {
+  if (running) captureFrame(analysedVideo, analysedVideo.currentTime);
+}
+
+function captureFrame(video, time) {
+  // A jump backwards (an A-B loop, or the user seeking) means the pass is over
+  if (time < lastTime) {
+    stopMotionAnalysis();
+    return;
+  }
+
+  const texture = getCurrentVideoTexture();
+  const image = video instanceof HTMLVideoElement ? video : texture?.image;
+  const width = image ? image.videoWidth || image.displayWidth || image.width : 0;
+  const height = image ? image.videoHeight || image.displayHeight || image.height : 0;
+  // Players hold the last frame while the next one decodes; that is not a new frame
+  if (!width || !height || (image === lastImage && !(image instanceof HTMLVideoElement)) || time === lastTime) return;
+  lastImage = image;
+  lastTime = time;
+  progress = video.duration ? Math.min(1, time / video.duration) : 0;
+  if (pendingFrames >= MAX_PENDING_FRAMES) return;
+
+  if (!canvas) {
+    canvas = document.createElement("canvas");
+    context = canvas.getContext("2d", { willReadFrequently: true });
+  }
+  canvas.width = ANALYSIS_WIDTH;
+  canvas.height = Math.max(1, Math.round((ANALYSIS_WIDTH * height) / width));
+  context.save();
+  // Image sequence frames are stored upside down for upload
+  if (texture && texture.flipY === false) {
+    context.translate(0, canvas.height);
+    context.scale(1, -1);
+  }
+  context.drawImage(image, 0, 0, canvas.width, canvas.height);
+  context.restore();
+
+  const pixels = context.getImageData(0, 0, canvas.width, canvas.height).data;
+  pendingFrames++;
+  getWorker().postMessage(
+    { type: "frame", run, time, width: canvas.width, height: canvas.height, pixels },
+    [pixels.buffer]
+  );
+}
+
+function onSample(message) {
+  if (message.run !== run) return;
+  pendingFrames = Math.max(0, pendingFrames - 1);
+  if (message.type !== "sample") return;
+  const { time, dt, rotation, axis, translation, clipped } = message;
+  samples.push({ time, dt, rotation, axis, translation, clipped });
+  // Only the new sample changes; earlier ones keep their smoothed values and ranges
+  smoothSample(samples.length - 1);
+  addToRanges(samples[samples.length - 1]);
+  notifyChange();
+}
+
+/**
+ * Re-evaluate the flagged ranges, e.g. after the thresholds changed
+ */
+export function setMotionComfortSettings(values) {
+  Object.assign(motionComfortSettings, values);
+  ranges = [];
+  samples.forEach(addToRanges);
+  notifyChange();
+}
+
+// Time-weighted average over the smoothing window ending at samples[index]
+function smoothSample(index) {
+  const sample = samples[index];
+  let weight = 0;
+  let rotation = 0;
+  let translation = 0;
+  for (let i = index; i >= 0 && samples[i].time >= sample.time - SMOOTHING_WINDOW; i--) {
+    weight += samples[i].dt;
+    rotation += samples[i].rotation * samples[i].dt;
+    translation += samples[i].translation * samples[i].dt;
+  }
+  sample.smoothRotation = weight > 0 ? rotation / weight : sample.rotation;
+  sample.smoothTranslation = weight > 0 ? translation / weight : sample.translation;
+}
+
+// Name of the dome axis a rotation is mostly about
+function describeAxis(axis) {
+  const [x, y, z] = axis.map(Math.abs);
+  if (y >= x && y >= z) return "yaw";
+  return x >= z ? "pitch" : "roll";
+}
+
+// Extend the last range with a flagged sample, or start a new one after a gap
+function addToRanges(sample) {
+  const { rotationCaution, rotationLimit, translationCaution, translationLimit } = motionComfortSettings;
+  const rotation = sample.smoothRotation;
+  const translation = sample.smoothTranslation;
+  const overLimit = rotation > rotationLimit || translation > translationLimit;
+  const overCaution = overLimit || rotation > rotationCaution || translation > translationCaution;
+  if (!overCaution) return;
+
+  let current = ranges[ranges.length - 1];
+  if (!current || sample.time - sample.dt - current.end > MERGE_GAP) {
+    current = {
+      start: sample.time - sample.dt,
+      end: sample.time,
+      level: "caution",
+      peakRotation: 0,
+      peakTranslation: 0,
+      axis: sample.axis,
+      clipped: false,
+    };
+    ranges.push(current);
+  }
+  current.end = sample.time;
+  if (overLimit) current.level = "limit";
+  if (rotation > current.peakRotation) {
+    current.peakRotation = rotation;
+    current.axis = sample.axis;
+  }
+  current.peakTranslation = Math.max(current.peakTranslation, translation);
+  current.clipped = current.clipped || sample.clipped;
+}
+
+/**
+ * Flagged time ranges as CSV, one row per range
+ * Rotation peaks of ranges marked "clipped" moved too fast to follow and are lower bounds
+ */
+export function getMotionReport() {
+  const quote = (text) => `"${String(text).replace(/"/g, '""')}"`;
+  const { rotationCaution, rotationLimit, translationCaution, translationLimit } = motionComfortSettings;
+  const lines = [
+    `# Motion comfort report: ${getCurrentVideoFilename() || "video"}`,
+    `# Rotation caution ${rotationCaution}°/s, limit ${rotationLimit}°/s; translation caution ${translationCaution}°/s, limit ${translationLimit}°/s`,
+    "start,end,duration_s,level,peak_rotation_deg_s,rotation_axis,peak_translation_deg_s,clipped",
+  ];
+  ranges.forEach((range) => {
+    lines.push(
+      [
+        quote(formatTimecode(range.start)),
+        quote(formatTimecode(range.end)),
+        (range.end - range.start).toFixed(2),
+        range.level,
+        range.peakRotation.toFixed(1),
+        describeAxis(range.axis),
+        range.peakTranslation.toFixed(1),
+        range.clipped ? "yes" : "no",
+      ].join(",")
+    );
+  });
+  return lines.join("\n") + "\n";
+}
@@ -0,0 +1,71 @@
+import * as THREE from "three";
+import { screenUniforms, PROJECTION_TYPES, CUBEMAP_LAYOUTS, PIXEL_DENSITY_STOPS } from "./screen-shader.js";
+import { getScreenObject } from "./texture.js";
+import { getMaterial } from "./utils.js";
+import { pixelDensitySettings } from "../core/settings.js";
+
+/**
+ * Pixels per degree
+ * Analysis overlay showing how many source pixels fall on each degree of the
+ * viewer's visual field, seen from the current camera position. The screen
+ * shader works it out per fragment from the projection's texture gradients
+ * and how much the view direction turns across the pixel, so it follows the
+ * seat, the projection mode, the content transform and the media resolution.
+ * Around 60 px/° matches 20/20 acuity (one pixel per arc minute).
+ */
+
+// Cube faces across the packed image for each layout
+const CUBEMAP_COLUMNS = {
+  [CUBEMAP_LAYOUTS["horizontal-cross"]]: 4,
+  [CUBEMAP_LAYOUTS["vertical-cross"]]: 3,
+  [CUBEMAP_LAYOUTS["3x2"]]: 3,
+};
+
+/**
+ * Show or hide the heatmap, or change its opacity (0-1)
+ */
+export function setPixelDensitySettings(values) {
+  Object.assign(pixelDensitySettings, values);
+  screenUniforms.pixelDensityView.value = pixelDensitySettings.enabled;
+  screenUniforms.pixelDensityOpacity.value = pixelDensitySettings.opacity;
+}
+
+/**
+ * Heatmap colour stops ({ ppd, color } with CSS hex colours), lowest first
+ */
+export function getPixelDensityLegend() {
+  return PIXEL_DENSITY_STOPS.map((stop) => ({ ...stop }));
+}
+
+/**
+ * Resolution of the media on screen and its pixels per degree seen from the
+ * dome centre, the reference every seat is compared against
+ * Returns null when there is nothing to measure (no media, or the flat UV mode)
+ */
+export function getSourcePixelDensity() {
+  const screenObject = getScreenObject();
+  const map = screenObject ? getMaterial(screenObject)?.map : null;
+  // Tiled images report their full size in the tiling
+  const image = map ? map.userData.tiling || map.image : null;
+  const width = image ? image.videoWidth || image.displayWidth || image.width : 0;
+  const height = image ? image.videoHeight || image.displayHeight || image.height : 0;
+  if (!width || !height) return null;
+
+  // The transform's repeat packs more (or fewer) source pixels into each degree
+  const repeat = Math.abs(map.repeat.x) || 1;
+  const type = screenUniforms.projectionType.value;
+  let ppd;
+  if (type === PROJECTION_TYPES.fisheye) {
+    // Equidistant: the image width spans the aperture evenly
+    ppd = (width * repeat) / THREE.MathUtils.radToDeg(screenUniforms.fisheyeAperture.value);
+  } else if (type === PROJECTION_TYPES.equirectangular) {
+    ppd = (width * repeat) / 360;
+  } else if (type === PROJECTION_TYPES.cubemap) {
+    // At the centre of a face: the face spans tan(-45°) to tan(45°), two units, at one unit per radian
+    const faceSize = (width * repeat) / (CUBEMAP_COLUMNS[screenUniforms.cubemapLayout.value] || 4);
+    ppd = THREE.MathUtils.degToRad(faceSize / 2);
+  } else {
+    return null;
+  }
+  return { width, height, ppd };
+}
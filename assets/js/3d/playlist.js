@@ -0,0 +1,275 @@
+import { playlistSettings } from "../core/settings.js";
+import {
+  loadImage,
+  loadImageFromURL,
+  loadVideo,
+  loadVideoFromURL,
+  getCurrentVideo,
+  getScreenObject,
+  isHDRFile,
+  isKTX2File,
+  onMediaChange,
+} from "./texture.js";
+import { captureTransitionFrame, holdTransition, startTransition, cancelTransition } from "./transitions.js";
+
+/**
+ * Playlist
+ * Queues images, videos and URLs and steps through them with crossfade or cut
+ * transitions. Stills advance after their own duration, videos when they end.
+ * Loading other media stops the playlist, so it never replaces that media later.
+ * Items that fail to load are marked with their error and skipped while
+ * auto-advancing, until every item has failed in a row.
+ */
+
+const IMAGE_URL_PATTERN = /\.(png|jpe?g|webp|gif|avif|bmp)(\?|#|$)/i;
+const FIRST_FRAME_TIMEOUT = 2000; // ms; a crossfade starts anyway if no frame has arrived by then
+
+let items = [];
+let currentIndex = -1;
+let nextItemId = 1;
+let advanceTimer = null;
+let endedVideo = null;
+let endedVideoLoop = false; // Loop setting of endedVideo before the playlist turned it off
+let playToken = 0;
+let ownLoads = 0; // Playlist items being loaded; other media changes stop the playlist
+let failedInARow = 0;
+const changeListeners = [];
+
+function notifyChange() {
+  changeListeners.forEach((listener) => listener(getPlaylist()));
+}
+
+function onVideoEnded() {
+  playlistNext();
+}
+
+function clearAdvance() {
+  if (advanceTimer) {
+    clearTimeout(advanceTimer);
+    advanceTimer = null;
+  }
+  if (endedVideo) {
+    endedVideo.removeEventListener("ended", onVideoEnded);
+    endedVideo.loop = endedVideoLoop;
+    endedVideo = null;
+  }
+}
+
+function scheduleAdvance(item) {
+  clearAdvance();
+  if (!playlistSettings.autoAdvance || items.length < 2) return;
+
+  if (item.type === "image") {
+    advanceTimer = setTimeout(playlistNext, item.duration * 1000);
+    return;
+  }
+
+  // Videos advance when they reach the end, so they must not loop
+  const video = getCurrentVideo();
+  if (video) {
+    endedVideoLoop = video.loop;
+    video.loop = false;
+    video.addEventListener("ended", onVideoEnded);
+    endedVideo = video;
+  }
+}
+
+function loadItem(item) {
+  if (item.file) {
+    return item.type === "image" ? loadImage(item.file) : loadVideo(item.file);
+  }
+  return item.type === "image" ? loadImageFromURL(item.url) : loadVideoFromURL(item.url);
+}
+
+// Video elements are ready at loadedmetadata, before a frame can be shown; fading in then goes through black.
+// The image sequence and WebCodecs players only resolve once their first frame is decoded
+function waitForFirstFrame(video) {
+  if (typeof HTMLVideoElement === "undefined" || !(video instanceof HTMLVideoElement)) return Promise.resolve();
+  return new Promise((resolve) => {
+    const timer = setTimeout(resolve, FIRST_FRAME_TIMEOUT);
+    const done = () => {
+      clearTimeout(timer);
+      resolve();
+    };
+    if (typeof video.requestVideoFrameCallback === "function") {
+      video.requestVideoFrameCallback(done);
+    } else if (video.readyState >= video.HAVE_CURRENT_DATA) {
+      done();
+    } else {
+      video.addEventListener("loadeddata", done, { once: true });
+    }
+  });
+}
+
+export function getPlaylist() {
+  return { items: [...items], currentIndex };
+}
+
+/**
+ * Subscribe to playlist changes; the callback receives { items, currentIndex }
+ */
+export function onPlaylistChange(callback) {
+  changeListeners.push(callback);
+}
+
+/**
+ * Queue local image/video files
+ */
+export function addFilesToPlaylist(files) {
+  Array.from(files).forEach((file) => {
+    const isImage = file.type.startsWith("image/") || isHDRFile(file) || isKTX2File(file);
+    if (!isImage && !file.type.startsWith("video/")) return;
+    items.push({
+      id: nextItemId++,
+      type: isImage ? "image" : "video",
+      name: file.name,
+      file,
+      duration: playlistSettings.stillDuration,
+    });
+  });
+  notifyChange();
+}
+
+/**
+ * Queue a URL - image extensions load as stills, anything else as a video or HLS stream
+ */
+export function addURLToPlaylist(url) {
+  let name = url;
+  try {
+    name = new URL(url).pathname.split("/").pop() || url;
+  } catch {
+    // Keep the raw URL as the name
+  }
+  items.push({
+    id: nextItemId++,
+    type: IMAGE_URL_PATTERN.test(url) ? "image" : "video",
+    name,
+    url,
+    duration: playlistSettings.stillDuration,
+  });
+  notifyChange();
+}
+
+export function removeFromPlaylist(index) {
+  if (index < 0 || index >= items.length) return;
+  items.splice(index, 1);
+  if (index === currentIndex) {
+    clearAdvance();
+    currentIndex = -1;
+  } else if (index < currentIndex) {
+    currentIndex--;
+  }
+  notifyChange();
+}
+
+export function clearPlaylist() {
+  stopPlaylist();
+  items = [];
+  currentIndex = -1;
+  notifyChange();
+}
+
+/**
+ * Set how long a still stays up before advancing (seconds)
+ */
+export function setItemDuration(index, seconds) {
+  if (!items[index]) return;
+  items[index].duration = seconds;
+  if (index === currentIndex && items[index].type === "image") {
+    scheduleAdvance(items[index]);
+  }
+  notifyChange();
+}
+
+/**
+ * Show an item, fading from the current screen content when crossfade is selected
+ */
+export async function playItem(index) {
+  const item = items[index];
+  if (!item) return;
+
+  const token = ++playToken;
+  clearAdvance();
+
+  const fade = playlistSettings.transition === "crossfade" && playlistSettings.transitionDuration > 0;
+  const captured = fade && captureTransitionFrame(getScreenObject());
+  // The outgoing frame stays up until the new media can be shown
+  if (captured) holdTransition();
+
+  ownLoads++;
+  try {
+    await loadItem(item);
+  } catch (error) {
+    console.error(`Error loading playlist item ${item.name}:`, error);
+    if (token !== playToken) return;
+    if (captured) cancelTransition();
+    item.error = error.message || String(error);
+    notifyChange();
+    // A broken item must not halt an unattended loop
+    failedInARow++;
+    if (playlistSettings.autoAdvance && items.length > 1 && failedInARow < items.length) {
+      playItem((index + 1) % items.length);
+    }
+    return;
+  } finally {
+    ownLoads--;
+  }
+
+  if (captured && item.type === "video") {
+    await waitForFirstFrame(getCurrentVideo());
+  }
+
+  // A newer playItem call took over while this one was loading, or the playlist was stopped;
+  // either way the held frame is no longer this call's to release
+  if (token !== playToken) return;
+
+  if (captured) {
+    startTransition(playlistSettings.transitionDuration);
+  }
+  item.error = null;
+  failedInARow = 0;
+  currentIndex = index;
+  scheduleAdvance(item);
+  notifyChange();
+}
+
+export function playlistNext() {
+  if (items.length === 0) return;
+  playItem((currentIndex + 1) % items.length);
+}
+
+export function playlistPrevious() {
+  if (items.length === 0) return;
+  playItem((currentIndex - 1 + items.length) % items.length);
+}
+
+export function startPlaylist() {
+  failedInARow = 0;
+  playItem(currentIndex >= 0 ? currentIndex : 0);
+}
+
+/**
+ * Stop advancing; the current item stays on screen
+ */
+export function stopPlaylist() {
+  playToken++;
+  clearAdvance();
+  cancelTransition();
+}
+
+/**
+ * Re-evaluate auto advance after a settings change
+ */
+export function refreshPlaylistAdvance() {
+  if (currentIndex >= 0 && items[currentIndex]) {
+    scheduleAdvance(items[currentIndex]);
+  }
+}
+
+// Media loaded from anywhere else (the panel, a drop, remote control) ends the playlist
+onMediaChange(() => {
+  if (ownLoads > 0 || currentIndex < 0) return;
+  stopPlaylist();
+  currentIndex = -1;
+  notifyChange();
+});
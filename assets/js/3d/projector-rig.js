@@ -0,0 +1,302 @@
+import * as THREE from "three";
+import { screenUniforms, getDomeRadius, PROJECTOR_VIEWS, MAX_PROJECTORS } from "./screen-shader.js";
+import { projectorSettings } from "../core/settings.js";
+
+/**
+ * Projector rig
+ * Simulates the projectors that light a real dome: which projector reaches each
+ * point of the screen, where images overlap and how bright the blended result
+ * is. The screen shader evaluates this per fragment for the debug views; the
+ * same model runs here over a grid of dome points for the summary statistics.
+ *
+ * Rig JSON:
+ * {
+ *   "name": "My venue",
+ *   "units": "metres",        // or "radius" for positions in dome radii
+ *   "projectors": [
+ *     {
+ *       "label": "P1",
+ *       "position": [0, -0.5, -8], // dome space from the spring line centre: x right, y up, z front
+ *       "yaw": 0,                  // degrees clockwise from the front (positive = right)
+ *       "pitch": 45,               // degrees up from horizontal
+ *       "roll": 0,
+ *       "throw": 1.2,              // throw ratio, distance / image width
+ *       "resolution": [1920, 1200],
+ *       "lumens": 12000,
+ *       "lensShift": [0, 0]        // optional, fractions of the image width/height
+ *     }
+ *   ]
+ * }
+ */
+
+const STATS_SAMPLES = 4096; // Dome points used for coverage and brightness statistics
+const FOOTPRINT_COLORS = [0xff4040, 0x40a0ff, 0x40ff60, 0xffd040, 0xc060ff, 0x40ffe0, 0xff8020, 0xff60c0];
+
+// Four projectors on the spring line firing across the dome, plus one for the zenith
+export const DEFAULT_RIG = {
+  name: "4 + 1 (default)",
+  units: "radius",
+  projectors: [
+    ...[45, 135, -135, -45].map((azimuth, index) => {
+      const angle = THREE.MathUtils.degToRad(azimuth);
+      return {
+        label: `P${index + 1}`,
+        position: [Math.sin(angle) * 0.9, 0.05, Math.cos(angle) * 0.9],
+        yaw: azimuth + 180,
+        pitch: 15,
+        roll: 0,
+        throw: 0.8,
+        resolution: [1920, 1200],
+        lumens: 12000,
+      };
+    }),
+    {
+      label: "P5",
+      position: [0, -0.2, 0],
+      yaw: 0,
+      pitch: 90,
+      roll: 0,
+      throw: 0.6,
+      resolution: [1920, 1200],
+      lumens: 12000,
+    },
+  ],
+};
+
+let currentRig = DEFAULT_RIG;
+let projectors = []; // { label, matrix, inverseRotation, lens, intensity, color }
+let stats = null;
+let frameSignature = "";
+const changeListeners = [];
+
+const basisTranspose = new THREE.Matrix3();
+const rotation = new THREE.Matrix4();
+const worldPosition = new THREE.Vector3();
+const samplePoint = new THREE.Vector3();
+const sampleNormal = new THREE.Vector3();
+const local = new THREE.Vector3();
+const toProjector = new THREE.Vector3();
+
+function notifyChange() {
+  changeListeners.forEach((listener) => listener(getProjectorRig()));
+}
+
+function validateRig(rig) {
+  if (!Array.isArray(rig.projectors) || rig.projectors.length === 0) {
+    throw new Error("Projector rig needs a non-empty \"projectors\" array");
+  }
+  if (rig.projectors.length > MAX_PROJECTORS) {
+    throw new Error(`Projector rig has ${rig.projectors.length} projectors; up to ${MAX_PROJECTORS} are supported`);
+  }
+  rig.projectors.forEach((projector, index) => {
+    if (!Array.isArray(projector.position) || projector.position.length !== 3) {
+      throw new Error(`Projector ${projector.label || index + 1} needs a [x, y, z] "position"`);
+    }
+    if (!(projector.throw > 0)) {
+      throw new Error(`Projector ${projector.label || index + 1} needs a positive "throw" ratio`);
+    }
+  });
+}
+
+/**
+ * World-to-projector matrix, lens and intensity for one projector in the current dome frame
+ */
+function buildProjector(projector, index, scale) {
+  const [width, height] = projector.resolution || [1920, 1080];
+  const aspect = height / width;
+  const [shiftX, shiftY] = projector.lensShift || [0, 0];
+
+  // Projector frame in dome space: +z along the lens axis, +y up, +x right
+  rotation.makeRotationFromEuler(
+    new THREE.Euler(
+      THREE.MathUtils.degToRad(-(projector.pitch || 0)),
+      THREE.MathUtils.degToRad(projector.yaw || 0),
+      THREE.MathUtils.degToRad(projector.roll || 0),
+      "YXZ"
+    )
+  );
+  const domeToProjector = new THREE.Matrix3().setFromMatrix4(rotation).transpose();
+  const worldToProjector = domeToProjector.multiply(screenUniforms.domeBasis.value);
+
+  worldPosition
+    .fromArray(projector.position)
+    .multiplyScalar(scale)
+    .applyMatrix3(basisTranspose)
+    .add(screenUniforms.domeCenter.value);
+  const translation = worldPosition.clone().applyMatrix3(worldToProjector).negate();
+  const matrix = new THREE.Matrix4().setFromMatrix3(worldToProjector).setPosition(translation);
+
+  // Image area at unit distance is (1 / throw) x (aspect / throw); flux spreads evenly over it
+  const halfWidth = 0.5 / projector.throw;
+  const halfHeight = halfWidth * aspect;
+  const unitArea = 4 * halfWidth * halfHeight;
+
+  return {
+    label: projector.label || `P${index + 1}`,
+    matrix,
+    inverseRotation: worldToProjector.clone().transpose(),
+    lens: new THREE.Vector4(halfWidth, halfHeight, shiftX, shiftY),
+    intensity: (projector.lumens || 0) / unitArea,
+    color: new THREE.Color(FOOTPRINT_COLORS[index % FOOTPRINT_COLORS.length]),
+  };
+}
+
+/**
+ * Blended illuminance (lux when the venue is modelled in metres) and projector
+ * count at a world position with the given inward surface normal
+ * Mirrors applyProjectorView() in the screen shader
+ */
+function evaluateProjectors(position, normal) {
+  let blended = 0;
+  let weightSum = 0;
+  let count = 0;
+
+  projectors.forEach(({ matrix, inverseRotation, lens, intensity }) => {
+    local.copy(position).applyMatrix4(matrix);
+    if (local.z <= 0) return;
+    const ndcX = local.x / (local.z * lens.x) - 2 * lens.z;
+    const ndcY = local.y / (local.z * lens.y) - 2 * lens.w;
+    const edge = 1 - Math.max(Math.abs(ndcX), Math.abs(ndcY));
+    if (edge < 0) return;
+
+    toProjector.copy(local).negate().applyMatrix3(inverseRotation).normalize();
+    const incidence = Math.max(normal.dot(toProjector), 0);
+    const illuminance = (intensity * incidence * local.length()) / (local.z * local.z * local.z);
+
+    let weight = 1;
+    if (projectorSettings.blend && projectorSettings.blendWidth > 0) {
+      weight = THREE.MathUtils.clamp(edge / (2 * projectorSettings.blendWidth), 1e-4, 1);
+    }
+    blended += weight * illuminance;
+    weightSum += weight;
+    count++;
+  });
+
+  if (projectorSettings.blend && weightSum > 0) blended /= weightSum;
+  return { illuminance: blended, count };
+}
+
+/**
+ * Coverage, overlap and brightness over the dome above the spring line
+ * Points are spread evenly by area, so percentages are of the dome surface
+ */
+function computeStats() {
+  const radius = getDomeRadius();
+  let covered = 0;
+  let overlapping = 0;
+  let sum = 0;
+  let min = Infinity;
+  let max = 0;
+  const goldenAngle = Math.PI * (3 - Math.sqrt(5));
+
+  for (let i = 0; i < STATS_SAMPLES; i++) {
+    // Uniform in height is uniform in area on a sphere
+    const y = (i + 0.5) / STATS_SAMPLES;
+    const ring = Math.sqrt(1 - y * y);
+    const angle = i * goldenAngle;
+    sampleNormal.set(Math.cos(angle) * ring, y, Math.sin(angle) * ring).applyMatrix3(basisTranspose);
+    samplePoint.copy(screenUniforms.domeCenter.value).addScaledVector(sampleNormal, radius);
+    sampleNormal.negate();
+
+    const { illuminance, count } = evaluateProjectors(samplePoint, sampleNormal);
+    if (count === 0) continue;
+    covered++;
+    if (count > 1) overlapping++;
+    sum += illuminance;
+    min = Math.min(min, illuminance);
+    max = Math.max(max, illuminance);
+  }
+
+  const mean = covered > 0 ? sum / covered : 0;
+  return {
+    coverage: covered / STATS_SAMPLES,
+    overlap: overlapping / STATS_SAMPLES,
+    minLux: covered > 0 ? min : 0,
+    meanLux: mean,
+    maxLux: max,
+    // Darkest and brightest covered point relative to the average
+    uniformity: mean > 0 ? min / mean : 0,
+    hotspot: mean > 0 ? max / mean : 0,
+  };
+}
+
+function updateUniforms() {
+  screenUniforms.projectorView.value = PROJECTOR_VIEWS[projectorSettings.view] ?? PROJECTOR_VIEWS.off;
+  screenUniforms.projectorCount.value = projectors.length;
+  screenUniforms.projectorBlend.value = projectorSettings.blend;
+  screenUniforms.projectorBlendWidth.value = projectorSettings.blendWidth;
+  projectors.forEach((projector, index) => {
+    screenUniforms.projectorMatrices.value[index].copy(projector.matrix);
+    screenUniforms.projectorLenses.value[index].copy(projector.lens);
+    screenUniforms.projectorIntensities.value[index] = projector.intensity;
+    screenUniforms.projectorColors.value[index].copy(projector.color);
+  });
+  // Brightness views are relative to the dome average, so 1 is the target level
+  screenUniforms.projectorReference.value = stats && stats.meanLux > 0 ? stats.meanLux : 1;
+}
+
+// Rebuild projectors and statistics for the current rig, settings and dome frame
+function rebuildRig() {
+  const scale = currentRig.units === "radius" ? getDomeRadius() : 1;
+  basisTranspose.copy(screenUniforms.domeBasis.value).transpose();
+  projectors = currentRig.projectors.map((projector, index) => buildProjector(projector, index, scale));
+  stats = computeStats();
+  updateUniforms();
+  notifyChange();
+}
+
+/**
+ * Current rig name, projector labels/colours and statistics
+ */
+export function getProjectorRig() {
+  return {
+    name: currentRig.name,
+    projectors: projectors.map(({ label, color }) => ({ label, color: `#${color.getHexString()}` })),
+    stats,
+  };
+}
+
+/**
+ * Subscribe to rig changes; the callback receives getProjectorRig()
+ */
+export function onProjectorRigChange(callback) {
+  changeListeners.push(callback);
+}
+
+/**
+ * Load a rig JSON file and make it current
+ * Resolves with the rig name; rejects when the file does not describe a rig
+ */
+export async function loadProjectorRig(file) {
+  const rig = JSON.parse(await file.text());
+  validateRig(rig);
+  currentRig = { ...rig, name: rig.name || file.name.replace(/\.json$/i, "") };
+  rebuildRig();
+  return currentRig.name;
+}
+
+export function resetProjectorRig() {
+  currentRig = DEFAULT_RIG;
+  rebuildRig();
+}
+
+/**
+ * Change view, blend or blend width (see projectorSettings) and refresh
+ */
+export function setProjectorSettings(values) {
+  Object.assign(projectorSettings, values);
+  rebuildRig();
+}
+
+/**
+ * Follow the dome frame - call once per frame
+ * The dome frame is only known once the venue model has loaded, and tilt/azimuth can change at any time
+ */
+export function updateProjectorRig() {
+  const center = screenUniforms.domeCenter.value;
+  const signature = [...center.toArray(), ...screenUniforms.domeBasis.value.elements, getDomeRadius()].join(",");
+  if (signature !== frameSignature) {
+    frameSignature = signature;
+    rebuildRig();
+  }
+}
@@ -10,6 +10,10 @@ let lastColorUpdate = 0;
 const COLOR_UPDATE_INTERVAL = 100; // Update color every 100ms
 let colorSamplingEnabled = true;
 const hsl = { h: 0, s: 0, l: 0 }; // Reusable HSL object for color manipulation
+let sampleCanvas = null;
+let sampleContext = null;
+let sampledTexture = null;
+let sampledVersion = -1; // Texture version last sampled - unchanged frames are not read back again
 
 /**
  * Initialize screen-based lighting system
@@ -44,14 +48,18 @@ export function initScreenLighting(screenObj) {
 function sampleTextureColor(texture) {
   if (!texture || !texture.image) return null;
   
-  const image = texture.image;
-  const canvas = document.createElement("canvas");
-  const ctx = canvas.getContext("2d");
+  // Tiled images keep a small copy of the whole picture
+  const image = texture.userData.previewImage || texture.image;
   
   // Use smaller size for performance (sample every Nth pixel)
   const sampleSize = 64;
-  canvas.width = sampleSize;
-  canvas.height = sampleSize;
+  if (!sampleCanvas) {
+    sampleCanvas = document.createElement("canvas");
+    sampleCanvas.width = sampleSize;
+    sampleCanvas.height = sampleSize;
+    sampleContext = sampleCanvas.getContext("2d", { willReadFrequently: true });
+  }
+  const ctx = sampleContext;
   
   try {
     ctx.drawImage(image, 0, 0, sampleSize, sampleSize);
@@ -94,12 +102,12 @@ export function updateScreenLighting(currentTime) {
   const imageTexture = getCurrentImageTexture();
   const videoTexture = getCurrentVideoTexture();
   
-  if (videoTexture && videoTexture.image) {
-    // For video, sample from the video element
-    color = sampleTextureColor(videoTexture);
-  } else if (imageTexture) {
-    // For images, sample from the texture
-    color = sampleTextureColor(imageTexture);
+  // Video textures bump their version only when a new frame arrives
+  const texture = videoTexture && videoTexture.image ? videoTexture : imageTexture;
+  if (texture && (texture !== sampledTexture || texture.version !== sampledVersion)) {
+    color = sampleTextureColor(texture);
+    sampledTexture = texture;
+    sampledVersion = texture.version;
   }
   
   if (color) {
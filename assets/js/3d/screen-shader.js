@@ -0,0 +1,777 @@
+import * as THREE from "three";
+import {
+  domeSettings,
+  toneMappingSettings,
+  colorCorrectionSettings,
+  lutSettings,
+  projectorSettings,
+  pixelDensitySettings,
+  guideSettings,
+} from "../core/settings.js";
+
+/**
+ * Screen shader
+ * Patches the screen's MeshStandardMaterial so the texture is looked up from
+ * each fragment's direction on the dome instead of the mesh's own UVs.
+ */
+
+// Projection types understood by the screen shader
+export const PROJECTION_TYPES = {
+  uv: 0, // Use the mesh UVs (legacy flat mapping)
+  fisheye: 1, // Azimuthal equidistant domemaster
+  equirectangular: 2, // 2:1 lat-long, front at the image centre
+  cubemap: 3, // Six cube faces packed in one image (see CUBEMAP_LAYOUTS)
+};
+
+// Cube face packings understood by the screen shader
+// Faces are right, left, top, bottom, front and back as seen from the dome centre
+export const CUBEMAP_LAYOUTS = {
+  "horizontal-cross": 0, // 4x3: top / left front right back / bottom
+  "vertical-cross": 1, // 3x4: top / left front right / bottom / back (rotated 180°)
+  "3x2": 2, // right left top / bottom front back
+};
+
+// Tone-mapping operators applied to the screen content (for HDR/EXR and linear renders)
+export const TONE_MAPPING_TYPES = {
+  none: 0,
+  ACES: 1,
+  AgX: 2,
+  Reinhard: 3,
+};
+
+// Projector rig debug views (see projector-rig.js)
+export const PROJECTOR_VIEWS = {
+  off: 0,
+  brightness: 1, // Content scaled by the blended projector brightness
+  heatmap: 2, // False colour brightness: blue = dark, green = target, red = hotspot
+  footprints: 3, // Each projector's image area in its own colour, overlaps striped
+  overlap: 4, // Number of projectors reaching each point
+};
+
+export const MAX_PROJECTORS = 8;
+
+// Pixels-per-degree heatmap colours (see pixel-density.js); 60 px/° is about 20/20 acuity
+export const PIXEL_DENSITY_STOPS = [
+  { ppd: 0, color: "#3a0000" },
+  { ppd: 5, color: "#ff2020" },
+  { ppd: 10, color: "#ff9020" },
+  { ppd: 20, color: "#ffe040" },
+  { ppd: 30, color: "#40d040" },
+  { ppd: 45, color: "#40c0ff" },
+  { ppd: 60, color: "#ffffff" },
+];
+
+// GLSL array constructors for the stops; colours are converted to linear like every other shader colour
+const pixelDensityLevels = PIXEL_DENSITY_STOPS.map(({ ppd }) => ppd.toFixed(1)).join(", ");
+const pixelDensityColors = PIXEL_DENSITY_STOPS.map(({ color }) => {
+  const { r, g, b } = new THREE.Color(color);
+  return `vec3( ${r.toFixed(4)}, ${g.toFixed(4)}, ${b.toFixed(4)} )`;
+}).join(", ");
+
+// Shared uniforms - every patched material references these same objects
+export const screenUniforms = {
+  projectionType: { value: PROJECTION_TYPES.fisheye },
+  fisheyeAperture: { value: THREE.MathUtils.degToRad(domeSettings.aperture) },
+  domeCenter: { value: new THREE.Vector3() },
+  domeBasis: { value: new THREE.Matrix3() },
+  contentRotation: { value: new THREE.Matrix3() },
+  cubemapLayout: { value: CUBEMAP_LAYOUTS["horizontal-cross"] },
+  transitionMap: { value: null },
+  transitionTransform: { value: new THREE.Matrix3() },
+  transitionMix: { value: 0 },
+  screenExposure: { value: Math.pow(2, toneMappingSettings.exposure) },
+  screenToneMapping: { value: TONE_MAPPING_TYPES[toneMappingSettings.operator] ?? TONE_MAPPING_TYPES.none },
+  colorCorrection: { value: false },
+  colorBrightness: { value: colorCorrectionSettings.brightness },
+  colorContrast: { value: colorCorrectionSettings.contrast },
+  colorGamma: { value: colorCorrectionSettings.gamma },
+  colorSaturation: { value: colorCorrectionSettings.saturation },
+  colorHue: { value: THREE.MathUtils.degToRad(colorCorrectionSettings.hue) },
+  colorLift: { value: colorCorrectionSettings.lift },
+  lutMap: { value: null },
+  lutEnabled: { value: false },
+  lutIntensity: { value: lutSettings.intensity },
+  lutSize: { value: 1 },
+  lutDomainMin: { value: new THREE.Vector3(0, 0, 0) },
+  lutDomainMax: { value: new THREE.Vector3(1, 1, 1) },
+  projectorView: { value: PROJECTOR_VIEWS.off },
+  projectorCount: { value: 0 },
+  projectorMatrices: { value: Array.from({ length: MAX_PROJECTORS }, () => new THREE.Matrix4()) },
+  projectorLenses: { value: Array.from({ length: MAX_PROJECTORS }, () => new THREE.Vector4()) },
+  projectorIntensities: { value: new Array(MAX_PROJECTORS).fill(0) },
+  projectorColors: { value: Array.from({ length: MAX_PROJECTORS }, () => new THREE.Color()) },
+  projectorBlend: { value: projectorSettings.blend },
+  projectorBlendWidth: { value: projectorSettings.blendWidth },
+  projectorReference: { value: 1 },
+  crossReflectionColor: { value: new THREE.Color(0, 0, 0) },
+  pixelDensityView: { value: pixelDensitySettings.enabled },
+  pixelDensityOpacity: { value: pixelDensitySettings.opacity },
+  screenMapFlipY: { value: false },
+  screenTiled: { value: false },
+  screenTileGrid: { value: new THREE.Vector2(1, 1) },
+  screenTileSize: { value: new THREE.Vector2(1, 1) },
+  screenTileGutter: { value: 0 },
+  screenImageSize: { value: new THREE.Vector2(1, 1) },
+  screenTile1: { value: null },
+  screenTile2: { value: null },
+  screenTile3: { value: null },
+  guideVisible: { value: guideSettings.visible },
+  guideColor: { value: new THREE.Color(guideSettings.color) },
+  guideOpacity: { value: guideSettings.opacity },
+  guideAltitudeStep: { value: THREE.MathUtils.degToRad(guideSettings.altitudeSpacing) },
+  guideAzimuthStep: { value: THREE.MathUtils.degToRad(guideSettings.azimuthSpacing) },
+  guideLineWidth: { value: guideSettings.lineWidth },
+  guideSpringLine: { value: guideSettings.springLine },
+  guideZenithCross: { value: guideSettings.zenithCross },
+  guideFrontMarker: { value: guideSettings.frontMarker },
+};
+
+let domeRadius = 1;
+
+const vertexPars = /* glsl */ `
+varying vec3 vDomeWorldPosition;
+`;
+
+const vertexMain = /* glsl */ `
+vDomeWorldPosition = ( modelMatrix * vec4( transformed, 1.0 ) ).xyz;
+`;
+
+const fragmentPars = /* glsl */ `
+varying vec3 vDomeWorldPosition;
+uniform int projectionType;
+uniform float fisheyeAperture;
+uniform vec3 domeCenter;
+uniform mat3 domeBasis;
+uniform mat3 contentRotation;
+uniform int cubemapLayout;
+uniform sampler2D transitionMap;
+uniform mat3 transitionTransform;
+uniform float transitionMix;
+uniform float screenExposure;
+uniform int screenToneMapping;
+uniform bool colorCorrection;
+uniform float colorBrightness;
+uniform float colorContrast;
+uniform float colorGamma;
+uniform float colorSaturation;
+uniform float colorHue;
+uniform float colorLift;
+uniform sampler3D lutMap;
+uniform bool lutEnabled;
+uniform float lutIntensity;
+uniform float lutSize;
+uniform vec3 lutDomainMin;
+uniform vec3 lutDomainMax;
+uniform int projectorView;
+uniform int projectorCount;
+uniform mat4 projectorMatrices[ ${MAX_PROJECTORS} ];
+uniform vec4 projectorLenses[ ${MAX_PROJECTORS} ];
+uniform float projectorIntensities[ ${MAX_PROJECTORS} ];
+uniform vec3 projectorColors[ ${MAX_PROJECTORS} ];
+uniform bool projectorBlend;
+uniform float projectorBlendWidth;
+uniform float projectorReference;
+uniform vec3 crossReflectionColor;
+uniform bool pixelDensityView;
+uniform float pixelDensityOpacity;
+uniform bool screenMapFlipY;
+uniform bool screenTiled;
+uniform vec2 screenTileGrid;
+uniform vec2 screenTileSize;
+uniform float screenTileGutter;
+uniform vec2 screenImageSize;
+uniform sampler2D screenTile1;
+uniform sampler2D screenTile2;
+uniform sampler2D screenTile3;
+uniform bool guideVisible;
+uniform vec3 guideColor;
+uniform float guideOpacity;
+uniform float guideAltitudeStep;
+uniform float guideAzimuthStep;
+uniform float guideLineWidth;
+uniform bool guideSpringLine;
+uniform bool guideZenithCross;
+uniform bool guideFrontMarker;
+
+#ifdef USE_MAP
+uniform mat3 mapTransform;
+
+// Direction in dome space: +Y zenith, +Z front, +X right
+vec3 domeDirection() {
+  return normalize( domeBasis * ( vDomeWorldPosition - domeCenter ) );
+}
+
+// Direction in the content sphere's frame (yaw/pitch/roll applied)
+vec3 contentDirection() {
+  return contentRotation * domeDirection();
+}
+
+// Azimuthal equidistant: zenith at the image centre, front at the bottom edge
+vec2 fisheyeUv( vec3 dir, out bool inside ) {
+  float theta = acos( clamp( dir.y, -1.0, 1.0 ) );
+  float phi = atan( dir.x, dir.z );
+  float r = theta / fisheyeAperture;
+  inside = theta <= fisheyeAperture * 0.5;
+  return vec2( 0.5 + r * sin( phi ), 0.5 + r * cos( phi ) );
+}
+
+// Lat-long: longitude 0 (front) at the horizontal centre, zenith at the top edge
+vec2 equirectangularUv( vec3 dir ) {
+  float lon = atan( dir.x, dir.z );
+  float lat = asin( clamp( dir.y, -1.0, 1.0 ) );
+  return vec2( 0.5 + lon / ( 2.0 * PI ), 0.5 - lat / PI );
+}
+
+// Oversize stills are split into tiles (see large-texture.js): the map holds the bottom-left one,
+// the rest follow row by row. Each tile texture has a gutter texel copied from its neighbours
+vec4 sampleTiles( vec2 uv, vec2 dx, vec2 dy ) {
+  vec2 pixel = fract( uv ) * screenImageSize;
+  vec2 cell = min( floor( pixel / screenTileSize ), screenTileGrid - 1.0 );
+  vec2 tileTexels = screenTileSize + 2.0 * screenTileGutter;
+  vec2 local = ( pixel - cell * screenTileSize + screenTileGutter ) / tileTexels;
+  vec2 scale = screenImageSize / tileTexels;
+  dx *= scale;
+  dy *= scale;
+  int index = int( cell.y * screenTileGrid.x + cell.x );
+  if ( index == 1 ) return textureGrad( screenTile1, local, dx, dy );
+  if ( index == 2 ) return textureGrad( screenTile2, local, dx, dy );
+  if ( index == 3 ) return textureGrad( screenTile3, local, dx, dy );
+  return textureGrad( map, local, dx, dy );
+}
+
+// Final lookup at a texture-space uv. Only the screen map itself (isMap) can be
+// tiled or stored top row first, as KTX2 data is
+vec4 screenTexel( sampler2D tex, bool isMap, vec2 uv, vec2 dx, vec2 dy ) {
+  if ( isMap ) {
+    if ( screenMapFlipY ) {
+      uv.y = 1.0 - uv.y;
+      dx.y = -dx.y;
+      dy.y = -dy.y;
+    }
+    if ( screenTiled ) return sampleTiles( uv, dx, dy );
+  }
+  return textureGrad( tex, uv, dx, dy );
+}
+
+// Gradients taken across the +/-180 degree seam, so there is no jump at the back
+void wrappedGradients( vec2 uv, out vec2 dx, out vec2 dy ) {
+  dx = dFdx( uv );
+  dy = dFdy( uv );
+  vec2 seamDx = dFdx( vec2( fract( uv.x + 0.5 ), uv.y ) );
+  vec2 seamDy = dFdy( vec2( fract( uv.x + 0.5 ), uv.y ) );
+  if ( abs( seamDx.x ) < abs( dx.x ) ) dx = seamDx;
+  if ( abs( seamDy.x ) < abs( dy.x ) ) dy = seamDy;
+}
+
+// Sample with seam-safe gradients to avoid a mip line at the back
+vec4 sampleWrapped( sampler2D tex, bool isMap, mat3 texTransform, vec2 uv ) {
+  vec2 dx;
+  vec2 dy;
+  wrappedGradients( uv, dx, dy );
+  mat2 transform = mat2( texTransform );
+  return screenTexel( tex, isMap, ( texTransform * vec3( uv, 1.0 ) ).xy, transform * dx, transform * dy );
+}
+
+// Face-local uv (y down, as the face image is seen from inside the cube)
+// Face index: 0 right, 1 left, 2 top, 3 bottom, 4 front, 5 back
+vec2 cubeFaceUv( vec3 dir, out int face ) {
+  vec3 a = abs( dir );
+  if ( a.x >= a.y && a.x >= a.z ) {
+    face = dir.x > 0.0 ? 0 : 1;
+    return vec2( dir.x > 0.0 ? -dir.z : dir.z, -dir.y ) / a.x * 0.5 + 0.5;
+  }
+  if ( a.y >= a.z ) {
+    face = dir.y > 0.0 ? 2 : 3;
+    return vec2( dir.x, dir.y > 0.0 ? dir.z : -dir.z ) / a.y * 0.5 + 0.5;
+  }
+  face = dir.z > 0.0 ? 4 : 5;
+  return vec2( dir.z > 0.0 ? dir.x : -dir.x, -dir.y ) / a.z * 0.5 + 0.5;
+}
+
+const vec2 HORIZONTAL_CROSS_CELLS[6] = vec2[6]( vec2( 2, 1 ), vec2( 0, 1 ), vec2( 1, 0 ), vec2( 1, 2 ), vec2( 1, 1 ), vec2( 3, 1 ) );
+const vec2 VERTICAL_CROSS_CELLS[6] = vec2[6]( vec2( 2, 1 ), vec2( 0, 1 ), vec2( 1, 0 ), vec2( 1, 2 ), vec2( 1, 1 ), vec2( 1, 3 ) );
+const vec2 STRIP_CELLS[6] = vec2[6]( vec2( 0, 0 ), vec2( 1, 0 ), vec2( 2, 0 ), vec2( 0, 1 ), vec2( 1, 1 ), vec2( 2, 1 ) );
+
+vec4 sampleCubemap( sampler2D tex, bool isMap, mat3 texTransform, vec3 dir ) {
+  int face;
+  vec2 uv = cubeFaceUv( dir, face );
+  vec2 grid;
+  vec2 cell;
+  if ( cubemapLayout == 0 ) {
+    grid = vec2( 4.0, 3.0 );
+    cell = HORIZONTAL_CROSS_CELLS[ face ];
+  } else if ( cubemapLayout == 1 ) {
+    grid = vec2( 3.0, 4.0 );
+    cell = VERTICAL_CROSS_CELLS[ face ];
+    // The back face continues below the bottom face, so it is stored upside down
+    if ( face == 5 ) uv = 1.0 - uv;
+  } else {
+    grid = vec2( 3.0, 2.0 );
+    cell = STRIP_CELLS[ face ];
+  }
+
+  // Keep half a texel away from the cell edge so neighbouring faces don't bleed in
+  vec2 size = isMap && screenTiled ? screenImageSize : vec2( textureSize( tex, 0 ) );
+  vec2 inset = 0.5 * grid / size;
+  uv = clamp( uv, inset, 1.0 - inset );
+
+  // Level 0 only: gradients jump at face edges and would pick a blurry mip there
+  return screenTexel( tex, isMap, ( texTransform * vec3( ( cell + uv ) / grid, 1.0 ) ).xy, vec2( 0.0 ), vec2( 0.0 ) );
+}
+
+// Look up a texture through the active projection
+// meshUv is the mesh UV with the map transform already applied (legacy mode only)
+vec4 sampleScreen( sampler2D tex, bool isMap, mat3 texTransform, vec2 meshUv ) {
+  if ( projectionType == 0 ) {
+    return screenTexel( tex, isMap, meshUv, dFdx( meshUv ), dFdy( meshUv ) );
+  }
+
+  vec3 dir = contentDirection();
+  if ( projectionType == 2 ) {
+    return sampleWrapped( tex, isMap, texTransform, equirectangularUv( dir ) );
+  }
+  if ( projectionType == 3 ) {
+    return sampleCubemap( tex, isMap, texTransform, dir );
+  }
+
+  bool inside = true;
+  vec2 uv = ( texTransform * vec3( fisheyeUv( dir, inside ), 1.0 ) ).xy;
+  // Gradients before the branch, where every fragment of the quad still runs
+  vec2 dx = dFdx( uv );
+  vec2 dy = dFdy( uv );
+  if ( !inside ) {
+    return vec4( 0.0, 0.0, 0.0, 1.0 );
+  }
+  return screenTexel( tex, isMap, uv, dx, dy );
+}
+
+// Source pixels per degree of the viewer's visual field at this fragment, or -1 where there is no content
+// Texture gradients give source pixels per screen pixel, the view direction's gradient gives
+// degrees per screen pixel; the coarser of the two screen directions is reported
+float screenPixelsPerDegree() {
+  vec3 view = normalize( vDomeWorldPosition - cameraPosition );
+  float degreesX = max( degrees( length( dFdx( view ) ) ), 1e-6 );
+  float degreesY = max( degrees( length( dFdy( view ) ) ), 1e-6 );
+  vec2 dx;
+  vec2 dy;
+  if ( projectionType == 0 ) {
+    dx = dFdx( vMapUv );
+    dy = dFdy( vMapUv );
+  } else {
+    vec3 dir = contentDirection();
+    if ( projectionType == 2 ) {
+      wrappedGradients( equirectangularUv( dir ), dx, dy );
+    } else if ( projectionType == 3 ) {
+      int face;
+      vec2 uv = cubeFaceUv( dir, face );
+      vec2 grid = cubemapLayout == 0 ? vec2( 4.0, 3.0 ) : cubemapLayout == 1 ? vec2( 3.0, 4.0 ) : vec2( 3.0, 2.0 );
+      dx = dFdx( uv ) / grid;
+      dy = dFdy( uv ) / grid;
+    } else {
+      bool inside = true;
+      vec2 uv = fisheyeUv( dir, inside );
+      dx = dFdx( uv );
+      dy = dFdy( uv );
+      if ( !inside ) return -1.0;
+    }
+    dx = mat2( mapTransform ) * dx;
+    dy = mat2( mapTransform ) * dy;
+  }
+
+  vec2 size = screenTiled ? screenImageSize : vec2( textureSize( map, 0 ) );
+  return min( length( dx * size ) / degreesX, length( dy * size ) / degreesY );
+}
+
+const float PIXEL_DENSITY_LEVELS[ ${PIXEL_DENSITY_STOPS.length} ] = float[ ${PIXEL_DENSITY_STOPS.length} ]( ${pixelDensityLevels} );
+const vec3 PIXEL_DENSITY_COLORS[ ${PIXEL_DENSITY_STOPS.length} ] = vec3[ ${PIXEL_DENSITY_STOPS.length} ]( ${pixelDensityColors} );
+
+// Heatmap over a grey version of the content, so the picture stays recognisable
+vec3 applyPixelDensityView( vec3 color ) {
+  float ppd = screenPixelsPerDegree();
+  if ( ppd < 0.0 ) return color;
+  vec3 heat = PIXEL_DENSITY_COLORS[ ${PIXEL_DENSITY_STOPS.length - 1} ];
+  for ( int i = 1; i < ${PIXEL_DENSITY_STOPS.length}; i ++ ) {
+    if ( ppd < PIXEL_DENSITY_LEVELS[ i ] ) {
+      float t = ( ppd - PIXEL_DENSITY_LEVELS[ i - 1 ] ) / ( PIXEL_DENSITY_LEVELS[ i ] - PIXEL_DENSITY_LEVELS[ i - 1 ] );
+      heat = mix( PIXEL_DENSITY_COLORS[ i - 1 ], PIXEL_DENSITY_COLORS[ i ], t );
+      break;
+    }
+  }
+  return mix( vec3( dot( color, vec3( 0.2126, 0.7152, 0.0722 ) ) ), heat, pixelDensityOpacity );
+}
+
+// Tone-mapping curves after three.js (tonemapping_pars_fragment), renamed so they
+// cannot clash with the renderer's own when its toneMapping is enabled
+vec3 screenRRTAndODTFit( vec3 v ) {
+  vec3 a = v * ( v + 0.0245786 ) - 0.000090537;
+  vec3 b = v * ( 0.983729 * v + 0.4329510 ) + 0.238081;
+  return a / b;
+}
+
+vec3 screenACESFilmic( vec3 color ) {
+  const mat3 inputMat = mat3(
+    vec3( 0.59719, 0.07600, 0.02840 ),
+    vec3( 0.35458, 0.90834, 0.13383 ),
+    vec3( 0.04823, 0.01566, 0.83777 )
+  );
+  const mat3 outputMat = mat3(
+    vec3( 1.60475, -0.10208, -0.00327 ),
+    vec3( -0.53108, 1.10813, -0.07276 ),
+    vec3( -0.07367, -0.00605, 1.07602 )
+  );
+  color = inputMat * ( color / 0.6 );
+  color = screenRRTAndODTFit( color );
+  return clamp( outputMat * color, 0.0, 1.0 );
+}
+
+vec3 screenAgX( vec3 color ) {
+  const mat3 srgbToRec2020 = mat3(
+    vec3( 0.6274, 0.0691, 0.0164 ),
+    vec3( 0.3293, 0.9195, 0.0880 ),
+    vec3( 0.0433, 0.0113, 0.8956 )
+  );
+  const mat3 rec2020ToSrgb = mat3(
+    vec3( 1.6605, -0.1246, -0.0182 ),
+    vec3( -0.5876, 1.1329, -0.1006 ),
+    vec3( -0.0728, -0.0083, 1.1187 )
+  );
+  const mat3 insetMat = mat3(
+    vec3( 0.856627153315983, 0.137318972929847, 0.11189821299995 ),
+    vec3( 0.0951212405381588, 0.761241990602591, 0.0767994186031903 ),
+    vec3( 0.0482516061458583, 0.101439036467562, 0.811302368396859 )
+  );
+  const mat3 outsetMat = mat3(
+    vec3( 1.1271005818144368, -0.1413297634984383, -0.14132976349843826 ),
+    vec3( -0.11060664309660323, 1.157823702216272, -0.11060664309660294 ),
+    vec3( -0.016493938717834573, -0.016493938717834257, 1.2519364065950405 )
+  );
+  const float minEv = -12.47393;
+  const float maxEv = 4.026069;
+
+  color = insetMat * ( srgbToRec2020 * color );
+  color = clamp( ( log2( max( color, 1e-10 ) ) - minEv ) / ( maxEv - minEv ), 0.0, 1.0 );
+
+  // Sigmoid contrast approximation
+  vec3 x2 = color * color;
+  vec3 x4 = x2 * x2;
+  color = 15.5 * x4 * x2 - 40.14 * x4 * color + 31.96 * x4 - 6.868 * x2 * color + 0.4298 * x2 + 0.1191 * color - 0.00232;
+
+  color = pow( max( vec3( 0.0 ), outsetMat * color ), vec3( 2.2 ) );
+  return clamp( rec2020ToSrgb * color, 0.0, 1.0 );
+}
+
+// Exposure (linear multiplier from stops) followed by the selected operator
+vec3 screenToneMap( vec3 color ) {
+  color *= screenExposure;
+  if ( screenToneMapping == 1 ) return screenACESFilmic( color );
+  if ( screenToneMapping == 2 ) return screenAgX( color );
+  if ( screenToneMapping == 3 ) return clamp( color / ( vec3( 1.0 ) + color ), 0.0, 1.0 );
+  return color;
+}
+
+// Basic grade on display-encoded values, the way the same controls behave in players and editors
+vec3 applyColorCorrection( vec3 color ) {
+  vec3 c = sRGBTransferOETF( vec4( max( color, 0.0 ), 1.0 ) ).rgb;
+  c = c + colorLift * ( 1.0 - c );
+  c = pow( max( c, 0.0 ), vec3( 1.0 / colorGamma ) );
+  c = ( c - 0.5 ) * colorContrast + 0.5 + colorBrightness;
+  c = mix( vec3( dot( c, vec3( 0.2126, 0.7152, 0.0722 ) ) ), c, colorSaturation );
+
+  // Hue shift: rotate around the grey axis
+  const vec3 grey = vec3( 0.57735 );
+  float cosHue = cos( colorHue );
+  c = c * cosHue + cross( grey, c ) * sin( colorHue ) + grey * dot( grey, c ) * ( 1.0 - cosHue );
+
+  return sRGBTransferEOTF( vec4( max( c, 0.0 ), 1.0 ) ).rgb;
+}
+
+// .cube LUTs are authored on display-encoded values, so grade in sRGB and return to linear
+vec3 applyScreenLUT( vec3 color ) {
+  vec3 encoded = sRGBTransferOETF( vec4( clamp( color, 0.0, 1.0 ), 1.0 ) ).rgb;
+  vec3 uvw = clamp( ( encoded - lutDomainMin ) / ( lutDomainMax - lutDomainMin ), 0.0, 1.0 );
+  // Sample texel centres so the first and last entries land on the domain edges
+  uvw = uvw * ( ( lutSize - 1.0 ) / lutSize ) + 0.5 / lutSize;
+  vec3 graded = texture( lutMap, uvw ).rgb;
+  return sRGBTransferEOTF( vec4( mix( encoded, graded, lutIntensity ), 1.0 ) ).rgb;
+}
+
+// Projector rig: mirrors evaluateProjectors() in projector-rig.js
+// Matrices take world positions into each projector's frame (x right, y up, z along the lens axis);
+// lenses hold the half extents of the image at unit distance and the lens shift
+vec3 applyProjectorView( vec3 color ) {
+  vec3 normal = normalize( domeCenter - vDomeWorldPosition );
+  float blended = 0.0;
+  float weightSum = 0.0;
+  float count = 0.0;
+  vec3 footprint = vec3( 0.0 );
+
+  for ( int i = 0; i < ${MAX_PROJECTORS}; i ++ ) {
+    if ( i >= projectorCount ) break;
+    vec3 p = ( projectorMatrices[ i ] * vec4( vDomeWorldPosition, 1.0 ) ).xyz;
+    if ( p.z <= 0.0 ) continue;
+    vec2 ndc = p.xy / ( p.z * projectorLenses[ i ].xy ) - 2.0 * projectorLenses[ i ].zw;
+    float edge = 1.0 - max( abs( ndc.x ), abs( ndc.y ) );
+    if ( edge < 0.0 ) continue;
+
+    // Illuminance from a flat image plane: E = intensity * cos(incidence) * r / z^3
+    vec3 toProjector = normalize( -( transpose( mat3( projectorMatrices[ i ] ) ) * p ) );
+    float incidence = max( dot( normal, toProjector ), 0.0 );
+    float illuminance = projectorIntensities[ i ] * incidence * length( p ) / ( p.z * p.z * p.z );
+
+    float weight = 1.0;
+    if ( projectorBlend && projectorBlendWidth > 0.0 ) {
+      weight = clamp( edge / ( 2.0 * projectorBlendWidth ), 1e-4, 1.0 );
+    }
+    blended += weight * illuminance;
+    weightSum += weight;
+    count += 1.0;
+    footprint += projectorColors[ i ];
+  }
+
+  if ( projectorBlend && weightSum > 0.0 ) blended /= weightSum;
+  float level = blended / projectorReference;
+
+  if ( projectorView == 1 ) {
+    return color * level;
+  }
+  if ( projectorView == 2 ) {
+    vec3 heat = level < 1.0 ? mix( vec3( 0.0, 0.0, 1.0 ), vec3( 0.0, 1.0, 0.0 ), level ) : mix( vec3( 0.0, 1.0, 0.0 ), vec3( 1.0, 0.0, 0.0 ), min( level - 1.0, 1.0 ) );
+    return count > 0.0 ? heat : vec3( 0.0 );
+  }
+  if ( projectorView == 3 ) {
+    if ( count == 0.0 ) return vec3( 0.0 );
+    vec3 tint = footprint / count;
+    // Stripes mark where images overlap
+    if ( count > 1.0 && mod( gl_FragCoord.x + gl_FragCoord.y, 16.0 ) < 8.0 ) tint = mix( tint, vec3( 1.0 ), 0.6 );
+    return mix( vec3( dot( color, vec3( 0.2126, 0.7152, 0.0722 ) ) ), tint, 0.7 );
+  }
+  // Overlap count: none = dark red, 1 = green, 2 = yellow, 3 or more = magenta
+  if ( count == 0.0 ) return vec3( 0.3, 0.0, 0.0 );
+  if ( count == 1.0 ) return vec3( 0.0, 0.6, 0.0 );
+  if ( count == 2.0 ) return vec3( 1.0, 0.8, 0.0 );
+  return vec3( 1.0, 0.0, 1.0 );
+}
+
+// Anti-aliased line coverage; distance and pixel size are angles on the dome
+float guideLine( float distance, float width, float pixelAngle ) {
+  return clamp( 0.5 * width - distance / pixelAngle + 0.5, 0.0, 1.0 );
+}
+
+// Guide grid in dome space (not content space), so it stays put when the content rotates
+float domeGuideCoverage() {
+  vec3 dir = domeDirection();
+  float pixelAngle = max( length( dFdx( dir ) ), length( dFdy( dir ) ) ) + 1e-6;
+  float altitude = asin( clamp( dir.y, -1.0, 1.0 ) );
+  float azimuth = atan( dir.x, dir.z );
+  float coverage = 0.0;
+
+  // Altitude circles above the spring line
+  float ring = round( altitude / guideAltitudeStep );
+  if ( ring >= 1.0 ) {
+    coverage = max( coverage, guideLine( abs( altitude - ring * guideAltitudeStep ), guideLineWidth, pixelAngle ) );
+  }
+
+  // Azimuth spokes from the spring line to the highest circle (arc distance shrinks towards the zenith)
+  float topRing = floor( ( 0.5 * PI - 1e-3 ) / guideAltitudeStep ) * guideAltitudeStep;
+  if ( altitude >= 0.0 && altitude <= topRing ) {
+    float spokeDistance = abs( azimuth - round( azimuth / guideAzimuthStep ) * guideAzimuthStep ) * cos( altitude );
+    coverage = max( coverage, guideLine( spokeDistance, guideLineWidth, pixelAngle ) );
+  }
+
+  if ( guideSpringLine ) {
+    coverage = max( coverage, guideLine( abs( altitude ), 2.0 * guideLineWidth, pixelAngle ) );
+  }
+
+  // 5 degree arms along the left-right and front-back axes
+  if ( guideZenithCross && altitude > radians( 85.0 ) ) {
+    float crossDistance = min( abs( asin( dir.x ) ), abs( asin( dir.z ) ) );
+    coverage = max( coverage, guideLine( crossDistance, 2.0 * guideLineWidth, pixelAngle ) );
+  }
+
+  // Solid triangle pointing up from the spring line at the front
+  if ( guideFrontMarker && altitude >= 0.0 ) {
+    float markerHeight = radians( 8.0 );
+    float halfWidth = 0.5 * ( markerHeight - altitude );
+    float inside = min( halfWidth - abs( azimuth ) * cos( altitude ), altitude );
+    coverage = max( coverage, clamp( inside / pixelAngle + 0.5, 0.0, 1.0 ) );
+  }
+
+  return coverage;
+}
+#endif
+`;
+
+const mapFragment = /* glsl */ `
+#ifdef USE_MAP
+  vec4 screenColor = sampleScreen( map, true, mapTransform, vMapUv );
+  #ifdef DECODE_VIDEO_TEXTURE
+    screenColor = sRGBTransferEOTF( screenColor );
+  #endif
+  // Outgoing frame of a crossfade, faded out as transitionMix goes to 0
+  if ( transitionMix > 0.0 ) {
+    screenColor = mix( screenColor, sampleScreen( transitionMap, false, transitionTransform, vMapUv ), transitionMix );
+  }
+  if ( colorCorrection ) {
+    screenColor.rgb = applyColorCorrection( screenColor.rgb );
+  }
+  screenColor.rgb = screenToneMap( screenColor.rgb );
+  if ( lutEnabled ) {
+    screenColor.rgb = applyScreenLUT( screenColor.rgb );
+  }
+  if ( projectorView > 0 ) {
+    screenColor.rgb = applyProjectorView( screenColor.rgb );
+  }
+  // Light bounced from the rest of the dome, the same everywhere (see cross-reflection.js)
+  screenColor.rgb += crossReflectionColor;
+  if ( pixelDensityView ) {
+    screenColor.rgb = applyPixelDensityView( screenColor.rgb );
+  }
+  // Guides go on top of the tone-mapped content so exposure does not change them
+  if ( guideVisible ) {
+    screenColor.rgb = mix( screenColor.rgb, guideColor, domeGuideCoverage() * guideOpacity );
+  }
+  diffuseColor *= screenColor;
+#else
+  vec4 screenColor = vec4( 1.0 );
+#endif
+`;
+
+const emissiveFragment = /* glsl */ `
+totalEmissiveRadiance *= screenColor.rgb;
+`;
+
+/**
+ * Patch a screen material so it samples through the dome projection
+ * Safe to call repeatedly - the patch is only installed once per material
+ */
+export function patchScreenMaterial(material) {
+  if (!material || material.userData.domeScreenPatched) return;
+  material.userData.domeScreenPatched = true;
+
+  material.onBeforeCompile = (shader) => {
+    Object.assign(shader.uniforms, screenUniforms);
+
+    shader.vertexShader = shader.vertexShader
+      .replace("#include <common>", `#include <common>\n${vertexPars}`)
+      .replace("#include <project_vertex>", `#include <project_vertex>\n${vertexMain}`);
+
+    shader.fragmentShader = shader.fragmentShader
+      .replace("#include <clipping_planes_pars_fragment>", `#include <clipping_planes_pars_fragment>\n${fragmentPars}`)
+      .replace("#include <map_fragment>", mapFragment)
+      .replace("#include <emissivemap_fragment>", emissiveFragment);
+  };
+  material.customProgramCacheKey = () => "dome-screen";
+  material.needsUpdate = true;
+}
+
+/**
+ * Dome radius in world units, measured from the screen mesh
+ */
+export function getDomeRadius() {
+  return domeRadius;
+}
+
+/**
+ * Derive the dome centre and orientation from the screen mesh
+ * The spring line centre is taken from the mesh bounds; aperture, tilt and azimuth come from domeSettings
+ * Pass null to keep the current centre and only refresh the orientation
+ */
+export function updateDomeFrame(screenObject) {
+  if (screenObject) {
+    screenObject.updateWorldMatrix(true, false);
+    const box = new THREE.Box3().setFromObject(screenObject);
+    const size = box.getSize(new THREE.Vector3());
+    const radius = Math.max(size.x, size.z) / 2;
+    const center = box.getCenter(new THREE.Vector3());
+    center.y = box.max.y - radius;
+    screenUniforms.domeCenter.value.copy(center);
+    domeRadius = radius;
+  }
+
+  screenUniforms.fisheyeAperture.value = THREE.MathUtils.degToRad(domeSettings.aperture);
+
+  const azimuth = THREE.MathUtils.degToRad(domeSettings.azimuth);
+  const tilt = THREE.MathUtils.degToRad(domeSettings.tilt);
+
+  // Untilted frame: zenith straight up, front rotated around the world Y axis
+  const up = new THREE.Vector3(0, 1, 0);
+  const front = new THREE.Vector3(Math.sin(azimuth), 0, Math.cos(azimuth));
+
+  // Tilting leans the zenith towards the front
+  const tiltedUp = up.clone().multiplyScalar(Math.cos(tilt)).addScaledVector(front, Math.sin(tilt));
+  const tiltedFront = front.clone().multiplyScalar(Math.cos(tilt)).addScaledVector(up, -Math.sin(tilt));
+  const right = new THREE.Vector3().crossVectors(tiltedFront, tiltedUp);
+
+  // Rows map world directions into dome space (x = right, y = zenith, z = front)
+  screenUniforms.domeBasis.value.set(
+    right.x, right.y, right.z,
+    tiltedUp.x, tiltedUp.y, tiltedUp.z,
+    tiltedFront.x, tiltedFront.y, tiltedFront.z
+  );
+}
+
+/**
+ * Update dome aperture (degrees) and orientation (tilt/azimuth in degrees)
+ */
+export function setDomeSettings(values) {
+  Object.assign(domeSettings, values);
+  updateDomeFrame(null);
+}
+
+/**
+ * Rotate the content sphere (degrees)
+ * Yaw turns around the zenith, pitch around the left-right axis, roll around the front axis
+ */
+export function setContentRotation(yaw, pitch, roll) {
+  const euler = new THREE.Euler(
+    THREE.MathUtils.degToRad(pitch),
+    THREE.MathUtils.degToRad(yaw),
+    THREE.MathUtils.degToRad(roll),
+    "YXZ"
+  );
+  // The shader maps dome directions into content space, so it needs the inverse rotation
+  const rotation = new THREE.Matrix4().makeRotationFromEuler(euler);
+  screenUniforms.contentRotation.value.setFromMatrix4(rotation).transpose();
+}
+
+export function setCubemapLayout(layout) {
+  screenUniforms.cubemapLayout.value = CUBEMAP_LAYOUTS[layout] ?? CUBEMAP_LAYOUTS["horizontal-cross"];
+}
+
+/**
+ * Screen exposure in stops (0 = unchanged)
+ */
+export function setScreenExposure(stops) {
+  toneMappingSettings.exposure = stops;
+  screenUniforms.screenExposure.value = Math.pow(2, stops);
+}
+
+/**
+ * Tone-mapping operator for the screen content: "none", "ACES", "AgX" or "Reinhard"
+ */
+export function setScreenToneMapping(operator) {
+  toneMappingSettings.operator = operator;
+  screenUniforms.screenToneMapping.value = TONE_MAPPING_TYPES[operator] ?? TONE_MAPPING_TYPES.none;
+}
+
+/**
+ * Tell the shader how the screen map is stored: split into tiles (userData.tiling,
+ * see large-texture.js) or, for compressed textures, with the top row first
+ */
+export function setScreenMapLayout(texture) {
+  const tiling = texture ? texture.userData.tiling : null;
+  screenUniforms.screenMapFlipY.value = !!(texture && texture.isCompressedTexture);
+  screenUniforms.screenTiled.value = !!tiling;
+  screenUniforms.screenTile1.value = tiling ? tiling.tiles[1] || null : null;
+  screenUniforms.screenTile2.value = tiling ? tiling.tiles[2] || null : null;
+  screenUniforms.screenTile3.value = tiling ? tiling.tiles[3] || null : null;
+  if (!tiling) return;
+  screenUniforms.screenTileGrid.value.set(tiling.columns, tiling.rows);
+  screenUniforms.screenTileSize.value.set(tiling.tileWidth, tiling.tileHeight);
+  screenUniforms.screenTileGutter.value = tiling.gutter;
+  screenUniforms.screenImageSize.value.set(tiling.width, tiling.height);
+}
+
+export function setProjectionType(type) {
+  screenUniforms.projectionType.value = type;
+}
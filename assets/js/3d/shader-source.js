@@ -0,0 +1,260 @@
+import * as THREE from "three";
+import { renderer, canvas } from "./scene.js";
+
+/**
+ * Live shader source
+ * Renders a Shadertoy-style fragment shader (mainImage with iTime, iTimeDelta,
+ * iFrame, iResolution, iMouse, iDate and iChannel0) into a render target that
+ * the screen shows like any other texture. Output is treated as display
+ * (sRGB) encoded, as on Shadertoy, and converted to linear for the screen.
+ */
+
+export const DEFAULT_SHADER_SIZE = 2048;
+
+export const DEFAULT_SHADER_CODE = `// Shadertoy-style fragment shader
+// Available: iTime, iTimeDelta, iFrame, iResolution, iMouse, iDate,
+// iChannel0 (the media that was on screen before) and iChannelResolution[0].
+// In dome projection the image is a fisheye domemaster: centre = zenith,
+// edge = horizon, front at the bottom.
+
+void mainImage(out vec4 fragColor, in vec2 fragCoord) {
+  vec2 uv = (2.0 * fragCoord - iResolution.xy) / iResolution.y;
+  float r = length(uv);
+  float a = atan(uv.y, uv.x);
+
+  vec3 color = 0.5 + 0.5 * cos(iTime + vec3(0.0, 2.0, 4.0) + r * 6.0 - a * 3.0);
+  color *= smoothstep(1.0, 0.98, r);
+
+  fragColor = vec4(color, 1.0);
+}
+`;
+
+const VERTEX_SHADER = /* glsl */ `
+in vec3 position;
+
+void main() {
+  gl_Position = vec4( position.xy, 0.0, 1.0 );
+}
+`;
+
+const FRAGMENT_PREFIX = /* glsl */ `precision highp float;
+precision highp int;
+precision highp sampler2D;
+
+uniform vec3 iResolution;
+uniform float iTime;
+uniform float iTimeDelta;
+uniform int iFrame;
+uniform vec4 iMouse;
+uniform vec4 iDate;
+uniform sampler2D iChannel0;
+uniform vec3 iChannelResolution[4];
+
+out vec4 shaderSourceFragColor;
+`;
+
+const FRAGMENT_SUFFIX = /* glsl */ `
+
+vec3 shaderSourceSRGBToLinear( vec3 color ) {
+  return mix( color / 12.92, pow( ( color + 0.055 ) / 1.055, vec3( 2.4 ) ), step( 0.04045, color ) );
+}
+
+void main() {
+  vec4 color = vec4( 0.0, 0.0, 0.0, 1.0 );
+  mainImage( color, gl_FragCoord.xy );
+  shaderSourceFragColor = vec4( shaderSourceSRGBToLinear( clamp( color.rgb, 0.0, 1.0 ) ), 1.0 );
+}
+`;
+
+// User line N is line N + PREFIX_LINES in the compiled source (counting the #version line)
+const PREFIX_LINES = FRAGMENT_PREFIX.split("\n").length;
+
+const activeSources = new Set();
+const blackTexture = new THREE.DataTexture(new Uint8Array([0, 0, 0, 255]), 1, 1);
+blackTexture.needsUpdate = true;
+
+/**
+ * Compile a fragment shader on its own to collect errors without touching the
+ * screen. Returns [{ line, message }] (line is 0 when it cannot be mapped).
+ */
+function checkShader(fragmentSource) {
+  const gl = renderer.getContext();
+  const shader = gl.createShader(gl.FRAGMENT_SHADER);
+  gl.shaderSource(shader, "#version 300 es\n" + fragmentSource);
+  gl.compileShader(shader);
+
+  let errors = [];
+  if (!gl.getShaderParameter(shader, gl.COMPILE_STATUS)) {
+    const log = gl.getShaderInfoLog(shader) || "Unknown compile error";
+    errors = log
+      .split("\n")
+      .map((line) => line.trim())
+      .filter(Boolean)
+      .map((line) => {
+        // "ERROR: 0:12: 'foo' : undeclared identifier"
+        const match = line.match(/^ERROR:\s*\d+:(\d+):\s*(.*)$/);
+        if (!match) return { line: 0, message: line };
+        const userLine = parseInt(match[1], 10) - PREFIX_LINES;
+        return { line: Math.max(0, userLine), message: match[2] };
+      });
+  }
+  gl.deleteShader(shader);
+  return errors;
+}
+
+export class ShaderSource {
+  constructor({ size = DEFAULT_SHADER_SIZE, channel0 = null } = {}) {
+    this.requestedSize = size;
+    this.size = Math.min(size, renderer.capabilities.maxTextureSize);
+    this.renderTarget = new THREE.WebGLRenderTarget(this.size, this.size, {
+      type: THREE.HalfFloatType,
+      depthBuffer: false,
+    });
+    this.code = "";
+    this.startTime = performance.now();
+    this.lastTime = this.startTime;
+    this.frame = 0;
+
+    this.uniforms = {
+      iResolution: { value: new THREE.Vector3(this.size, this.size, 1) },
+      iTime: { value: 0 },
+      iTimeDelta: { value: 0 },
+      iFrame: { value: 0 },
+      iMouse: { value: new THREE.Vector4() },
+      iDate: { value: new THREE.Vector4() },
+      iChannel0: { value: blackTexture },
+      iChannelResolution: { value: [new THREE.Vector3(), new THREE.Vector3(), new THREE.Vector3(), new THREE.Vector3()] },
+    };
+    this.setChannel0(channel0);
+
+    this.camera = new THREE.OrthographicCamera(-1, 1, 1, -1, 0, 1);
+    this.scene = new THREE.Scene();
+    this.quad = new THREE.Mesh(new THREE.PlaneGeometry(2, 2));
+    this.quad.frustumCulled = false;
+    this.scene.add(this.quad);
+
+    this.pointerDown = false;
+    this.onPointerDown = this.onPointerDown.bind(this);
+    this.onPointerMove = this.onPointerMove.bind(this);
+    this.onPointerUp = this.onPointerUp.bind(this);
+    canvas.addEventListener("pointerdown", this.onPointerDown);
+    canvas.addEventListener("pointermove", this.onPointerMove);
+    window.addEventListener("pointerup", this.onPointerUp);
+
+    activeSources.add(this);
+  }
+
+  get texture() {
+    return this.renderTarget.texture;
+  }
+
+  /**
+   * Compile new mainImage code. On errors the previous shader keeps running.
+   * Returns the list of { line, message } errors (empty on success).
+   */
+  compile(code) {
+    const fragmentShader = FRAGMENT_PREFIX + code + FRAGMENT_SUFFIX;
+    const errors = checkShader(fragmentShader);
+    if (errors.length > 0) return errors;
+
+    const material = new THREE.RawShaderMaterial({
+      glslVersion: THREE.GLSL3,
+      vertexShader: VERTEX_SHADER,
+      fragmentShader,
+      uniforms: this.uniforms,
+      depthTest: false,
+      depthWrite: false,
+    });
+    this.quad.material.dispose();
+    this.quad.material = material;
+    this.code = code;
+    return [];
+  }
+
+  /**
+   * Texture sampled as iChannel0 (null for black)
+   */
+  setChannel0(texture) {
+    this.uniforms.iChannel0.value = texture || blackTexture;
+    const image = texture?.image;
+    const width = image?.videoWidth || image?.width || 1;
+    const height = image?.videoHeight || image?.height || 1;
+    this.uniforms.iChannelResolution.value[0].set(width, height, 1);
+  }
+
+  restart() {
+    this.startTime = performance.now();
+    this.lastTime = this.startTime;
+    this.frame = 0;
+  }
+
+  // iMouse follows Shadertoy: xy = current position while the button is held,
+  // zw = click position (negative once released), in render target pixels
+  getPointerPosition(e) {
+    const rect = canvas.getBoundingClientRect();
+    return {
+      x: ((e.clientX - rect.left) / rect.width) * this.size,
+      y: (1 - (e.clientY - rect.top) / rect.height) * this.size,
+    };
+  }
+
+  onPointerDown(e) {
+    if (e.button !== 0) return;
+    const { x, y } = this.getPointerPosition(e);
+    this.pointerDown = true;
+    this.uniforms.iMouse.value.set(x, y, x, y);
+  }
+
+  onPointerMove(e) {
+    if (!this.pointerDown) return;
+    const { x, y } = this.getPointerPosition(e);
+    this.uniforms.iMouse.value.x = x;
+    this.uniforms.iMouse.value.y = y;
+  }
+
+  onPointerUp() {
+    if (!this.pointerDown) return;
+    this.pointerDown = false;
+    const mouse = this.uniforms.iMouse.value;
+    mouse.z = -Math.abs(mouse.z);
+    mouse.w = -Math.abs(mouse.w);
+  }
+
+  render(now) {
+    if (!this.code) return;
+
+    const date = new Date();
+    this.uniforms.iTime.value = (now - this.startTime) / 1000;
+    this.uniforms.iTimeDelta.value = Math.max(0, now - this.lastTime) / 1000;
+    this.uniforms.iFrame.value = this.frame++;
+    this.uniforms.iDate.value.set(
+      date.getFullYear(),
+      date.getMonth(),
+      date.getDate(),
+      date.getHours() * 3600 + date.getMinutes() * 60 + date.getSeconds() + date.getMilliseconds() / 1000
+    );
+    this.lastTime = now;
+
+    const previousTarget = renderer.getRenderTarget();
+    renderer.setRenderTarget(this.renderTarget);
+    renderer.render(this.scene, this.camera);
+    renderer.setRenderTarget(previousTarget);
+  }
+
+  dispose() {
+    activeSources.delete(this);
+    canvas.removeEventListener("pointerdown", this.onPointerDown);
+    canvas.removeEventListener("pointermove", this.onPointerMove);
+    window.removeEventListener("pointerup", this.onPointerUp);
+    this.quad.material.dispose();
+    this.quad.geometry.dispose();
+    this.renderTarget.dispose();
+  }
+}
+
+/**
+ * Render every live shader source - call once per frame before the scene renders
+ */
+export function updateShaderSources(currentTime) {
+  activeSources.forEach((source) => source.render(currentTime));
+}
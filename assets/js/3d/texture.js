@@ -1,24 +1,85 @@
 import * as THREE from "three";
+import { EXRLoader } from "three/addons/loaders/EXRLoader.js";
+import { HDRLoader } from "three/addons/loaders/HDRLoader.js";
 import { configureTexture, applyTextureToScreen, getMaterial, setTextureColorSpace } from "./utils.js";
 import { SCREEN_MATERIAL_SETTINGS } from "./config.js";
-import { screenSettings } from "../core/settings.js";
-
-// Re-export setTextureColorSpace for GUI access
-export { setTextureColorSpace };
+import { screenSettings, videoSettings } from "../core/settings.js";
+import { ImageSequencePlayer, getDroppedImageFiles } from "./image-sequence.js";
+import { FrameCallbackTexture } from "./video-frames.js";
+import { WebCodecsVideoPlayer, isWebCodecsSupported } from "./webcodecs-video.js";
+import { isDemuxableVideo } from "./video-demuxer.js";
+import { ShaderSource, DEFAULT_SHADER_SIZE, DEFAULT_SHADER_CODE } from "./shader-source.js";
+import { isLUTFile, loadLUT } from "./lut.js";
+import { applyMediaColorCorrection } from "./color-correction.js";
+import { createTiledTexture, checkDataTextureSize, clearTextureWarning, isKTX2File, loadKTX2Texture } from "./large-texture.js";
+import {
+  PROJECTION_TYPES,
+  updateDomeFrame,
+  setProjectionType,
+  setDomeSettings,
+  setContentRotation,
+  setCubemapLayout,
+  setScreenExposure,
+  setScreenToneMapping,
+} from "./screen-shader.js";
+
+// Re-export shader and color space setters for GUI access
+export {
+  isKTX2File,
+  setTextureColorSpace,
+  setDomeSettings,
+  setContentRotation,
+  setCubemapLayout,
+  setScreenExposure,
+  setScreenToneMapping,
+  DEFAULT_SHADER_CODE,
+};
 
 let screenObject = null;
 let currentVideoTexture = null;
 let currentVideo = null;
 let currentImageTexture = null;
-let currentWebcamStream = null;
+let currentStream = null; // Live camera or screen capture stream
 let currentVideoFilename = '';
+let currentShaderSource = null; // { source, channelTexture, channelVideo }
+let currentMediaKey = null; // Identifies the media item on screen, e.g. "video:clip.mp4"
+let currentMediaFile = null; // Local file the media on screen was loaded from, if any
+const mediaChangeListeners = [];
 
 export function getCurrentVideoFilename() {
   return currentVideoFilename;
 }
 
+export function getCurrentMediaKey() {
+  return currentMediaKey;
+}
+
+/**
+ * The local image or video file on screen, or null for other media
+ */
+export function getCurrentMediaFile() {
+  return currentMediaFile;
+}
+
+/**
+ * Subscribe to the media on screen changing; the callback receives the new media key
+ * ("url:" keys hold the URL the media was loaded from)
+ */
+export function onMediaChange(callback) {
+  mediaChangeListeners.push(callback);
+}
+
+// Per-item settings (color correction) follow the media key
+function setMediaKey(key, file = null) {
+  currentMediaKey = key;
+  currentMediaFile = file;
+  applyMediaColorCorrection(key);
+  mediaChangeListeners.forEach((listener) => listener(key));
+}
+
 export function setScreenObject(obj) {
   screenObject = obj;
+  updateDomeFrame(obj);
 }
 
 export function getScreenObject() {
@@ -37,16 +98,83 @@ export function getCurrentImageTexture() {
   return currentImageTexture;
 }
 
+/**
+ * Frame statistics of the video on screen, or null when there is none
+ * { decoder, frames, dropped, uploads, missed }: frames the decoder produced,
+ * how many of them were dropped, texture uploads, and frames the video
+ * presented that the renderer never picked up
+ */
+export function getVideoFrameStats() {
+  if (!currentVideo || typeof currentVideo.getVideoPlaybackQuality !== "function") return null;
+  const quality = currentVideo.getVideoPlaybackQuality();
+  const uploads = currentVideo.isWebCodecs ? currentVideo : currentVideoTexture;
+  return {
+    decoder: currentVideo.isWebCodecs ? `WebCodecs (${currentVideo.codec})` : "Video element",
+    frames: quality.totalVideoFrames,
+    dropped: quality.droppedVideoFrames,
+    uploads: uploads?.uploadedFrames ?? 0,
+    missed: uploads?.missedFrames ?? 0,
+  };
+}
+
+// Stop a video, stream or image sequence and release its source
+function releaseVideo(video) {
+  video.pause();
+  if (video.isImageSequence || video.isWebCodecs) {
+    video.dispose();
+  } else if (video.srcObject) {
+    video.srcObject = null;
+  } else {
+    URL.revokeObjectURL(video.src);
+    video.src = "";
+  }
+}
+
+function releaseCurrentVideo() {
+  if (!currentVideo) return;
+  // Replacing a live stream ends it, so the camera light / sharing indicator goes off
+  if (currentStream && currentVideo.srcObject === currentStream) {
+    stopCurrentStream();
+  }
+  releaseVideo(currentVideo);
+  currentVideo = null;
+}
+
+function stopCurrentStream() {
+  if (!currentStream) return;
+  currentStream.getTracks().forEach((track) => track.stop());
+  currentStream = null;
+  if (window.onMediaStreamEnded) window.onMediaStreamEnded();
+}
+
+// Stop the live shader along with the media it kept as iChannel0
+function releaseShaderSource() {
+  if (!currentShaderSource) return;
+  const { source, channelTexture, channelVideo } = currentShaderSource;
+  if (currentImageTexture === source.texture) {
+    currentImageTexture = null;
+  }
+  source.dispose();
+  if (channelTexture) channelTexture.dispose();
+  if (channelVideo) {
+    if (currentStream && channelVideo.srcObject === currentStream) stopCurrentStream();
+    releaseVideo(channelVideo);
+  }
+  currentShaderSource = null;
+}
+
 export function loadDefaultScreenTexture(imagePath = screenSettings.defaultImage || "assets/media/background.png") {
   if (!screenObject) {
     return Promise.resolve();
   }
 
   // Dispose of previous texture to prevent memory leaks
+  releaseShaderSource();
   if (currentImageTexture) {
     currentImageTexture.dispose();
     currentImageTexture = null;
   }
+  clearTextureWarning();
 
   return new Promise((resolve, reject) => {
     const textureLoader = new THREE.TextureLoader();
@@ -60,6 +188,7 @@ export function loadDefaultScreenTexture(imagePath = screenSettings.defaultImage
         texture.rotation = 0;
         applyTextureToScreen(texture, screenObject);
         currentImageTexture = texture;
+        setMediaKey(`image:${imagePath}`);
         resolve(texture);
       },
       undefined,
@@ -71,52 +200,241 @@ export function loadDefaultScreenTexture(imagePath = screenSettings.defaultImage
   });
 }
 
+// Replace whatever is on the screen with a still image texture
+// Returns the texture shown, which is a tiled copy when the image is too large for one texture
+function showImageTexture(texture, name) {
+  // Compressed (KTX2) textures were already fitted to the GPU when they were loaded
+  if (texture.isDataTexture) {
+    try {
+      checkDataTextureSize(texture, name);
+    } catch (error) {
+      texture.dispose();
+      throw error;
+    }
+  } else if (!texture.isCompressedTexture) {
+    const tiled = createTiledTexture(texture.image, name);
+    if (tiled) {
+      texture.dispose();
+      texture = tiled;
+    } else {
+      clearTextureWarning();
+    }
+  }
+
+  if (currentVideoTexture) {
+    currentVideoTexture.dispose();
+    currentVideoTexture = null;
+  }
+  releaseShaderSource();
+  releaseCurrentVideo();
+  if (currentImageTexture) {
+    currentImageTexture.dispose();
+  }
+
+  configureTexture(texture);
+  texture.rotation = 0;
+  applyTextureToScreen(texture, screenObject);
+  currentImageTexture = texture;
+
+  const material = getMaterial(screenObject);
+  if (material) {
+    setTimeout(() => {
+      Object.assign(material, SCREEN_MATERIAL_SETTINGS);
+      material.needsUpdate = true;
+    }, 200);
+  }
+  return texture;
+}
+
+/**
+ * High dynamic range stills (OpenEXR and Radiance .hdr)
+ */
+export function isHDRFile(file) {
+  return /\.(exr|hdr)$/i.test(file.name);
+}
+
+/**
+ * Load an EXR or HDR file as a float texture. The data is linear, so the
+ * screen's exposure and tone mapping decide how it is displayed.
+ */
+export function loadHDRImage(file) {
+  if (!screenObject) return Promise.resolve(null);
+
+  const loader = /\.exr$/i.test(file.name) ? new EXRLoader() : new HDRLoader();
+  const url = URL.createObjectURL(file);
+  return loader
+    .loadAsync(url)
+    .then((texture) => {
+      // Each loader sets the flip that matches its row order; keep it
+      const flipY = texture.flipY;
+      showImageTexture(texture, file.name);
+      setMediaKey(`image:${file.name}`, file);
+      texture.flipY = flipY;
+      texture.colorSpace = THREE.LinearSRGBColorSpace;
+      texture.needsUpdate = true;
+      return texture;
+    })
+    .finally(() => URL.revokeObjectURL(url));
+}
+
+/**
+ * Load a KTX2/Basis file as a compressed texture
+ * Compressed data is stored top row first and cannot be flipped on upload, so
+ * the screen shader flips it instead
+ */
+export function loadKTX2Image(file) {
+  if (!screenObject) return Promise.resolve(null);
+
+  return loadKTX2Texture(file).then((texture) => {
+    const colorSpace = texture.colorSpace;
+    showImageTexture(texture, file.name);
+    setMediaKey(`image:${file.name}`, file);
+    texture.flipY = false;
+    texture.colorSpace = colorSpace;
+    texture.needsUpdate = true;
+    return texture;
+  });
+}
+
 export function loadImage(file) {
-  if (!screenObject) return;
+  if (!screenObject) return Promise.resolve(null);
+  if (isHDRFile(file)) return loadHDRImage(file);
+  if (isKTX2File(file)) return loadKTX2Image(file);
+
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = (e) => {
+      const textureLoader = new THREE.TextureLoader();
+      textureLoader.load(
+        e.target.result,
+        (texture) => {
+          const shown = showImageTexture(texture, file.name);
+          setMediaKey(`image:${file.name}`, file);
+          resolve(shown);
+        },
+        undefined,
+        reject
+      );
+    };
+    reader.onerror = reject;
+    reader.readAsDataURL(file);
+  });
+}
+
+export function loadImageFromURL(url) {
+  if (!screenObject) return Promise.reject(new Error("Screen object not available"));
 
-  const reader = new FileReader();
-  reader.onload = (e) => {
+  return new Promise((resolve, reject) => {
     const textureLoader = new THREE.TextureLoader();
+    textureLoader.setCrossOrigin("anonymous");
     textureLoader.load(
-      e.target.result,
+      url,
       (texture) => {
-        if (currentVideoTexture) {
-          currentVideoTexture.dispose();
-          currentVideoTexture = null;
-        }
-        if (currentVideo) {
-          currentVideo.pause();
-          currentVideo.src = "";
-          URL.revokeObjectURL(currentVideo.src);
-          currentVideo = null;
-        }
-        if (currentImageTexture) {
-          currentImageTexture.dispose();
-        }
-
-        configureTexture(texture);
-        texture.rotation = 0;
-        applyTextureToScreen(texture, screenObject);
-        currentImageTexture = texture;
-
-        const material = getMaterial(screenObject);
-        if (material) {
-          setTimeout(() => {
-            Object.assign(material, SCREEN_MATERIAL_SETTINGS);
-            material.needsUpdate = true;
-          }, 200);
-        }
+        const shown = showImageTexture(texture, url.split("/").pop());
+        setMediaKey(`url:${url}`);
+        resolve(shown);
       },
       undefined,
-      () => {}
+      () => reject(new Error("Failed to load image. Make sure the URL allows cross-origin access."))
     );
-  };
-  reader.readAsDataURL(file);
+  });
 }
 
-export function loadVideo(file) {
+// Filename tokens recognised for six separate cube face images
+const CUBE_FACE_ALIASES = {
+  right: ["right", "px", "posx"],
+  left: ["left", "nx", "negx"],
+  top: ["top", "up", "py", "posy"],
+  bottom: ["bottom", "down", "ny", "negy"],
+  front: ["front", "pz", "posz"],
+  back: ["back", "nz", "negz"],
+};
+
+// Cell (column, row) of each face in the horizontal cross the faces are packed into
+const HORIZONTAL_CROSS_CELLS = {
+  top: [1, 0],
+  left: [0, 1],
+  front: [1, 1],
+  right: [2, 1],
+  back: [3, 1],
+  bottom: [1, 2],
+};
+
+/**
+ * Get the cube face a filename refers to (e.g. "scene_px.png" or "front.jpg"), or null
+ */
+export function getCubeFace(filename) {
+  const tokens = filename.replace(/\.[^.]+$/, "").toLowerCase().split(/[^a-z0-9]+/);
+  for (const [face, aliases] of Object.entries(CUBE_FACE_ALIASES)) {
+    if (aliases.some((alias) => tokens.includes(alias))) {
+      return face;
+    }
+  }
+  return null;
+}
+
+/**
+ * True when the files are exactly six images naming each cube face once
+ */
+export function isCubeFaceSet(files) {
+  if (files.length !== 6) return false;
+  const faces = new Set(files.map((file) => (file.type.startsWith("image/") ? getCubeFace(file.name) : null)));
+  return !faces.has(null) && faces.size === 6;
+}
+
+/**
+ * Load six separate face images as a cubemap
+ * The faces are packed into a horizontal cross so they share the single-image cubemap path
+ */
+export async function loadCubemapFaces(files) {
   if (!screenObject) return;
 
+  try {
+    const bitmaps = await Promise.all(files.map((file) => createImageBitmap(file)));
+    const size = bitmaps[0].width;
+
+    const canvas = document.createElement("canvas");
+    canvas.width = size * 4;
+    canvas.height = size * 3;
+    const ctx = canvas.getContext("2d");
+
+    files.forEach((file, index) => {
+      const [column, row] = HORIZONTAL_CROSS_CELLS[getCubeFace(file.name)];
+      ctx.drawImage(bitmaps[index], column * size, row * size, size, size);
+      bitmaps[index].close();
+    });
+
+    showImageTexture(new THREE.CanvasTexture(canvas), "Cubemap");
+    setMediaKey(`cubemap:${files.map((file) => file.name).sort().join(",")}`);
+    setCubemapLayout("horizontal-cross");
+    setProjectionType(PROJECTION_TYPES.cubemap);
+    if (window.onProjectionModeChange) {
+      window.onProjectionModeChange("cubemap", "horizontal-cross");
+    }
+  } catch (error) {
+    console.error("Error loading cubemap faces:", error);
+    alert("Could not load the cube face images.");
+  }
+}
+
+/**
+ * Play a local video file
+ * With videoSettings.webCodecs, MP4/WebM files are decoded frame-exactly
+ * through WebCodecs, falling back to the video element when that fails
+ */
+export function loadVideo(file) {
+  if (!screenObject) return Promise.resolve(null);
+
+  if (videoSettings.webCodecs && isWebCodecsSupported() && isDemuxableVideo(file)) {
+    return loadWebCodecsVideo(file).catch((error) => {
+      console.warn(`Playing ${file.name} without WebCodecs:`, error);
+      return loadVideoElement(file);
+    });
+  }
+  return loadVideoElement(file);
+}
+
+function loadVideoElement(file) {
   // Track filename
   currentVideoFilename = file.name;
 
@@ -128,44 +446,160 @@ export function loadVideo(file) {
   video.volume = 0; // Start at 0, user can adjust
   video.playsInline = true;
 
-  video.addEventListener("loadedmetadata", () => {
-    // Trigger video controls update
-    if (window.setupVideoControls) {
-      setTimeout(() => window.setupVideoControls(), 100);
-    }
-    video.play();
+  return new Promise((resolve, reject) => {
+    video.addEventListener("loadedmetadata", () => {
+      // Trigger video controls update
+      if (window.setupVideoControls) {
+        setTimeout(() => window.setupVideoControls(), 100);
+      }
+      video.play();
 
-    if (currentVideoTexture) currentVideoTexture.dispose();
-    if (currentVideo) {
-      currentVideo.pause();
-      currentVideo.src = "";
-      URL.revokeObjectURL(currentVideo.src);
-    }
-    if (currentImageTexture) {
-      currentImageTexture.dispose();
-      currentImageTexture = null;
-    }
+      if (currentVideoTexture) currentVideoTexture.dispose();
+      releaseShaderSource();
+      releaseCurrentVideo();
+      if (currentImageTexture) {
+        currentImageTexture.dispose();
+        currentImageTexture = null;
+      }
+      clearTextureWarning();
 
-    const videoTexture = new THREE.VideoTexture(video);
-    configureTexture(videoTexture);
-    videoTexture.minFilter = THREE.LinearFilter;
-    videoTexture.magFilter = THREE.LinearFilter;
-    videoTexture.rotation = 0;
+      const videoTexture = new FrameCallbackTexture(video);
+      configureTexture(videoTexture);
+      videoTexture.minFilter = THREE.LinearFilter;
+      videoTexture.magFilter = THREE.LinearFilter;
+      videoTexture.rotation = 0;
 
-    applyTextureToScreen(videoTexture, screenObject);
-    currentVideoTexture = videoTexture;
-    currentVideo = video;
+      applyTextureToScreen(videoTexture, screenObject);
+      currentVideoTexture = videoTexture;
+      currentVideo = video;
+      setMediaKey(`video:${file.name}`, file);
 
-    const material = getMaterial(screenObject);
-    if (material) {
-      setTimeout(() => {
-        Object.assign(material, SCREEN_MATERIAL_SETTINGS);
-        material.needsUpdate = true;
-      }, 200);
-    }
+      const material = getMaterial(screenObject);
+      if (material) {
+        setTimeout(() => {
+          Object.assign(material, SCREEN_MATERIAL_SETTINGS);
+          material.needsUpdate = true;
+        }, 200);
+      }
+
+      resolve(video);
+    });
+
+    video.addEventListener("error", () => reject(new Error(`Failed to load video ${file.name}`)));
   });
+}
+
+// Decode an MP4/WebM file with WebCodecs; rejects when the file or codec is not supported
+async function loadWebCodecsVideo(file) {
+  const player = new WebCodecsVideoPlayer(file);
+  try {
+    await player.load();
+  } catch (error) {
+    player.dispose();
+    throw error;
+  }
+
+  if (currentVideoTexture) {
+    currentVideoTexture.dispose();
+    currentVideoTexture = null;
+  }
+  releaseShaderSource();
+  releaseCurrentVideo();
+  if (currentImageTexture) {
+    currentImageTexture.dispose();
+    currentImageTexture = null;
+  }
+  clearTextureWarning();
+
+  const texture = player.texture;
+  configureTexture(texture);
+  texture.minFilter = THREE.LinearFilter;
+  texture.magFilter = THREE.LinearFilter;
+  texture.rotation = 0;
+
+  applyTextureToScreen(texture, screenObject);
+  currentVideoTexture = texture;
+  currentVideo = player;
+  currentVideoFilename = file.name;
+  setMediaKey(`video:${file.name}`, file);
+
+  player.play();
+  if (window.setupVideoControls) {
+    setTimeout(() => window.setupVideoControls(), 100);
+  }
+
+  const material = getMaterial(screenObject);
+  if (material) {
+    setTimeout(() => {
+      Object.assign(material, SCREEN_MATERIAL_SETTINGS);
+      material.needsUpdate = true;
+    }, 200);
+  }
 
-  video.addEventListener("error", () => {});
+  return player;
+}
+
+/**
+ * Play a set of numbered frames (PNG/JPEG sequence) as a texture
+ * Frames are sorted by frame number and decoded in a worker; the returned
+ * player stands in for the video element so the video controls drive it
+ */
+export async function loadImageSequence(files, frameRate = 24) {
+  if (!screenObject || files.length === 0) return null;
+
+  const player = new ImageSequencePlayer(files, frameRate);
+  try {
+    await player.load();
+  } catch (error) {
+    player.dispose();
+    console.error("Error loading image sequence:", error);
+    alert("Could not decode the image sequence.");
+    return null;
+  }
+
+  if (currentVideoTexture) {
+    currentVideoTexture.dispose();
+    currentVideoTexture = null;
+  }
+  releaseShaderSource();
+  releaseCurrentVideo();
+  if (currentImageTexture) {
+    currentImageTexture.dispose();
+    currentImageTexture = null;
+  }
+  clearTextureWarning();
+
+  const texture = player.texture;
+  configureTexture(texture);
+  texture.flipY = false; // Frames are flipped while decoding
+  texture.minFilter = THREE.LinearFilter;
+  texture.magFilter = THREE.LinearFilter;
+  texture.generateMipmaps = false;
+  texture.rotation = 0;
+
+  applyTextureToScreen(texture, screenObject);
+  currentVideoTexture = texture;
+  currentVideo = player;
+
+  // Name after the first frame's pattern, e.g. "shot_####.png (240 frames)"
+  const first = player.files[0].name;
+  currentVideoFilename = `${first.replace(/\d+(?!.*\d)/, (digits) => "#".repeat(digits.length))} (${player.frameCount} frames)`;
+  setMediaKey(`sequence:${currentVideoFilename}`);
+
+  player.play();
+  if (window.setupVideoControls) {
+    setTimeout(() => window.setupVideoControls(), 100);
+  }
+
+  const material = getMaterial(screenObject);
+  if (material) {
+    setTimeout(() => {
+      Object.assign(material, SCREEN_MATERIAL_SETTINGS);
+      material.needsUpdate = true;
+    }, 200);
+  }
+
+  return player;
 }
 
 // Check if URL is an HLS stream
@@ -215,20 +649,16 @@ export async function loadVideoFromURL(url) {
       video.play();
 
       if (currentVideoTexture) currentVideoTexture.dispose();
-      if (currentVideo) {
-        currentVideo.pause();
-        currentVideo.src = "";
-      }
+      releaseShaderSource();
+      releaseCurrentVideo();
       if (currentImageTexture) {
         currentImageTexture.dispose();
         currentImageTexture = null;
       }
-      if (currentWebcamStream) {
-        currentWebcamStream.getTracks().forEach((track) => track.stop());
-        currentWebcamStream = null;
-      }
+      clearTextureWarning();
+      stopCurrentStream();
 
-      const videoTexture = new THREE.VideoTexture(video);
+      const videoTexture = new FrameCallbackTexture(video);
       configureTexture(videoTexture);
       videoTexture.minFilter = THREE.LinearFilter;
       videoTexture.magFilter = THREE.LinearFilter;
@@ -237,6 +667,7 @@ export async function loadVideoFromURL(url) {
       applyTextureToScreen(videoTexture, screenObject);
       currentVideoTexture = videoTexture;
       currentVideo = video;
+      setMediaKey(`url:${url}`);
 
       const material = getMaterial(screenObject);
       if (material) {
@@ -336,6 +767,117 @@ export async function getVideoDevices() {
   }
 }
 
+/**
+ * Show a live Shadertoy-style shader on the screen, or recompile the running one
+ * The media on screen before it keeps playing as iChannel0
+ * Returns the compile errors as [{ line, message }] - empty on success
+ */
+export function loadShaderSource(code, size = DEFAULT_SHADER_SIZE) {
+  if (!screenObject) return [{ line: 0, message: "Screen object not available" }];
+
+  const running = currentShaderSource?.source;
+  if (running && running.requestedSize === size) {
+    return running.compile(code);
+  }
+
+  // Keep the previous media alive for iChannel0 (or carry it over on a resolution change)
+  const channelTexture = currentShaderSource ? currentShaderSource.channelTexture : currentVideoTexture || currentImageTexture;
+  const channelVideo = currentShaderSource ? currentShaderSource.channelVideo : currentVideo;
+
+  const source = new ShaderSource({ size, channel0: channelTexture });
+  const errors = source.compile(code);
+  if (errors.length > 0) {
+    source.dispose();
+    return errors;
+  }
+
+  if (running) {
+    running.dispose();
+  }
+  currentShaderSource = { source, channelTexture, channelVideo };
+  currentVideoTexture = null;
+  currentVideo = null;
+  currentVideoFilename = '';
+
+  // Same orientation as an image texture: render target rows start at the bottom like flipY images
+  const texture = source.texture;
+  texture.wrapS = THREE.RepeatWrapping;
+  texture.wrapT = THREE.RepeatWrapping;
+  texture.repeat.set(1, -1);
+  texture.center.set(0.5, 0.5);
+  applyTextureToScreen(texture, screenObject);
+  currentImageTexture = texture;
+  clearTextureWarning();
+  setMediaKey("shader");
+  return [];
+}
+
+export function getShaderSource() {
+  return currentShaderSource ? currentShaderSource.source : null;
+}
+
+// Show a live camera or screen capture stream on the screen
+function showMediaStream(stream, label) {
+  if (currentVideoTexture) {
+    currentVideoTexture.dispose();
+    currentVideoTexture = null;
+  }
+  releaseShaderSource();
+  releaseCurrentVideo();
+  if (currentImageTexture) {
+    currentImageTexture.dispose();
+    currentImageTexture = null;
+  }
+  clearTextureWarning();
+  stopCurrentStream();
+
+  const video = document.createElement("video");
+  video.srcObject = stream;
+  video.autoplay = true;
+  video.playsInline = true;
+  video.muted = true;
+
+  video.addEventListener("loadedmetadata", () => {
+    video.play();
+
+    const videoTexture = new FrameCallbackTexture(video);
+    configureTexture(videoTexture);
+    videoTexture.minFilter = THREE.LinearFilter;
+    videoTexture.magFilter = THREE.LinearFilter;
+    videoTexture.rotation = 0;
+
+    applyTextureToScreen(videoTexture, screenObject);
+    currentVideoTexture = videoTexture;
+    currentVideo = video;
+    // Track labels tell cameras and captured windows apart
+    setMediaKey(`${label}:${stream.getVideoTracks()[0]?.label || ""}`);
+
+    const material = getMaterial(screenObject);
+    if (material) {
+      setTimeout(() => {
+        Object.assign(material, SCREEN_MATERIAL_SETTINGS);
+        material.needsUpdate = true;
+      }, 200);
+    }
+  });
+
+  video.addEventListener("error", () => {
+    alert(`Error showing ${label}.`);
+  });
+
+  // The user can stop a share from the browser UI, and cameras can be unplugged
+  stream.getVideoTracks().forEach((track) => {
+    track.addEventListener("ended", () => {
+      if (currentStream === stream) {
+        disconnectMediaStream();
+      }
+    });
+  });
+
+  currentStream = stream;
+  return stream;
+}
+
 export function connectWebcam(deviceId = null) {
   if (!screenObject) return Promise.reject(new Error("Screen object not available"));
 
@@ -351,60 +893,7 @@ export function connectWebcam(deviceId = null) {
 
   return navigator.mediaDevices
     .getUserMedia({ video: videoConstraints, audio: false })
-    .then((stream) => {
-      if (currentVideoTexture) {
-        currentVideoTexture.dispose();
-        currentVideoTexture = null;
-      }
-      if (currentVideo) {
-        currentVideo.pause();
-        currentVideo.srcObject = null;
-        currentVideo = null;
-      }
-      if (currentImageTexture) {
-        currentImageTexture.dispose();
-        currentImageTexture = null;
-      }
-      if (currentWebcamStream) {
-        currentWebcamStream.getTracks().forEach((track) => track.stop());
-        currentWebcamStream = null;
-      }
-
-      const video = document.createElement("video");
-      video.srcObject = stream;
-      video.autoplay = true;
-      video.playsInline = true;
-      video.muted = true;
-
-      video.addEventListener("loadedmetadata", () => {
-        video.play();
-
-        const videoTexture = new THREE.VideoTexture(video);
-        configureTexture(videoTexture);
-        videoTexture.minFilter = THREE.LinearFilter;
-        videoTexture.magFilter = THREE.LinearFilter;
-        videoTexture.rotation = 0;
-
-        applyTextureToScreen(videoTexture, screenObject);
-        currentVideoTexture = videoTexture;
-        currentVideo = video;
-        currentWebcamStream = stream;
-
-        const material = getMaterial(screenObject);
-        if (material) {
-          setTimeout(() => {
-            Object.assign(material, SCREEN_MATERIAL_SETTINGS);
-            material.needsUpdate = true;
-          }, 200);
-        }
-      });
-
-      video.addEventListener("error", () => {
-        alert("Error accessing webcam.");
-      });
-      
-      return stream;
-    })
+    .then((stream) => showMediaStream(stream, "webcam"))
     .catch((error) => {
       console.error("Error accessing webcam:", error);
       alert("Could not access webcam. Please check permissions.");
@@ -412,32 +901,59 @@ export function connectWebcam(deviceId = null) {
     });
 }
 
-export function disconnectWebcam() {
-  if (currentWebcamStream) {
-    currentWebcamStream.getTracks().forEach((track) => track.stop());
-    currentWebcamStream = null;
+/**
+ * Show a desktop window, screen or browser tab picked by the user
+ */
+export function connectScreenCapture() {
+  if (!screenObject) return Promise.reject(new Error("Screen object not available"));
+
+  if (!navigator.mediaDevices || !navigator.mediaDevices.getDisplayMedia) {
+    alert("Screen capture is not available in your browser.");
+    return Promise.reject(new Error("Screen capture not available"));
   }
+
+  return navigator.mediaDevices
+    .getDisplayMedia({ video: { frameRate: { ideal: 60 } }, audio: false })
+    .then((stream) => showMediaStream(stream, "screen capture"))
+    .catch((error) => {
+      // Cancelling the picker is not an error worth alerting about
+      if (error.name !== "NotAllowedError") {
+        console.error("Error capturing screen:", error);
+        alert("Could not capture the screen or window.");
+      }
+      throw error;
+    });
+}
+
+/**
+ * Stop the live camera or screen capture and clear it from the screen
+ */
+export function disconnectMediaStream() {
+  stopCurrentStream();
   if (currentVideoTexture) {
     currentVideoTexture.dispose();
     currentVideoTexture = null;
   }
-  if (currentVideo) {
-    currentVideo.pause();
-    currentVideo.srcObject = null;
-    currentVideo = null;
-  }
+  releaseShaderSource();
+  releaseCurrentVideo();
 }
 
+export const disconnectWebcam = disconnectMediaStream;
+export const disconnectScreenCapture = disconnectMediaStream;
+
 // Projection mode presets
+// `type` selects the screen shader lookup; repeat/offset are applied on top of it
 const projectionModes = {
-  dome: { repeatX: 1, repeatY: -1, offsetX: 0, offsetY: 0 },
-  equirectangular: { repeatX: 1, repeatY: -1, offsetX: 0, offsetY: 0 },
-  '16:9': { repeatX: 1.78, repeatY: -1, offsetX: -0.39, offsetY: 0 },
-  square: { repeatX: 1, repeatY: -1, offsetX: 0, offsetY: 0 }
+  dome: { type: PROJECTION_TYPES.fisheye, repeatX: 1, repeatY: -1, offsetX: 0, offsetY: 0 },
+  equirectangular: { type: PROJECTION_TYPES.equirectangular, repeatX: 1, repeatY: -1, offsetX: 0, offsetY: 0 },
+  '16:9': { type: PROJECTION_TYPES.uv, repeatX: 1.78, repeatY: -1, offsetX: -0.39, offsetY: 0 },
+  square: { type: PROJECTION_TYPES.uv, repeatX: 1, repeatY: -1, offsetX: 0, offsetY: 0 },
+  cubemap: { type: PROJECTION_TYPES.cubemap, repeatX: 1, repeatY: -1, offsetX: 0, offsetY: 0 }
 };
 
 export function applyProjectionMode(texture, mode, scale = 1) {
   const preset = projectionModes[mode] || projectionModes.dome;
+  setProjectionType(preset.type);
   texture.repeat.set(preset.repeatX * scale, preset.repeatY * scale);
   texture.offset.set(preset.offsetX, preset.offsetY);
   texture.needsUpdate = true;
@@ -503,19 +1019,33 @@ export function setupDragAndDrop() {
 
   document.addEventListener(
     "drop",
-    (e) => {
+    async (e) => {
       preventDefaults(e);
       dropZone.classList.remove("drag-over");
       highlightScreen(false);
 
       const files = e.dataTransfer.files;
-      if (files.length > 0) {
+      const hasFolder = Array.from(e.dataTransfer.items || []).some((item) => item.webkitGetAsEntry?.()?.isDirectory);
+      if (files.length === 1 && isLUTFile(files[0])) {
+        // A dropped .cube grades whatever is on screen
+        loadLUT(files[0]).catch((error) => {
+          console.error("Error loading LUT:", error);
+          alert(`Could not load the LUT: ${error.message}`);
+        });
+      } else if (isCubeFaceSet(Array.from(files))) {
+        loadCubemapFaces(Array.from(files));
+        if (window.hideVideoControls) window.hideVideoControls();
+      } else if (hasFolder || (files.length > 1 && Array.from(files).every((file) => file.type.startsWith("image/")))) {
+        // A dropped folder or several frames play back as an image sequence
+        const frames = await getDroppedImageFiles(e.dataTransfer);
+        loadImageSequence(frames);
+      } else if (files.length > 0) {
         const file = files[0];
-        if (file.type.startsWith("image/")) {
-          loadImage(file);
+        if (file.type.startsWith("image/") || isHDRFile(file) || isKTX2File(file)) {
+          loadImage(file).catch((error) => console.error("Error loading image:", error));
           if (window.hideVideoControls) window.hideVideoControls();
         } else if (file.type.startsWith("video/")) {
-          loadVideo(file);
+          loadVideo(file).catch((error) => console.error("Error loading video:", error));
           // Video controls will be set up in loadVideo's loadedmetadata handler
         }
       }
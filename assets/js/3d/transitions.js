@@ -0,0 +1,125 @@
+import * as THREE from "three";
+import { screenUniforms } from "./screen-shader.js";
+import { getMaterial } from "./utils.js";
+
+/**
+ * Screen transitions
+ * A crossfade freezes the outgoing frame into a snapshot texture, then the
+ * screen shader mixes it over the incoming media while transitionMix falls to 0.
+ */
+
+const MAX_SNAPSHOT_SIZE = 2048; // Outgoing frames are only shown briefly - keep them small
+
+let pendingSnapshot = null;
+let activeSnapshot = null;
+let transitionStart = null; // null while a captured frame is held
+let transitionDuration = 0;
+
+function getImageSize(image) {
+  if (!image) return null;
+  const width = image.videoWidth || image.width;
+  const height = image.videoHeight || image.height;
+  return width && height ? { width, height } : null;
+}
+
+/**
+ * Freeze the frame currently on the screen so a following startTransition can fade it out
+ * Returns false when there is nothing to capture (e.g. no texture yet)
+ */
+export function captureTransitionFrame(screenObject) {
+  const material = screenObject ? getMaterial(screenObject) : null;
+  const source = material?.map;
+  // Tiled images keep a small copy of the whole picture
+  const image = source?.userData.previewImage || source?.image;
+  const size = getImageSize(image);
+  if (!size) return false;
+
+  const scale = Math.min(1, MAX_SNAPSHOT_SIZE / Math.max(size.width, size.height));
+  const canvas = document.createElement("canvas");
+  canvas.width = Math.round(size.width * scale);
+  canvas.height = Math.round(size.height * scale);
+
+  try {
+    canvas.getContext("2d").drawImage(image, 0, 0, canvas.width, canvas.height);
+  } catch (error) {
+    // Cross-origin media without CORS headers cannot be read back
+    console.warn("Could not capture frame for transition:", error);
+    return false;
+  }
+
+  if (pendingSnapshot) pendingSnapshot.dispose();
+  const snapshot = new THREE.CanvasTexture(canvas);
+  snapshot.colorSpace = source.colorSpace;
+  snapshot.flipY = source.flipY;
+  snapshot.wrapS = source.wrapS;
+  snapshot.wrapT = source.wrapT;
+  snapshot.offset.copy(source.offset);
+  snapshot.repeat.copy(source.repeat);
+  snapshot.center.copy(source.center);
+  snapshot.rotation = source.rotation;
+  snapshot.updateMatrix();
+  pendingSnapshot = snapshot;
+  return true;
+}
+
+/**
+ * Keep the captured frame fully over the screen until startTransition, e.g.
+ * while the new media loads and decodes its first frame
+ */
+export function holdTransition() {
+  if (!pendingSnapshot) return;
+  if (activeSnapshot) activeSnapshot.dispose();
+
+  activeSnapshot = pendingSnapshot;
+  pendingSnapshot = null;
+  transitionStart = null;
+
+  screenUniforms.transitionMap.value = activeSnapshot;
+  screenUniforms.transitionTransform.value.copy(activeSnapshot.matrix);
+  screenUniforms.transitionMix.value = 1;
+}
+
+/**
+ * Fade the captured (or held) frame out over the new media (duration in seconds)
+ */
+export function startTransition(duration) {
+  holdTransition();
+  if (!activeSnapshot) return;
+  transitionStart = performance.now();
+  transitionDuration = duration * 1000;
+}
+
+/**
+ * Drop any captured or running transition
+ */
+export function cancelTransition() {
+  if (pendingSnapshot) {
+    pendingSnapshot.dispose();
+    pendingSnapshot = null;
+  }
+  if (activeSnapshot) {
+    activeSnapshot.dispose();
+    activeSnapshot = null;
+  }
+  screenUniforms.transitionMap.value = null;
+  screenUniforms.transitionMix.value = 0;
+}
+
+/**
+ * Advance the running transition - call once per frame
+ */
+export function updateTransition(currentTime) {
+  if (!activeSnapshot || transitionStart === null) return;
+
+  const progress = transitionDuration > 0 ? (currentTime - transitionStart) / transitionDuration : 1;
+  if (progress >= 1) {
+    activeSnapshot.dispose();
+    activeSnapshot = null;
+    screenUniforms.transitionMap.value = null;
+    screenUniforms.transitionMix.value = 0;
+    return;
+  }
+  // Smoothstep so the fade eases in and out
+  const t = Math.max(0, progress);
+  screenUniforms.transitionMix.value = 1 - t * t * (3 - 2 * t);
+}
@@ -1,8 +1,10 @@
 import * as THREE from "three";
 import { SCREEN_MATERIAL_SETTINGS } from "./config.js";
+import { patchScreenMaterial, setScreenMapLayout } from "./screen-shader.js";
 
 export function applyTextureToScreen(texture, screenObject) {
   if (!screenObject) return;
+  setScreenMapLayout(texture);
 
   const material = Array.isArray(screenObject.material) ? screenObject.material[0] : screenObject.material;
 
@@ -15,6 +17,7 @@ export function applyTextureToScreen(texture, screenObject) {
       emissiveMap: texture, // Use texture as emissive map
       emissiveIntensity: 1.0, // Full emissive intensity
     });
+    patchScreenMaterial(newMaterial);
     screenObject.material = newMaterial;
     return;
   }
@@ -35,6 +38,8 @@ export function applyTextureToScreen(texture, screenObject) {
   // Set emissive to white with texture for brightness
   material.emissive.setRGB(1, 1, 1);
   material.emissiveIntensity = 1.0; // Full emissive intensity
+  // Sample through the dome projection instead of the mesh UVs
+  patchScreenMaterial(material);
   material.needsUpdate = true;
 }
 
@@ -53,8 +58,12 @@ export function configureTexture(texture, colorSpace = 'sRGB') {
 
 export function setTextureColorSpace(texture, colorSpace) {
   if (!texture) return;
-  texture.colorSpace = colorSpace === 'linear' ? THREE.LinearSRGBColorSpace : THREE.SRGBColorSpace;
-  texture.needsUpdate = true;
+  // Tiled images decode every tile the same way
+  const tiles = texture.userData.tiling ? texture.userData.tiling.tiles : [texture];
+  tiles.forEach((tile) => {
+    tile.colorSpace = colorSpace === 'linear' ? THREE.LinearSRGBColorSpace : THREE.SRGBColorSpace;
+    tile.needsUpdate = true;
+  });
 }
 
 export function getMaterial(mesh) {
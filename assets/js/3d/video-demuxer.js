@@ -0,0 +1,382 @@
+/**
+ * Video demuxer
+ * Indexes the video track of a local MP4/MOV (via mp4box.js) or WebM/MKV file
+ * for WebCodecs decoding: the decoder configuration plus the byte range,
+ * timestamp and key flag of every frame. Frame data is read from the file on
+ * demand, so multi-gigabyte masters are never held in memory.
+ */
+
+const MP4_CHUNK_SIZE = 4 * 1024 * 1024; // Bytes handed to mp4box per step while looking for the moov box
+const WEBM_WINDOW_SIZE = 1024 * 1024; // Bytes read at a time while walking WebM elements
+
+// Matroska element IDs (marker bits included)
+const EBML_IDS = {
+  segment: 0x18538067,
+  info: 0x1549a966,
+  timecodeScale: 0x2ad7b1,
+  tracks: 0x1654ae6b,
+  trackEntry: 0xae,
+  trackNumber: 0xd7,
+  trackType: 0x83,
+  codecId: 0x86,
+  codecPrivate: 0x63a2,
+  defaultDuration: 0x23e383,
+  video: 0xe0,
+  pixelWidth: 0xb0,
+  pixelHeight: 0xba,
+  cluster: 0x1f43b675,
+  timecode: 0xe7,
+  simpleBlock: 0xa3,
+  blockGroup: 0xa0,
+  block: 0xa1,
+  referenceBlock: 0xfb,
+};
+
+// Segment children that end a cluster of unknown size (live recordings)
+const SEGMENT_CHILD_IDS = new Set([
+  EBML_IDS.info,
+  EBML_IDS.tracks,
+  EBML_IDS.cluster,
+  0x114d9b74, // SeekHead
+  0x1c53bb6b, // Cues
+  0x1043a770, // Chapters
+  0x1254c367, // Tags
+  0x1941a469, // Attachments
+]);
+
+export function isDemuxableVideo(file) {
+  return /\.(mp4|m4v|mov|webm|mkv)$/i.test(file.name);
+}
+
+/**
+ * Index the first video track of a file
+ * Resolves with { codec, codedWidth, codedHeight, description, duration, frameRate, samples }
+ * Samples are in decode order as { offset, size, timestamp, duration, key } with
+ * times in microseconds, starting at 0 for the first presented frame; duration
+ * is in seconds. Rejects when the container or codec is not supported.
+ */
+export async function demuxVideoFile(file) {
+  const track = /\.(webm|mkv)$/i.test(file.name) ? await demuxWebM(file) : await demuxMP4(file);
+  const { samples } = track;
+  if (samples.length === 0) {
+    throw new Error(`No video frames found in ${file.name}`);
+  }
+
+  // Whole microseconds, as VideoFrame timestamps are integers
+  const start = samples.reduce((earliest, sample) => Math.min(earliest, sample.timestamp), Infinity);
+  samples.forEach((sample) => {
+    sample.timestamp = Math.round(sample.timestamp - start);
+    sample.duration = Math.round(sample.duration);
+  });
+
+  // WebM blocks carry no duration: use the gap to the next frame
+  const presentation = [...samples].sort((a, b) => a.timestamp - b.timestamp);
+  const gaps = presentation.slice(1).map((sample, index) => sample.timestamp - presentation[index].timestamp);
+  const typicalGap = gaps.length > 0 ? [...gaps].sort((a, b) => a - b)[Math.floor(gaps.length / 2)] : 1e6 / 30;
+  presentation.forEach((sample, index) => {
+    if (!(sample.duration > 0)) sample.duration = gaps[index] || track.frameDuration || typicalGap;
+  });
+
+  const last = presentation[presentation.length - 1];
+  const frameDuration = track.frameDuration || typicalGap;
+  return {
+    codec: track.codec,
+    codedWidth: track.codedWidth,
+    codedHeight: track.codedHeight,
+    description: track.description,
+    duration: (last.timestamp + last.duration) / 1e6,
+    frameRate: 1e6 / frameDuration,
+    samples,
+  };
+}
+
+// MP4 / MOV
+
+async function demuxMP4(file) {
+  const { createFile, DataStream, Endianness, MP4BoxBuffer } = await import("mp4box");
+  // keepMdatData off: media data is skipped and parsed buffers are released, only the sample tables are kept
+  const mp4 = createFile(false);
+  let movie = null;
+  let parseError = null;
+  mp4.onReady = (info) => {
+    movie = info;
+  };
+  mp4.onError = (module, message) => {
+    parseError = new Error(message);
+  };
+
+  // The moov box can sit after the media data; mp4box says where to read next
+  let position = 0;
+  let chunkSize = MP4_CHUNK_SIZE;
+  while (!movie && !parseError && position < file.size) {
+    const chunk = await file.slice(position, position + chunkSize).arrayBuffer();
+    const isLast = position + chunk.byteLength >= file.size;
+    const next = mp4.appendBuffer(MP4BoxBuffer.fromArrayBuffer(chunk, position), isLast);
+    if (next > position) {
+      position = next;
+      chunkSize = MP4_CHUNK_SIZE;
+    } else if (isLast) {
+      break;
+    } else {
+      chunkSize *= 2; // A box larger than the chunk
+    }
+  }
+
+  if (parseError) throw parseError;
+  if (!movie) throw new Error("No movie header (moov) found");
+  const track = movie.videoTracks[0];
+  if (!track) throw new Error("The file has no video track");
+
+  const trak = mp4.getTrackById(track.id);
+  const samples = (trak.samples || []).map((sample) => ({
+    offset: sample.offset,
+    size: sample.size,
+    timestamp: (sample.cts * 1e6) / sample.timescale,
+    duration: (sample.duration * 1e6) / sample.timescale,
+    key: sample.is_sync,
+  }));
+  if (samples.length === 0) {
+    throw new Error("Fragmented MP4 is not supported for frame-exact decoding");
+  }
+
+  return {
+    codec: track.codec.startsWith("vp08") ? "vp8" : track.codec,
+    codedWidth: track.video.width,
+    codedHeight: track.video.height,
+    description: getMP4Description(trak, DataStream, Endianness),
+    frameDuration: (track.duration * 1e6) / track.timescale / track.nb_samples,
+    samples,
+  };
+}
+
+// H.264/H.265 decoders need the avcC/hvcC record (the box without its 8-byte header)
+function getMP4Description(trak, DataStream, Endianness) {
+  for (const entry of trak.mdia.minf.stbl.stsd.entries) {
+    const box = entry.avcC || entry.hvcC;
+    if (box) {
+      const stream = new DataStream(undefined, 0, Endianness.BIG_ENDIAN);
+      box.write(stream);
+      return new Uint8Array(stream.buffer, 8);
+    }
+  }
+  return undefined;
+}
+
+// WebM / Matroska
+
+// Sliding window over the file so element headers can be read without loading it
+class FileWindow {
+  constructor(file) {
+    this.file = file;
+    this.start = 0;
+    this.bytes = new Uint8Array(0);
+  }
+
+  async ensure(offset, length) {
+    if (offset >= this.start && offset + length <= this.start + this.bytes.length) return;
+    const end = Math.min(this.file.size, offset + Math.max(length, WEBM_WINDOW_SIZE));
+    this.bytes = new Uint8Array(await this.file.slice(offset, end).arrayBuffer());
+    this.start = offset;
+    if (this.bytes.length < Math.min(length, this.file.size - offset)) {
+      throw new Error("Unexpected end of file");
+    }
+  }
+
+  byte(offset) {
+    return this.bytes[offset - this.start];
+  }
+
+  view(offset, length) {
+    return new DataView(this.bytes.buffer, this.bytes.byteOffset + offset - this.start, length);
+  }
+}
+
+// EBML variable-length integer; IDs keep their length marker, sizes drop it
+async function readVint(reader, offset, keepMarker) {
+  await reader.ensure(offset, 8);
+  const first = reader.byte(offset);
+  let length = 1;
+  let mask = 0x80;
+  while (length <= 8 && !(first & mask)) {
+    length++;
+    mask >>= 1;
+  }
+  if (length > 8) throw new Error("Invalid EBML data");
+
+  let value = keepMarker ? first : first & (mask - 1);
+  let allOnes = (first & (mask - 1)) === mask - 1;
+  for (let i = 1; i < length; i++) {
+    const byte = reader.byte(offset + i);
+    value = value * 256 + byte;
+    if (byte !== 0xff) allOnes = false;
+  }
+  return { value, length, unknown: !keepMarker && allOnes };
+}
+
+// { id, dataOffset, end } - end is null for elements of unknown size
+async function readElement(reader, offset) {
+  const id = await readVint(reader, offset, true);
+  const size = await readVint(reader, offset + id.length, false);
+  const dataOffset = offset + id.length + size.length;
+  return { id: id.value, dataOffset, end: size.unknown ? null : dataOffset + size.value };
+}
+
+async function readUint(reader, element) {
+  const length = element.end - element.dataOffset;
+  await reader.ensure(element.dataOffset, length);
+  let value = 0;
+  for (let i = 0; i < length; i++) value = value * 256 + reader.byte(element.dataOffset + i);
+  return value;
+}
+
+async function readBytes(reader, element) {
+  const length = element.end - element.dataOffset;
+  await reader.ensure(element.dataOffset, length);
+  return reader.bytes.slice(element.dataOffset - reader.start, element.end - reader.start);
+}
+
+async function readString(reader, element) {
+  return new TextDecoder().decode(await readBytes(reader, element)).replace(/\0+$/, "");
+}
+
+// Call visit(element) for each child in [offset, end) until it returns true
+// Resolves with the offset where reading stopped
+async function forEachChild(reader, offset, end, visit) {
+  while (offset < end) {
+    const element = await readElement(reader, offset);
+    if (element.end === null || element.end > end) {
+      // Unknown-size clusters run until the next segment-level element
+      if (!SEGMENT_CHILD_IDS.has(element.id)) throw new Error("Unsupported WebM layout");
+    }
+    const stop = await visit(element);
+    if (stop) return offset;
+    offset = element.end === null ? end : element.end;
+  }
+  return end;
+}
+
+// Codec string and description for VideoDecoder from the Matroska codec ID
+function getWebMCodec(codecId, codecPrivate) {
+  const hex = (byte) => byte.toString(16).padStart(2, "0");
+  switch (codecId) {
+    case "V_VP8":
+      return { codec: "vp8" };
+    case "V_VP9":
+      return { codec: "vp09.00.10.08" };
+    case "V_AV1":
+      return { codec: "av01.0.08M.08", description: codecPrivate };
+    case "V_MPEG4/ISO/AVC":
+      if (!codecPrivate) break;
+      return { codec: `avc1.${hex(codecPrivate[1])}${hex(codecPrivate[2])}${hex(codecPrivate[3])}`, description: codecPrivate };
+    case "V_MPEGH/ISO/HEVC":
+      return { codec: "hvc1.1.6.L93.B0", description: codecPrivate };
+  }
+  throw new Error(`Codec ${codecId} is not supported for frame-exact decoding`);
+}
+
+async function demuxWebM(file) {
+  const reader = new FileWindow(file);
+  let timecodeScale = 1000000; // Nanoseconds per tick
+  let track = null;
+  const samples = [];
+
+  const header = await readElement(reader, 0);
+  const segment = await readElement(reader, header.end);
+  if (segment.id !== EBML_IDS.segment) throw new Error("Not a WebM file");
+  const segmentEnd = segment.end === null ? file.size : Math.min(segment.end, file.size);
+
+  const readTrack = async (entry) => {
+    const values = {};
+    await forEachChild(reader, entry.dataOffset, entry.end, async (child) => {
+      if (child.id === EBML_IDS.trackNumber) values.number = await readUint(reader, child);
+      else if (child.id === EBML_IDS.trackType) values.type = await readUint(reader, child);
+      else if (child.id === EBML_IDS.codecId) values.codecId = await readString(reader, child);
+      else if (child.id === EBML_IDS.codecPrivate) values.codecPrivate = await readBytes(reader, child);
+      else if (child.id === EBML_IDS.defaultDuration) values.defaultDuration = await readUint(reader, child);
+      else if (child.id === EBML_IDS.video) {
+        await forEachChild(reader, child.dataOffset, child.end, async (setting) => {
+          if (setting.id === EBML_IDS.pixelWidth) values.width = await readUint(reader, setting);
+          else if (setting.id === EBML_IDS.pixelHeight) values.height = await readUint(reader, setting);
+        });
+      }
+    });
+    return values;
+  };
+
+  // Block header: track number, 16-bit signed timecode relative to the cluster, flags
+  const readBlock = async (element, clusterTime, isSimple) => {
+    const number = await readVint(reader, element.dataOffset, false);
+    if (!track || number.value !== track.number) return null;
+    const headerLength = number.length + 3;
+    await reader.ensure(element.dataOffset + number.length, 3);
+    const view = reader.view(element.dataOffset + number.length, 3);
+    const flags = view.getUint8(2);
+    if (flags & 0x06) throw new Error("Laced video blocks are not supported");
+    return {
+      offset: element.dataOffset + headerLength,
+      size: element.end - element.dataOffset - headerLength,
+      timestamp: ((clusterTime + view.getInt16(0)) * timecodeScale) / 1000,
+      duration: 0,
+      key: isSimple ? Boolean(flags & 0x80) : true,
+    };
+  };
+
+  const readCluster = async (cluster) => {
+    let clusterTime = 0;
+    const end = cluster.end === null ? segmentEnd : cluster.end;
+    return forEachChild(reader, cluster.dataOffset, end, async (child) => {
+      if (cluster.end === null && SEGMENT_CHILD_IDS.has(child.id)) return true;
+      if (child.id === EBML_IDS.timecode) {
+        clusterTime = await readUint(reader, child);
+      } else if (child.id === EBML_IDS.simpleBlock) {
+        const sample = await readBlock(child, clusterTime, true);
+        if (sample) samples.push(sample);
+      } else if (child.id === EBML_IDS.blockGroup) {
+        let sample = null;
+        let referenced = false;
+        await forEachChild(reader, child.dataOffset, child.end, async (part) => {
+          if (part.id === EBML_IDS.block) sample = await readBlock(part, clusterTime, false);
+          else if (part.id === EBML_IDS.referenceBlock) referenced = true;
+        });
+        if (sample) {
+          sample.key = !referenced;
+          samples.push(sample);
+        }
+      }
+      return false;
+    });
+  };
+
+  let offset = segment.dataOffset;
+  while (offset < segmentEnd) {
+    const element = await readElement(reader, offset);
+    if (element.id === EBML_IDS.info) {
+      await forEachChild(reader, element.dataOffset, element.end, async (child) => {
+        if (child.id === EBML_IDS.timecodeScale) timecodeScale = await readUint(reader, child);
+      });
+    } else if (element.id === EBML_IDS.tracks) {
+      await forEachChild(reader, element.dataOffset, element.end, async (child) => {
+        if (child.id !== EBML_IDS.trackEntry || track) return;
+        const entry = await readTrack(child);
+        if (entry.type === 1) track = entry;
+      });
+    } else if (element.id === EBML_IDS.cluster) {
+      if (element.end === null) {
+        offset = await readCluster(element);
+        continue;
+      }
+      await readCluster(element);
+    }
+    if (element.end === null) break;
+    offset = element.end;
+  }
+
+  if (!track) throw new Error("The file has no video track");
+  return {
+    ...getWebMCodec(track.codecId, track.codecPrivate),
+    codedWidth: track.width,
+    codedHeight: track.height,
+    frameDuration: track.defaultDuration ? track.defaultDuration / 1000 : 0,
+    samples,
+  };
+}
@@ -0,0 +1,61 @@
+import * as THREE from "three";
+
+/**
+ * Video frame uploads
+ * A video texture that goes to the GPU only when the video has produced a new
+ * frame. requestVideoFrameCallback reports each frame as it is presented;
+ * where it is missing, the texture re-uploads only when currentTime moves.
+ * Uploading an unchanged 8K frame on every render is the most expensive thing
+ * the preview can do, so nothing else may set needsUpdate on these textures.
+ */
+
+export class FrameCallbackTexture extends THREE.Texture {
+  constructor(video) {
+    super(video);
+    // Decoded like THREE.VideoTexture: no mipmaps, no texStorage, sRGB decode in the shader
+    this.isVideoTexture = true;
+    this.generateMipmaps = false;
+    this.minFilter = THREE.LinearFilter;
+    this.magFilter = THREE.LinearFilter;
+
+    this.uploadedFrames = 0;
+    this.missedFrames = 0; // Frames the video presented between two callbacks, never shown on the dome
+    this._lastPresentedFrames = null;
+    this._lastUploadTime = -1;
+    this._frameCallbackId = 0;
+    this.onUpdate = () => this.uploadedFrames++;
+
+    if ("requestVideoFrameCallback" in video) {
+      const onFrame = (now, metadata) => {
+        if (this._lastPresentedFrames !== null) {
+          this.missedFrames += Math.max(0, metadata.presentedFrames - this._lastPresentedFrames - 1);
+        }
+        this._lastPresentedFrames = metadata.presentedFrames;
+        this.needsUpdate = true;
+        this._frameCallbackId = video.requestVideoFrameCallback(onFrame);
+      };
+      this._frameCallbackId = video.requestVideoFrameCallback(onFrame);
+    }
+  }
+
+  /**
+   * Called by the renderer each frame the texture is used - only the fallback
+   * for browsers without requestVideoFrameCallback does anything here
+   */
+  update() {
+    if (this._frameCallbackId !== 0) return;
+    const video = this.image;
+    if (video.readyState >= video.HAVE_CURRENT_DATA && video.currentTime !== this._lastUploadTime) {
+      this._lastUploadTime = video.currentTime;
+      this.needsUpdate = true;
+    }
+  }
+
+  dispose() {
+    if (this._frameCallbackId !== 0) {
+      this.image.cancelVideoFrameCallback(this._frameCallbackId);
+      this._frameCallbackId = 0;
+    }
+    super.dispose();
+  }
+}
@@ -0,0 +1,361 @@
+import * as THREE from "three";
+import { demuxVideoFile } from "./video-demuxer.js";
+
+/**
+ * WebCodecs video playback
+ * Decodes a local MP4/WebM file with VideoDecoder and puts each frame on a
+ * VideoFrameTexture exactly once. Seeking decodes from the keyframe before the
+ * requested frame up to that frame, so stepping and timecode jumps land on the
+ * exact frame. Like ImageSequencePlayer, the player mimics the parts of
+ * HTMLVideoElement the GUI uses; it plays video only (use audio stems for sound).
+ */
+
+const MAX_PENDING_FRAMES = 6; // Frames queued in or out of the decoder; an 8K frame is ~50 MB of GPU memory
+
+export function isWebCodecsSupported() {
+  return typeof VideoDecoder !== "undefined" && typeof EncodedVideoChunk !== "undefined";
+}
+
+export class WebCodecsVideoPlayer extends EventTarget {
+  constructor(file) {
+    super();
+    this.isWebCodecs = true;
+    this.file = file;
+    this.loop = true;
+    this.paused = true;
+    this.seeking = false;
+    this.playbackRate = 1;
+    this.readyState = 0;
+    this.volume = 0; // No audio - kept so the volume control has something to read
+    this.muted = true;
+
+    this.texture = new THREE.VideoFrameTexture();
+    this.track = null;
+    this.order = []; // Sample indices in presentation order
+    this.decoder = null;
+    this.config = null;
+    this.queue = []; // Decoded frames waiting for their time, in presentation order
+    this.shownFrame = null;
+    this.feedIndex = 0; // Next sample (decode order) to send to the decoder
+    this.flushed = false;
+    this.feeding = false;
+    this.generation = 0; // Bumped when the decoder is reset; stale reads are dropped
+    this.seekTarget = null; // Timestamp (µs) of the frame a seek is decoding up to
+    this.clockStart = 0;
+    this.clockMediaTime = 0;
+    this.animationFrameId = null;
+
+    this.presentedFrames = 0;
+    this.droppedFrames = 0; // Decoded in time order but superseded before they could be shown
+    this.uploadedFrames = 0;
+    this.texture.onUpdate = () => this.uploadedFrames++;
+
+    this.tick = this.tick.bind(this);
+  }
+
+  get codec() {
+    return this.track ? this.track.codec : "";
+  }
+
+  get frameRate() {
+    return this.track ? this.track.frameRate : 0;
+  }
+
+  get duration() {
+    return this.track ? this.track.duration : NaN;
+  }
+
+  get videoWidth() {
+    return this.shownFrame ? this.shownFrame.displayWidth : 0;
+  }
+
+  get videoHeight() {
+    return this.shownFrame ? this.shownFrame.displayHeight : 0;
+  }
+
+  get currentTime() {
+    if (this.seekTarget !== null) return this.seekTarget / 1e6;
+    return this.shownFrame ? this.shownFrame.timestamp / 1e6 : 0;
+  }
+
+  set currentTime(time) {
+    this.seekToTime(time);
+  }
+
+  /**
+   * Index the file and decode the first frame
+   * Rejects when the container or codec cannot be decoded here
+   */
+  async load() {
+    this.track = await demuxVideoFile(this.file);
+    const { codec, codedWidth, codedHeight, description, samples } = this.track;
+    this.order = samples.map((sample, index) => index).sort((a, b) => samples[a].timestamp - samples[b].timestamp);
+
+    this.config = { codec, codedWidth, codedHeight, description };
+    const { supported } = await VideoDecoder.isConfigSupported(this.config);
+    if (!supported) {
+      throw new Error(`This browser cannot decode ${codec} with WebCodecs`);
+    }
+
+    this.decoder = new VideoDecoder({
+      output: (frame) => this.onFrameDecoded(frame),
+      error: (error) => this.onDecodeError(error),
+    });
+    this.decoder.addEventListener("dequeue", () => this.feedDecoder());
+    this.decoder.configure(this.config);
+
+    await new Promise((resolve, reject) => {
+      this.onFirstFrame = resolve;
+      this.onFirstFrameError = reject;
+      this.seekToTime(0);
+    });
+    this.readyState = 4; // HAVE_ENOUGH_DATA
+    this.dispatchEvent(new Event("loadedmetadata"));
+  }
+
+  play() {
+    if (!this.paused) return Promise.resolve();
+    if (!this.loop && this.currentTime >= this.duration - this.lastFrameDuration()) {
+      this.seekToTime(0);
+    }
+    this.paused = false;
+    this.restartClock();
+    this.animationFrameId = requestAnimationFrame(this.tick);
+    this.dispatchEvent(new Event("play"));
+    return Promise.resolve();
+  }
+
+  pause() {
+    if (this.paused) return;
+    this.paused = true;
+    if (this.animationFrameId) {
+      cancelAnimationFrame(this.animationFrameId);
+      this.animationFrameId = null;
+    }
+    this.dispatchEvent(new Event("pause"));
+  }
+
+  /**
+   * Counters in the shape of HTMLVideoElement.getVideoPlaybackQuality()
+   */
+  getVideoPlaybackQuality() {
+    return {
+      creationTime: performance.now(),
+      totalVideoFrames: this.presentedFrames + this.droppedFrames,
+      droppedVideoFrames: this.droppedFrames,
+      corruptedVideoFrames: 0,
+    };
+  }
+
+  /**
+   * Show the frame on screen at `time` (seconds); "seeked" fires once it is decoded
+   */
+  seekToTime(time) {
+    if (!this.decoder) return;
+    const samples = this.track.samples;
+    const target = this.findFrame(time);
+    const timestamp = samples[target].timestamp;
+
+    if (this.seekTarget === null && this.shownFrame && this.shownFrame.timestamp === timestamp) {
+      this.finishSeek();
+      return;
+    }
+
+    // Already decoded: frames before it are skipped, not dropped
+    const queued = this.queue.findIndex((frame) => frame.timestamp === timestamp);
+    if (queued !== -1) {
+      this.queue.splice(0, queued).forEach((frame) => frame.close());
+      this.seekTarget = null;
+      this.present(this.queue.shift());
+      this.finishSeek();
+      this.feedDecoder();
+      return;
+    }
+
+    let keyframe = target;
+    while (keyframe > 0 && !samples[keyframe].key) keyframe--;
+
+    this.seeking = true;
+    const reached = this.seekTarget !== null ? this.seekTarget : this.shownFrame ? this.shownFrame.timestamp : Infinity;
+    this.seekTarget = timestamp;
+
+    // Later in the GOP being decoded: keep going instead of starting over at its keyframe
+    if (timestamp >= reached && keyframe < this.feedIndex) {
+      this.queue.splice(0).forEach((frame) => frame.close());
+      this.feedDecoder();
+      return;
+    }
+
+    this.generation++;
+    this.queue.splice(0).forEach((frame) => frame.close());
+    this.decoder.reset();
+    this.decoder.configure(this.config);
+    this.feedIndex = keyframe;
+    this.flushed = false;
+    this.feedDecoder();
+  }
+
+  // Presentation-order search for the last frame starting at or before `time`
+  findFrame(time) {
+    const samples = this.track.samples;
+    const timestamp = time * 1e6 + 1; // Tolerate rounding in the requested time
+    let low = 0;
+    let high = this.order.length - 1;
+    while (low < high) {
+      const middle = (low + high + 1) >> 1;
+      if (samples[this.order[middle]].timestamp <= timestamp) low = middle;
+      else high = middle - 1;
+    }
+    return this.order[low];
+  }
+
+  lastFrameDuration() {
+    return this.track.samples[this.order[this.order.length - 1]].duration / 1e6;
+  }
+
+  // Keep a few frames in flight; frame data is read from the file as it is needed
+  async feedDecoder() {
+    if (this.feeding || !this.decoder || this.decoder.state !== "configured") return;
+    this.feeding = true;
+    const generation = this.generation;
+    const samples = this.track.samples;
+
+    try {
+      while (
+        generation === this.generation &&
+        this.feedIndex < samples.length &&
+        this.decoder.decodeQueueSize + this.queue.length < MAX_PENDING_FRAMES
+      ) {
+        const sample = samples[this.feedIndex++];
+        const data = await this.file.slice(sample.offset, sample.offset + sample.size).arrayBuffer();
+        if (generation !== this.generation) break;
+        this.decoder.decode(
+          new EncodedVideoChunk({
+            type: sample.key ? "key" : "delta",
+            timestamp: sample.timestamp,
+            duration: sample.duration,
+            data,
+          })
+        );
+      }
+
+      // The decoder holds back the last frames until it knows the stream has ended
+      if (generation === this.generation && this.feedIndex >= samples.length && !this.flushed) {
+        this.flushed = true;
+        this.decoder.flush().catch(() => {}); // Rejected by a reset, which is expected
+      }
+    } catch (error) {
+      this.onDecodeError(error);
+    } finally {
+      this.feeding = false;
+    }
+
+    // A seek reset the decoder while a read was in progress
+    if (generation !== this.generation) this.feedDecoder();
+  }
+
+  onFrameDecoded(frame) {
+    if (this.seekTarget !== null) {
+      // Frames before the seek target are only needed as references
+      if (frame.timestamp < this.seekTarget) {
+        frame.close();
+        return;
+      }
+      this.seekTarget = null;
+      this.present(frame);
+      this.finishSeek();
+      this.feedDecoder();
+      return;
+    }
+    this.queue.push(frame);
+  }
+
+  onDecodeError(error) {
+    console.error(`Error decoding ${this.file.name}:`, error);
+    if (this.onFirstFrameError) {
+      this.onFirstFrameError(error);
+      this.onFirstFrameError = null;
+      this.onFirstFrame = null;
+    }
+    this.pause();
+    this.dispatchEvent(new Event("error"));
+  }
+
+  present(frame) {
+    if (this.shownFrame) this.shownFrame.close();
+    this.shownFrame = frame;
+    this.texture.setFrame(frame);
+    this.presentedFrames++;
+  }
+
+  finishSeek() {
+    this.seeking = false;
+    this.restartClock();
+    if (this.onFirstFrame) {
+      this.onFirstFrame(this);
+      this.onFirstFrame = null;
+      this.onFirstFrameError = null;
+      return;
+    }
+    this.dispatchEvent(new Event("seeked"));
+    this.dispatchEvent(new Event("timeupdate"));
+  }
+
+  // Playback clock restarts from the frame on screen
+  restartClock() {
+    this.clockStart = performance.now();
+    this.clockMediaTime = this.currentTime;
+  }
+
+  tick(now) {
+    if (this.paused) return;
+    this.animationFrameId = requestAnimationFrame(this.tick);
+    if (this.seekTarget !== null) return; // The clock waits for the seek
+
+    const time = this.clockMediaTime + ((now - this.clockStart) / 1000) * this.playbackRate;
+
+    // Show the latest frame that is due; any earlier ones arrived too late
+    let due = null;
+    while (this.queue.length > 0 && this.queue[0].timestamp / 1e6 <= time) {
+      if (due) {
+        due.close();
+        this.droppedFrames++;
+      }
+      due = this.queue.shift();
+    }
+    if (due) {
+      this.present(due);
+      this.feedDecoder();
+      this.dispatchEvent(new Event("timeupdate"));
+    }
+
+    // Ends once the last frame is on screen, or nothing more can come out of the decoder
+    const lastFrame = this.track.samples[this.order[this.order.length - 1]];
+    const finished =
+      (this.shownFrame && this.shownFrame.timestamp === lastFrame.timestamp) ||
+      (this.flushed && this.queue.length === 0 && this.decoder.decodeQueueSize === 0);
+    if (time >= this.duration && finished) {
+      if (this.loop) {
+        this.seekToTime(0);
+      } else {
+        this.pause();
+        this.dispatchEvent(new Event("ended"));
+      }
+    }
+  }
+
+  dispose() {
+    this.pause();
+    this.generation++;
+    if (this.decoder && this.decoder.state !== "closed") {
+      this.decoder.close();
+    }
+    this.decoder = null;
+    this.queue.splice(0).forEach((frame) => frame.close());
+    if (this.shownFrame) {
+      this.shownFrame.close();
+      this.shownFrame = null;
+    }
+    this.texture.dispose();
+  }
+}
@@ -0,0 +1,153 @@
+import * as THREE from "three";
+import { screenUniforms } from "../3d/screen-shader.js";
+
+/**
+ * Ambisonic decoding
+ * Decodes first- or second-order AmbiX (ACN channel order, SN3D normalisation)
+ * onto a ring of virtual speakers, each rendered binaurally through an HRTF
+ * PannerNode. The speakers sit in world space around the listener, oriented by
+ * the dome frame and content rotation, so turning the camera turns the sound
+ * field exactly like the picture.
+ */
+
+const VIRTUAL_SPEAKER_DISTANCE = 1; // Only direction matters - distance attenuation is disabled
+
+// Max-rE weights per order, which sharpen the virtual source images
+const MAX_RE_WEIGHTS = {
+  1: [1, 0.577],
+  2: [1, 0.775, 0.4],
+};
+
+// Virtual speaker directions (unit vectors, ambisonic x = front, y = left, z = up)
+const CUBE_LAYOUT = [
+  [1, 1, 1], [1, -1, 1], [-1, 1, 1], [-1, -1, 1],
+  [1, 1, -1], [1, -1, -1], [-1, 1, -1], [-1, -1, -1],
+].map((d) => new THREE.Vector3(...d).normalize());
+
+const PHI = (1 + Math.sqrt(5)) / 2;
+const ICOSAHEDRON_LAYOUT = [
+  [0, 1, PHI], [0, -1, PHI], [0, 1, -PHI], [0, -1, -PHI],
+  [1, PHI, 0], [-1, PHI, 0], [1, -PHI, 0], [-1, -PHI, 0],
+  [PHI, 0, 1], [-PHI, 0, 1], [PHI, 0, -1], [-PHI, 0, -1],
+].map((d) => new THREE.Vector3(...d).normalize());
+
+const decoders = new Set();
+const contentToWorld = new THREE.Matrix3();
+const worldDirection = new THREE.Vector3();
+
+/**
+ * Real spherical harmonics in ACN order with SN3D normalisation
+ */
+function sphericalHarmonics(direction, order) {
+  const { x, y, z } = direction;
+  const harmonics = [1, y, z, x];
+  if (order >= 2) {
+    const s3 = Math.sqrt(3);
+    harmonics.push(
+      s3 * x * y,
+      s3 * y * z,
+      0.5 * (3 * z * z - 1),
+      s3 * x * z,
+      (s3 / 2) * (x * x - y * y)
+    );
+  }
+  return harmonics;
+}
+
+// Sampling decoder gains for one speaker; (2n + 1) turns SN3D into the N3D projection
+function decoderGains(direction, order, speakerCount) {
+  const weights = MAX_RE_WEIGHTS[order];
+  return sphericalHarmonics(direction, order).map((harmonic, acn) => {
+    const degree = Math.floor(Math.sqrt(acn));
+    return ((2 * degree + 1) * weights[degree] * harmonic) / speakerCount;
+  });
+}
+
+function setPannerPosition(panner, position) {
+  if (panner.positionX) {
+    panner.positionX.value = position.x;
+    panner.positionY.value = position.y;
+    panner.positionZ.value = position.z;
+  } else {
+    panner.setPosition(position.x, position.y, position.z);
+  }
+}
+
+/**
+ * Build a decoder: connect a 4 (first order) or 9 (second order) channel
+ * AmbiX source to `input` and take binaural stereo from `output`
+ */
+export function createAmbisonicDecoder(context, order = 1) {
+  const channelCount = (order + 1) * (order + 1);
+  const layout = order >= 2 ? ICOSAHEDRON_LAYOUT : CUBE_LAYOUT;
+
+  const input = context.createGain();
+  input.channelCount = channelCount;
+  input.channelCountMode = "explicit";
+  input.channelInterpretation = "discrete";
+
+  const splitter = context.createChannelSplitter(channelCount);
+  input.connect(splitter);
+  const output = context.createGain();
+
+  const speakers = layout.map((direction) => {
+    // Mono sum of the weighted B-format channels for this speaker
+    const sum = context.createGain();
+    sum.channelCount = 1;
+    sum.channelCountMode = "explicit";
+
+    decoderGains(direction, order, layout.length).forEach((gain, channel) => {
+      const weight = context.createGain();
+      weight.gain.value = gain;
+      splitter.connect(weight, channel);
+      weight.connect(sum);
+    });
+
+    const panner = new PannerNode(context, {
+      panningModel: "HRTF",
+      distanceModel: "inverse",
+      refDistance: VIRTUAL_SPEAKER_DISTANCE,
+      rolloffFactor: 0,
+    });
+    sum.connect(panner);
+    panner.connect(output);
+    return { direction, panner };
+  });
+
+  const decoder = {
+    order,
+    input,
+    output,
+    speakers,
+    dispose() {
+      input.disconnect();
+      splitter.disconnect();
+      output.disconnect();
+      speakers.forEach(({ panner }) => panner.disconnect());
+      decoders.delete(decoder);
+    },
+  };
+  decoders.add(decoder);
+  return decoder;
+}
+
+/**
+ * Place the virtual speakers around the listener - call once per frame
+ * The picture's dome frame and content rotation apply, so yawing the content
+ * turns the sound field with it
+ */
+export function updateAmbisonics(camera) {
+  if (decoders.size === 0) return;
+
+  // world = domeBasis^T * contentRotation^T * content
+  contentToWorld.multiplyMatrices(screenUniforms.contentRotation.value, screenUniforms.domeBasis.value).transpose();
+
+  decoders.forEach((decoder) => {
+    decoder.speakers.forEach(({ direction, panner }) => {
+      // Ambisonic axes (front, left, up) to dome content axes (right, up, front)
+      worldDirection.set(-direction.y, direction.z, direction.x).applyMatrix3(contentToWorld);
+      worldDirection.multiplyScalar(VIRTUAL_SPEAKER_DISTANCE).add(camera.position);
+      setPannerPosition(panner, worldDirection);
+    });
+  });
+}
@@ -0,0 +1,73 @@
+import * as THREE from "three";
+
+/**
+ * Shared Web Audio context
+ * Created lazily (browsers only allow audio after a user gesture) with a master
+ * gain that every audio source in the preview connects to.
+ */
+
+let audioContext = null;
+let masterGain = null;
+const forward = new THREE.Vector3();
+const up = new THREE.Vector3();
+
+export function getAudioContext() {
+  if (!audioContext) {
+    audioContext = new AudioContext();
+    masterGain = audioContext.createGain();
+    masterGain.connect(audioContext.destination);
+  }
+  return audioContext;
+}
+
+/**
+ * Node that audio sources should connect to
+ */
+export function getAudioOutput() {
+  getAudioContext();
+  return masterGain;
+}
+
+/**
+ * Resume the context if the browser suspended it (autoplay policy)
+ */
+export function resumeAudioContext() {
+  if (audioContext && audioContext.state === "suspended") {
+    return audioContext.resume().catch((error) => {
+      console.warn("Could not resume audio context:", error);
+    });
+  }
+  return Promise.resolve();
+}
+
+export function dbToGain(db) {
+  return Math.pow(10, db / 20);
+}
+
+/**
+ * Put the Web Audio listener at the camera - call once per frame
+ */
+export function updateAudioListener(camera) {
+  if (!audioContext) return;
+
+  const listener = audioContext.listener;
+  const { position, quaternion } = camera;
+  forward.set(0, 0, -1).applyQuaternion(quaternion);
+  up.set(0, 1, 0).applyQuaternion(quaternion);
+
+  if (listener.positionX) {
+    listener.positionX.value = position.x;
+    listener.positionY.value = position.y;
+    listener.positionZ.value = position.z;
+    listener.forwardX.value = forward.x;
+    listener.forwardY.value = forward.y;
+    listener.forwardZ.value = forward.z;
+    listener.upX.value = up.x;
+    listener.upY.value = up.y;
+    listener.upZ.value = up.z;
+  } else {
+    // Firefox only has the deprecated setters
+    listener.setPosition(position.x, position.y, position.z);
+    listener.setOrientation(forward.x, forward.y, forward.z, up.x, up.y, up.z);
+  }
+}
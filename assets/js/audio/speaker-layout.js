@@ -0,0 +1,281 @@
+import * as THREE from "three";
+import { scene } from "../3d/scene.js";
+import { screenUniforms, getDomeRadius } from "../3d/screen-shader.js";
+
+/**
+ * Speaker layouts
+ * Simulates a channel-based speaker array around the dome. Each channel of a
+ * multichannel stem is played from a PannerNode at its speaker's position in
+ * the venue, so walking around with the camera (the audio listener) lets you
+ * hear what different seats get.
+ *
+ * Layout JSON:
+ * {
+ *   "name": "My venue",
+ *   "radius": 8,            // optional, metres from the dome centre (defaults to the dome radius)
+ *   "speakers": [
+ *     { "label": "L", "azimuth": -30, "elevation": 0 },
+ *     { "label": "LFE", "lfe": true },
+ *     ...
+ *   ]
+ * }
+ * Azimuth is in degrees clockwise from the dome front (positive = right),
+ * elevation in degrees above the spring line. Speaker N plays channel N unless
+ * it sets "channel". LFE speakers are not spatialised.
+ */
+
+// Channel order follows the WAV/SMPTE convention (L R C LFE ...)
+export const DEFAULT_LAYOUTS = {
+  "5.1": {
+    name: "5.1",
+    speakers: [
+      { label: "L", azimuth: -30, elevation: 0 },
+      { label: "R", azimuth: 30, elevation: 0 },
+      { label: "C", azimuth: 0, elevation: 0 },
+      { label: "LFE", lfe: true },
+      { label: "Ls", azimuth: -110, elevation: 0 },
+      { label: "Rs", azimuth: 110, elevation: 0 },
+    ],
+  },
+  "7.1": {
+    name: "7.1",
+    speakers: [
+      { label: "L", azimuth: -30, elevation: 0 },
+      { label: "R", azimuth: 30, elevation: 0 },
+      { label: "C", azimuth: 0, elevation: 0 },
+      { label: "LFE", lfe: true },
+      { label: "Lrs", azimuth: -150, elevation: 0 },
+      { label: "Rrs", azimuth: 150, elevation: 0 },
+      { label: "Lss", azimuth: -90, elevation: 0 },
+      { label: "Rss", azimuth: 90, elevation: 0 },
+    ],
+  },
+};
+
+const MARKER_COLOR = 0x33aaff;
+
+const layouts = { ...DEFAULT_LAYOUTS };
+let currentLayout = layouts["5.1"];
+const renderers = new Set();
+const markerGroup = new THREE.Group();
+markerGroup.name = "SpeakerMarkers";
+markerGroup.visible = false;
+let markersAdded = false;
+
+const domeDirection = new THREE.Vector3();
+const worldDirection = new THREE.Vector3();
+const basisTranspose = new THREE.Matrix3();
+const speakerPosition = new THREE.Vector3();
+
+function getChannel(speaker, index) {
+  return speaker.channel ?? index;
+}
+
+/**
+ * World position of a speaker, from the dome centre and frame
+ */
+function getSpeakerPosition(speaker, target) {
+  const azimuth = THREE.MathUtils.degToRad(speaker.azimuth || 0);
+  const elevation = THREE.MathUtils.degToRad(speaker.elevation || 0);
+  const radius = currentLayout.radius ?? getDomeRadius();
+
+  // Dome space: x = right, y = zenith, z = front
+  domeDirection.set(
+    Math.sin(azimuth) * Math.cos(elevation),
+    Math.sin(elevation),
+    Math.cos(azimuth) * Math.cos(elevation)
+  );
+  basisTranspose.copy(screenUniforms.domeBasis.value).transpose();
+  worldDirection.copy(domeDirection).applyMatrix3(basisTranspose);
+  return target.copy(screenUniforms.domeCenter.value).addScaledVector(worldDirection, radius);
+}
+
+function setPannerPosition(panner, position) {
+  if (panner.positionX) {
+    panner.positionX.value = position.x;
+    panner.positionY.value = position.y;
+    panner.positionZ.value = position.z;
+  } else {
+    panner.setPosition(position.x, position.y, position.z);
+  }
+}
+
+function createLabel(text) {
+  const canvas = document.createElement("canvas");
+  canvas.width = 128;
+  canvas.height = 64;
+  const ctx = canvas.getContext("2d");
+  ctx.font = "bold 40px sans-serif";
+  ctx.textAlign = "center";
+  ctx.textBaseline = "middle";
+  ctx.fillStyle = "#ffffff";
+  ctx.fillText(text, canvas.width / 2, canvas.height / 2);
+
+  const texture = new THREE.CanvasTexture(canvas);
+  texture.colorSpace = THREE.SRGBColorSpace;
+  const sprite = new THREE.Sprite(new THREE.SpriteMaterial({ map: texture, depthTest: false, transparent: true }));
+  sprite.scale.set(0.6, 0.3, 1);
+  sprite.position.y = 0.35;
+  return sprite;
+}
+
+function disposeMarkers() {
+  markerGroup.children.forEach((marker) => {
+    marker.traverse((child) => {
+      if (child.geometry) child.geometry.dispose();
+      if (child.material) {
+        if (child.material.map) child.material.map.dispose();
+        child.material.dispose();
+      }
+    });
+  });
+  markerGroup.clear();
+}
+
+function rebuildMarkers() {
+  disposeMarkers();
+  currentLayout.speakers.forEach((speaker) => {
+    if (speaker.lfe) return;
+    const marker = new THREE.Mesh(
+      new THREE.SphereGeometry(0.15, 16, 8),
+      new THREE.MeshBasicMaterial({ color: MARKER_COLOR })
+    );
+    marker.add(createLabel(speaker.label || ""));
+    marker.userData.speaker = speaker;
+    markerGroup.add(marker);
+  });
+}
+
+// Splitter and per-channel panners for the current layout
+function buildRouting(renderer) {
+  const context = renderer.input.context;
+  const channelCount = currentLayout.speakers.reduce(
+    (count, speaker, index) => Math.max(count, getChannel(speaker, index) + 1),
+    1
+  );
+
+  const splitter = context.createChannelSplitter(channelCount);
+  renderer.input.connect(splitter);
+
+  renderer.panners = currentLayout.speakers.map((speaker, index) => {
+    const channel = getChannel(speaker, index);
+    if (speaker.lfe) {
+      // Low-frequency effects are not directional - feed them straight through
+      const gain = context.createGain();
+      splitter.connect(gain, channel);
+      gain.connect(renderer.output);
+      return { speaker, node: gain };
+    }
+    const panner = new PannerNode(context, {
+      panningModel: "HRTF",
+      distanceModel: "inverse",
+      refDistance: 1,
+      rolloffFactor: 1,
+    });
+    splitter.connect(panner, channel);
+    panner.connect(renderer.output);
+    return { speaker, node: panner, panner };
+  });
+  renderer.splitter = splitter;
+}
+
+function teardownRouting(renderer) {
+  renderer.input.disconnect();
+  if (renderer.splitter) renderer.splitter.disconnect();
+  renderer.panners.forEach(({ node }) => node.disconnect());
+  renderer.panners = [];
+}
+
+export function getSpeakerLayoutNames() {
+  return Object.keys(layouts);
+}
+
+export function getSpeakerLayout() {
+  return currentLayout;
+}
+
+/**
+ * Switch layout by name; existing multichannel stems are re-routed
+ */
+export function setSpeakerLayout(name) {
+  if (!layouts[name]) {
+    console.warn(`Unknown speaker layout: ${name}`);
+    return;
+  }
+  currentLayout = layouts[name];
+  renderers.forEach((renderer) => {
+    teardownRouting(renderer);
+    buildRouting(renderer);
+  });
+  rebuildMarkers();
+}
+
+/**
+ * Load a layout JSON file, register it under its name and make it current
+ * Resolves with the layout name
+ */
+export async function loadSpeakerLayout(file) {
+  const layout = JSON.parse(await file.text());
+  if (!Array.isArray(layout.speakers) || layout.speakers.length === 0) {
+    throw new Error("Speaker layout needs a non-empty \"speakers\" array");
+  }
+  const name = layout.name || file.name.replace(/\.json$/i, "");
+  layouts[name] = { ...layout, name };
+  setSpeakerLayout(name);
+  return name;
+}
+
+export function setSpeakerMarkersVisible(visible) {
+  if (!markersAdded) {
+    rebuildMarkers();
+    scene.add(markerGroup);
+    markersAdded = true;
+  }
+  markerGroup.visible = visible;
+}
+
+/**
+ * Build a renderer: connect a multichannel source to `input` and take the
+ * listener-relative stereo mix from `output`
+ */
+export function createSpeakerArrayRenderer(context) {
+  const input = context.createGain();
+  input.channelCountMode = "max";
+  input.channelInterpretation = "discrete";
+  const output = context.createGain();
+
+  const renderer = {
+    input,
+    output,
+    panners: [],
+    splitter: null,
+    dispose() {
+      teardownRouting(renderer);
+      output.disconnect();
+      renderers.delete(renderer);
+    },
+  };
+  buildRouting(renderer);
+  renderers.add(renderer);
+  return renderer;
+}
+
+/**
+ * Keep speakers (and their markers) on the dome - call once per frame
+ * The dome frame is only known once the venue model has loaded
+ */
+export function updateSpeakerArray() {
+  if (renderers.size === 0 && !markerGroup.visible) return;
+
+  renderers.forEach((renderer) => {
+    renderer.panners.forEach(({ speaker, panner }) => {
+      if (panner) setPannerPosition(panner, getSpeakerPosition(speaker, speakerPosition));
+    });
+  });
+
+  if (markerGroup.visible) {
+    markerGroup.children.forEach((marker) => {
+      getSpeakerPosition(marker.userData.speaker, marker.position);
+    });
+  }
+}
@@ -0,0 +1,262 @@
+import { audioSettings } from "../core/settings.js";
+import { getAudioContext, getAudioOutput, resumeAudioContext, dbToGain } from "./context.js";
+import { createAmbisonicDecoder } from "./ambisonics.js";
+import { createSpeakerArrayRenderer } from "./speaker-layout.js";
+
+/**
+ * Audio stems
+ * Plays separate audio files (WAV/FLAC/...) locked to the current video or
+ * image sequence. The picture is the clock: stems follow its play/pause/seek
+ * events and a drift check nudges or re-seeks them while playing.
+ * Ambisonic and multichannel (speaker array) stems are rendered to binaural
+ * stereo before their gain stage.
+ */
+
+const SYNC_INTERVAL = 250; // ms between drift checks
+const NUDGE_THRESHOLD = 0.03; // seconds of drift corrected by adjusting playback rate
+const SEEK_THRESHOLD = 0.2; // seconds of drift corrected by seeking
+const NUDGE_RATE = 0.02; // playbackRate change used to pull stems back into sync
+
+let stems = [];
+let nextStemId = 1;
+let syncedVideo = null;
+let syncInterval = null;
+const changeListeners = [];
+
+function notifyChange() {
+  changeListeners.forEach((listener) => listener(getStems()));
+}
+
+// Stem time matching the picture, taking the offset into account
+function getTargetTime(video) {
+  return video.currentTime - audioSettings.offsetMs / 1000;
+}
+
+function seekStem(stem, time) {
+  if (Number.isFinite(stem.audio.duration)) {
+    time = Math.min(time, stem.audio.duration);
+  }
+  stem.audio.currentTime = Math.max(0, time);
+}
+
+function syncStem(stem, video, hardSeek = false) {
+  const audio = stem.audio;
+  const target = getTargetTime(video);
+  const rate = video.playbackRate || 1;
+
+  // Before the offset start or past the end of the stem: hold silent
+  const beyondEnd = Number.isFinite(audio.duration) && target >= audio.duration;
+  if (video.paused || target < 0 || beyondEnd) {
+    if (!audio.paused) audio.pause();
+    if (hardSeek || target < 0) seekStem(stem, target);
+    return;
+  }
+
+  const drift = audio.currentTime - target;
+  if (hardSeek || audio.paused || Math.abs(drift) > SEEK_THRESHOLD) {
+    seekStem(stem, target);
+    audio.playbackRate = rate;
+  } else if (Math.abs(drift) > NUDGE_THRESHOLD) {
+    audio.playbackRate = rate * (drift > 0 ? 1 - NUDGE_RATE : 1 + NUDGE_RATE);
+  } else {
+    audio.playbackRate = rate;
+  }
+
+  if (audio.paused) {
+    audio.play().catch((error) => {
+      console.warn(`Could not play audio stem ${stem.name}:`, error);
+    });
+  }
+}
+
+function syncAll(hardSeek = false) {
+  if (!syncedVideo) return;
+  stems.forEach((stem) => syncStem(stem, syncedVideo, hardSeek));
+}
+
+function onVideoPlay() {
+  resumeAudioContext();
+  syncAll(true);
+}
+
+function onVideoPause() {
+  stems.forEach((stem) => stem.audio.pause());
+}
+
+// Seeks, native loops and A-B loop jumps all end in "seeked"
+function onVideoSeeked() {
+  syncAll(true);
+}
+
+function onRateChange() {
+  syncAll();
+}
+
+const videoListeners = {
+  play: onVideoPlay,
+  pause: onVideoPause,
+  ended: onVideoPause,
+  seeked: onVideoSeeked,
+  ratechange: onRateChange,
+};
+
+function startSyncLoop() {
+  if (!syncInterval && stems.length > 0 && syncedVideo) {
+    syncInterval = setInterval(() => syncAll(), SYNC_INTERVAL);
+  }
+}
+
+function stopSyncLoop() {
+  if (syncInterval) {
+    clearInterval(syncInterval);
+    syncInterval = null;
+  }
+}
+
+function disposeStem(stem) {
+  stem.audio.pause();
+  stem.source.disconnect();
+  if (stem.renderer) stem.renderer.dispose();
+  stem.gainNode.disconnect();
+  URL.revokeObjectURL(stem.audio.src);
+  stem.audio.removeAttribute("src");
+  stem.audio.load();
+}
+
+export function getStems() {
+  return stems.map(({ id, name, gainDb, muted, ambisonicOrder, speakerArray }) => ({
+    id,
+    name,
+    gainDb,
+    muted,
+    ambisonicOrder,
+    speakerArray,
+  }));
+}
+
+/**
+ * Subscribe to stem list changes; the callback receives the stem list
+ */
+export function onStemsChange(callback) {
+  changeListeners.push(callback);
+}
+
+/**
+ * Follow a new picture source (video element or image sequence player)
+ * Stems belong to the media they were attached to, so switching media drops them
+ */
+export function syncStemsToVideo(video) {
+  if (video === syncedVideo) return;
+
+  if (syncedVideo) {
+    Object.entries(videoListeners).forEach(([type, listener]) => {
+      syncedVideo.removeEventListener(type, listener);
+    });
+  }
+  if (stems.length > 0) {
+    clearStems();
+  }
+
+  syncedVideo = video;
+  if (!video) return;
+  Object.entries(videoListeners).forEach(([type, listener]) => {
+    video.addEventListener(type, listener);
+  });
+}
+
+/**
+ * Attach audio files to the current picture
+ * Pass ambisonicOrder (1 or 2) for AmbiX B-format files, or speakerArray for
+ * channel-based files played through the current speaker layout
+ */
+export function addStems(files, { ambisonicOrder = 0, speakerArray = false } = {}) {
+  if (!syncedVideo) {
+    console.warn("Load a video or image sequence before adding audio stems");
+    return;
+  }
+
+  const context = getAudioContext();
+  resumeAudioContext();
+
+  Array.from(files).forEach((file) => {
+    if (!file.type.startsWith("audio/") && !/\.(wav|flac|mp3|ogg|opus|m4a|aac)$/i.test(file.name)) return;
+
+    const audio = new Audio(URL.createObjectURL(file));
+    audio.preload = "auto";
+    const source = context.createMediaElementSource(audio);
+    const gainNode = context.createGain();
+    let renderer = null;
+    if (ambisonicOrder > 0) {
+      renderer = createAmbisonicDecoder(context, ambisonicOrder);
+    } else if (speakerArray) {
+      renderer = createSpeakerArrayRenderer(context);
+    }
+    if (renderer) {
+      source.connect(renderer.input);
+      renderer.output.connect(gainNode);
+    } else {
+      source.connect(gainNode);
+    }
+    gainNode.connect(getAudioOutput());
+
+    const stem = {
+      id: nextStemId++,
+      name: file.name,
+      audio,
+      source,
+      renderer,
+      gainNode,
+      gainDb: 0,
+      muted: false,
+      ambisonicOrder,
+      speakerArray,
+    };
+    audio.addEventListener("error", () => {
+      console.error(`Error loading audio stem ${file.name}:`, audio.error);
+    });
+    // Position the stem once its duration is known
+    audio.addEventListener("loadedmetadata", () => syncStem(stem, syncedVideo, true), { once: true });
+    stems.push(stem);
+  });
+
+  startSyncLoop();
+  notifyChange();
+}
+
+export function removeStem(id) {
+  const stem = stems.find((s) => s.id === id);
+  if (!stem) return;
+  disposeStem(stem);
+  stems = stems.filter((s) => s !== stem);
+  if (stems.length === 0) stopSyncLoop();
+  notifyChange();
+}
+
+export function clearStems() {
+  stems.forEach(disposeStem);
+  stems = [];
+  stopSyncLoop();
+  notifyChange();
+}
+
+export function setStemGain(id, db) {
+  const stem = stems.find((s) => s.id === id);
+  if (!stem) return;
+  stem.gainDb = db;
+  stem.gainNode.gain.value = stem.muted ? 0 : dbToGain(db);
+}
+
+export function setStemMuted(id, muted) {
+  const stem = stems.find((s) => s.id === id);
+  if (!stem) return;
+  stem.muted = muted;
+  stem.gainNode.gain.value = muted ? 0 : dbToGain(stem.gainDb);
+}
+
+/**
+ * Offset of the audio against the picture in milliseconds (positive = audio later)
+ */
+export function setAudioOffset(ms) {
+  audioSettings.offsetMs = ms;
+  syncAll(true);
+}
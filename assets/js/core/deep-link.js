@@ -0,0 +1,152 @@
+import { getState, runCommand, hasCommand, onStateChange } from "./preview-api.js";
+import { startCameraPosition, startCameraRotation, cameraSettings, setFlyMode } from "./settings.js";
+
+/**
+ * Deep links
+ * Encodes the view in the URL hash so a link opens on the same picture:
+ *
+ *   #media=https%3A%2F%2Fexample.com%2Fshow.mp4&projection=fisheye&tilt=10&scale=1.2
+ *     &camera=0,1.6,-4.3,-0.2,0,0&fov=80&fly=0&color.Seats=3a2a20
+ *
+ * Camera, field of view, fly mode and colours are set up before the venue
+ * model places the camera; media, projection and transform are replayed as
+ * preview API commands once the panel and the screen exist. The hash follows
+ * the view afterwards, so the address bar always holds a link to it.
+ */
+
+const HASH_UPDATE_INTERVAL = 1000; // ms; browsers limit how often history can be replaced
+const TRANSFORM_KEYS = ["panX", "panY", "tilt", "roll", "scale", "yaw", "pitch", "sphereRoll"];
+
+let restored = false;
+let hashTimer = null;
+
+// Hash key, preview API address and how each value is written and read; the order is the order of restoring
+const LINK_FIELDS = [
+  { key: "media", address: "/media/url", write: (url) => url || null, read: (text) => [text] },
+  { key: "projection", address: "/projection/mode", write: String, read: (text) => [text] },
+  ...TRANSFORM_KEYS.map((key) => ({ key, address: `/transform/${key}`, write: String, read: readNumbers(1) })),
+  { key: "camera", address: "/camera/pose", write: (...pose) => pose.join(","), read: readNumbers(6) },
+  { key: "fov", address: "/camera/fov", write: String, read: readNumbers(1) },
+  { key: "fly", address: "/camera/flyMode", write: (enabled) => (enabled ? "1" : "0"), read: (text) => [text === "1"] },
+];
+
+function readNumbers(count) {
+  return (text) => {
+    const values = text.split(",").map(Number);
+    return values.length === count && values.every(Number.isFinite) ? values : null;
+  };
+}
+
+/**
+ * The current view as a hash ("#media=...&camera=..."), from the published preview state
+ */
+export function encodeViewHash() {
+  const params = new URLSearchParams();
+  const state = new Map(getState().map(({ address, args }) => [address, args]));
+  LINK_FIELDS.forEach(({ key, address, write }) => {
+    if (!state.has(address)) return;
+    const text = write(...state.get(address));
+    if (text !== null) params.set(key, text);
+  });
+  state.forEach((args, address) => {
+    if (address.startsWith("/colors/")) {
+      params.set(`color.${address.slice("/colors/".length)}`, String(args[0]).replace(/^#/, ""));
+    }
+  });
+  // Commas are fine in a hash and keep the camera readable
+  const text = params.toString().replace(/%2C/g, ",");
+  return text ? `#${text}` : "";
+}
+
+/**
+ * A link to this page showing the current view
+ */
+export function getViewLink() {
+  const url = new URL(window.location.href);
+  url.hash = encodeViewHash();
+  return url.href;
+}
+
+/**
+ * The view in a hash as { address, args } in restoring order; unreadable values are left out
+ */
+export function parseViewHash(hash = window.location.hash) {
+  const params = new URLSearchParams(hash.replace(/^#/, ""));
+  const entries = [];
+  LINK_FIELDS.forEach(({ key, address, read }) => {
+    if (!params.has(key)) return;
+    const args = read(params.get(key));
+    if (args) entries.push({ address, args });
+    else console.warn(`Ignoring unreadable "${key}" in the link`);
+  });
+  params.forEach((value, key) => {
+    if (!key.startsWith("color.")) return;
+    if (/^[0-9a-f]{6}$/i.test(value)) entries.push({ address: `/colors/${key.slice("color.".length)}`, args: [`#${value.toLowerCase()}`] });
+    else console.warn(`Ignoring unreadable "${key}" in the link`);
+  });
+  return entries;
+}
+
+/**
+ * Put the linked camera, field of view, fly mode and colours into the settings
+ * the venue model starts from - call after loadSettings and before loadModel
+ */
+export function applyViewLinkToSettings(entries) {
+  entries.forEach(({ address, args }) => {
+    if (address === "/camera/pose") {
+      const [x, y, z, rx, ry, rz] = args;
+      Object.assign(startCameraPosition, { x, y, z });
+      Object.assign(startCameraRotation, { x: rx, y: ry, z: rz });
+    } else if (address === "/camera/fov") {
+      cameraSettings.fov = args[0];
+    } else if (address === "/camera/flyMode") {
+      setFlyMode(args[0]);
+    } else if (address.startsWith("/colors/")) {
+      const hex = args[0].slice(1);
+      const [r, g, b] = [0, 2, 4].map((offset) => parseInt(hex.substring(offset, offset + 2), 16) / 255);
+      window.savedColorSettings[address.slice("/colors/".length)] = { r, g, b };
+    }
+  });
+}
+
+/**
+ * Load the linked media, then apply its projection and transform through the
+ * preview API - call once the panel has registered its commands and the venue
+ * model has its screen. The hash follows the view from then on, unless the
+ * linked media could not be loaded: that link stays so a reload can try again.
+ */
+export async function applyViewLinkToPreview(entries) {
+  const media = entries.find(({ address }) => address === "/media/url");
+  const view = entries.filter(({ address }) => address.startsWith("/projection/") || address.startsWith("/transform/"));
+  let mediaLoaded = true;
+  if (media) {
+    try {
+      await runCommand(media.address, media.args);
+    } catch (error) {
+      mediaLoaded = false;
+      console.warn("Could not load the linked media:", error);
+    }
+  }
+  for (const { address, args } of view) {
+    try {
+      if (hasCommand(address)) await runCommand(address, args);
+    } catch (error) {
+      console.warn(`Could not restore ${address} from the link:`, error);
+    }
+  }
+  restored = mediaLoaded;
+  scheduleHashUpdate();
+}
+
+function scheduleHashUpdate() {
+  if (!restored || hashTimer) return;
+  hashTimer = setTimeout(() => {
+    hashTimer = null;
+    const hash = encodeViewHash();
+    if (hash !== window.location.hash) {
+      history.replaceState(history.state, "", hash || window.location.pathname + window.location.search);
+    }
+  }, HASH_UPDATE_INTERVAL);
+}
+
+onStateChange(scheduleHashUpdate);
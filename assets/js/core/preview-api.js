@@ -0,0 +1,75 @@
+/**
+ * Preview API
+ * Commands and state in an OSC-style address space ("/transport/play",
+ * "/transform/scale", ...) so external controllers drive the preview through
+ * the same paths as the panel. Modules that own a piece of state register its
+ * commands and publish its changes; state is published under the address of
+ * the command that sets it, so replaying published state reproduces the view.
+ */
+
+const commands = new Map(); // address -> handler(...args)
+const state = new Map(); // address -> last published args
+const stateListeners = [];
+
+/**
+ * Handle `address`; the handler receives the message args spread out and may return a promise
+ */
+export function registerCommand(address, handler) {
+  commands.set(address, handler);
+}
+
+export function hasCommand(address) {
+  return commands.has(address);
+}
+
+/**
+ * Addresses with a registered handler, sorted
+ */
+export function getCommandAddresses() {
+  return [...commands.keys()].sort();
+}
+
+/**
+ * Run a command; throws for unknown addresses, handler errors propagate (sync or as a rejected promise)
+ */
+export function runCommand(address, args = []) {
+  const handler = commands.get(address);
+  if (!handler) {
+    throw new Error(`Unknown command: ${address}`);
+  }
+  return handler(...(Array.isArray(args) ? args : [args]));
+}
+
+/**
+ * Record a state value and tell listeners; repeats of the current value are ignored
+ */
+export function publishState(address, args) {
+  const values = Array.isArray(args) ? args : [args];
+  const previous = state.get(address);
+  if (previous && previous.length === values.length && previous.every((value, index) => value === values[index])) {
+    return;
+  }
+  state.set(address, values);
+  stateListeners.forEach((listener) => listener(address, values));
+}
+
+/**
+ * Every published state value as { address, args }, in the order first published
+ */
+export function getState() {
+  return [...state].map(([address, args]) => ({ address, args }));
+}
+
+/**
+ * Whether args can leave this browser as JSON; local files only travel between windows
+ */
+export function isPortable(args) {
+  return !args.some((value) => typeof Blob !== "undefined" && value instanceof Blob);
+}
+
+/**
+ * Subscribe to state changes; the callback receives (address, args)
+ */
+export function onStateChange(callback) {
+  stateListeners.push(callback);
+}
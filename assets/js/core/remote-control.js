@@ -0,0 +1,152 @@
+import { runCommand, getState, onStateChange, getCommandAddresses, isPortable } from "./preview-api.js";
+import { remoteControlSettings } from "./settings.js";
+
+/**
+ * Remote control
+ * WebSocket client for show-control systems (QLab, Companion, ...), usually
+ * through a small local bridge that turns OSC into JSON text frames:
+ *
+ *   { "address": "/transport/time", "args": [12.5] }
+ *   [ { "address": "/projection/mode", "args": ["equirectangular"] }, { "address": "/transform/yaw", "args": [90] } ]
+ *
+ * Messages in an array run in order. Every state change is sent back under
+ * the command address that sets it ({ "address": "/transport/playing",
+ * "args": [true] }), and the full state is sent on connect and on "/state".
+ * Failed commands are answered with { "address": "/error", "args": [address, message] };
+ * "/commands" lists every address that is understood.
+ * The client reconnects while enabled, so the bridge can be started later.
+ */
+
+const RECONNECT_DELAY = 3000; // ms
+
+let socket = null;
+let connectedUrl = null; // URL the socket was opened with; the settings object may already hold a new one
+let reconnectTimer = null;
+let status = "disconnected"; // "disconnected" | "connecting" | "connected"
+const statusListeners = [];
+
+function setStatus(value) {
+  if (value === status) return;
+  status = value;
+  statusListeners.forEach((listener) => listener(status));
+}
+
+export function getRemoteControlStatus() {
+  return status;
+}
+
+/**
+ * Subscribe to connection changes; the callback receives the status string
+ */
+export function onRemoteControlStatusChange(callback) {
+  statusListeners.push(callback);
+}
+
+function send(message) {
+  if (socket && socket.readyState === WebSocket.OPEN) {
+    socket.send(JSON.stringify(message));
+  }
+}
+
+function sendState() {
+  send(getState().filter(({ args }) => isPortable(args)));
+}
+
+async function handleMessage(message) {
+  const { address, args = [] } = message || {};
+  if (typeof address !== "string") {
+    send({ address: "/error", args: ["", "Messages need an address"] });
+    return;
+  }
+  if (address === "/state") {
+    sendState();
+    return;
+  }
+  if (address === "/commands") {
+    send({ address: "/commands", args: getCommandAddresses() });
+    return;
+  }
+  try {
+    await runCommand(address, args);
+  } catch (error) {
+    console.warn(`Remote command ${address} failed:`, error);
+    send({ address: "/error", args: [address, error.message] });
+  }
+}
+
+async function onMessage(event) {
+  let data;
+  try {
+    data = JSON.parse(event.data);
+  } catch {
+    send({ address: "/error", args: ["", "Messages must be JSON"] });
+    return;
+  }
+  // A bundle runs in order, each command finishing before the next
+  for (const message of Array.isArray(data) ? data : [data]) {
+    await handleMessage(message);
+  }
+}
+
+function openSocket() {
+  clearTimeout(reconnectTimer);
+  reconnectTimer = null;
+  setStatus("connecting");
+  connectedUrl = remoteControlSettings.url;
+
+  let ws;
+  try {
+    ws = new WebSocket(remoteControlSettings.url);
+  } catch (error) {
+    // A malformed URL will not get better by retrying
+    console.warn("Remote control:", error.message);
+    setStatus("disconnected");
+    return;
+  }
+  socket = ws;
+
+  ws.addEventListener("open", () => {
+    if (ws !== socket) return;
+    setStatus("connected");
+    sendState();
+  });
+  ws.addEventListener("message", onMessage);
+  ws.addEventListener("close", () => {
+    if (ws !== socket) return;
+    socket = null;
+    setStatus("disconnected");
+    if (remoteControlSettings.enabled) {
+      reconnectTimer = setTimeout(openSocket, RECONNECT_DELAY);
+    }
+  });
+}
+
+function closeSocket() {
+  clearTimeout(reconnectTimer);
+  reconnectTimer = null;
+  if (socket) {
+    const ws = socket;
+    socket = null;
+    ws.close();
+  }
+  setStatus("disconnected");
+}
+
+/**
+ * Connect to (or disconnect from) the endpoint in remoteControlSettings;
+ * changing the URL while enabled reconnects
+ */
+export function setRemoteControlSettings(values) {
+  Object.assign(remoteControlSettings, values);
+  if (!remoteControlSettings.enabled) {
+    closeSocket();
+  } else if (!socket || remoteControlSettings.url !== connectedUrl) {
+    closeSocket();
+    openSocket();
+  }
+}
+
+// State changes go out as they happen
+onStateChange((address, args) => {
+  if (isPortable(args)) send({ address, args });
+});
@@ -0,0 +1,317 @@
+import { getState, onStateChange, isPortable } from "./preview-api.js";
+import { createStateFollower } from "./state-follower.js";
+import { sessionSettings } from "./settings.js";
+
+/**
+ * Shared session
+ * Reviews with people elsewhere: one host shares a session code, and guests
+ * joining it through a relay server (server/relay.mjs) follow the host's
+ * media URL, projection, transform, playback and, optionally, camera. Like
+ * window sync, the host sends preview API state changes and its clock; local
+ * files cannot travel, so shared media has to be loaded from a URL.
+ * Everyone sends their camera pose, shown to the others as avatars.
+ *
+ * Messages are JSON text frames. To the relay:
+ *   { "type": "join", "session": "K7QX2M", "name": "Ana", "host": true }
+ *   { "type": "ping", "t0": 1712345678901 }
+ *   { "type": "state", "address": "/projection/mode", "args": ["fisheye"] }   host only
+ *   { "type": "clock", "time": 12.5, "playing": true, "sentAt": 1712345678901 }   host only
+ *   { "type": "pose", "pose": [x, y, z, rx, ry, rz] }
+ *   { "type": "hello" }   asks the host for its full state
+ * From the relay: "welcome" ({ id, session, peers }), "peer-joined" ({ peer }),
+ * "peer-left" ({ id }), "pong" ({ t0, serverTime }), "error" ({ message }) and
+ * the messages above from other participants with their id in "from".
+ * Clock times are on the relay's clock, estimated from ping round trips, so
+ * participants' own clocks do not have to agree.
+ */
+
+const CLOCK_INTERVAL = 500; // ms between host clock messages
+const POSE_INTERVAL = 200; // ms between camera pose messages
+const PING_INTERVAL = 5000; // ms between clock offset measurements
+const PING_SAMPLES = 5; // Round trips kept; the fastest gives the offset
+const RECONNECT_DELAY = 3000; // ms
+const CODE_ALPHABET = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789"; // No 0/O or 1/I to misread
+const CODE_LENGTH = 6;
+
+let socket = null;
+let reconnectTimer = null;
+let clockTimer = null;
+let pingTimer = null;
+let poseTimer = null;
+let sessionCode = null; // Set while in a session, including while reconnecting
+let isHost = false;
+let ownId = null;
+let status = "not in a session";
+let syncedVideo = null;
+let pendingPose = null;
+let clockOffset = 0; // Relay clock minus Date.now(), in ms
+let pingSamples = []; // { rtt, offset }
+const peers = new Map(); // id -> { id, name, host, pose }
+
+// Milliseconds on the relay's clock
+function serverNow() {
+  return Date.now() + clockOffset;
+}
+
+const follower = createStateFollower({
+  followCamera: () => sessionSettings.followHostCamera,
+  now: serverNow,
+  label: "Shared session",
+});
+
+function send(message) {
+  if (socket && socket.readyState === WebSocket.OPEN) {
+    socket.send(JSON.stringify(message));
+  }
+}
+
+function sendClock() {
+  const video = syncedVideo;
+  send({ type: "clock", time: video ? video.currentTime : null, playing: video ? !video.paused : false, sentAt: serverNow() });
+}
+
+function sendSnapshot() {
+  getState()
+    .filter(({ args }) => isPortable(args))
+    .forEach(({ address, args }) => send({ type: "state", address, args }));
+  sendClock();
+}
+
+function sendPing() {
+  send({ type: "ping", t0: Date.now() });
+}
+
+function onPong({ t0, serverTime }) {
+  const t1 = Date.now();
+  const rtt = t1 - t0;
+  pingSamples.push({ rtt, offset: serverTime + rtt / 2 - t1 });
+  if (pingSamples.length > PING_SAMPLES) pingSamples.shift();
+  // The shortest round trip is the least skewed by queueing on either leg
+  clockOffset = pingSamples.reduce((best, sample) => (sample.rtt < best.rtt ? sample : best)).offset;
+}
+
+function getHost() {
+  return [...peers.values()].find((peer) => peer.host) || null;
+}
+
+function onWelcome(message) {
+  ownId = message.id;
+  peers.clear();
+  message.peers.forEach((peer) => peers.set(peer.id, { ...peer, pose: null }));
+  pingSamples = [];
+  sendPing();
+  pingTimer = setInterval(sendPing, PING_INTERVAL);
+
+  const pose = getState().find(({ address }) => address === "/camera/pose");
+  if (pose) send({ type: "pose", pose: pose.args });
+  if (isHost) {
+    clockTimer = setInterval(sendClock, CLOCK_INTERVAL);
+    sendSnapshot();
+  } else {
+    send({ type: "hello" });
+  }
+  updateStatus();
+}
+
+function onMessage(event) {
+  let message;
+  try {
+    message = JSON.parse(event.data);
+  } catch {
+    return;
+  }
+  const sender = peers.get(message.from);
+
+  switch (message.type) {
+    case "welcome":
+      onWelcome(message);
+      break;
+    case "pong":
+      onPong(message);
+      break;
+    case "error":
+      console.warn("Shared session:", message.message);
+      leaveSession(message.message);
+      break;
+    case "peer-joined":
+      peers.set(message.peer.id, { ...message.peer, pose: null });
+      updateStatus();
+      break;
+    case "peer-left":
+      peers.delete(message.id);
+      updateStatus();
+      break;
+    case "hello":
+      if (isHost) sendSnapshot();
+      break;
+    case "pose":
+      if (sender && Array.isArray(message.pose)) sender.pose = message.pose;
+      break;
+    case "state":
+      if (!isHost && sender && sender.host) follower.applyState(message.address, message.args);
+      break;
+    case "clock":
+      if (!isHost && sender && sender.host) follower.applyClock(message);
+      break;
+  }
+}
+
+function updateStatus() {
+  if (!sessionCode) return;
+  if (!ownId) {
+    status = "connecting";
+    return;
+  }
+  const people = peers.size + 1;
+  const count = `${people} ${people === 1 ? "person" : "people"}`;
+  if (isHost) status = `hosting, ${count}`;
+  else status = getHost() ? `following ${getHost().name}, ${count}` : "waiting for host";
+}
+
+function stopTimers() {
+  clearInterval(clockTimer);
+  clearInterval(pingTimer);
+  clearTimeout(poseTimer);
+  clockTimer = null;
+  pingTimer = null;
+  poseTimer = null;
+}
+
+function openSocket() {
+  clearTimeout(reconnectTimer);
+  reconnectTimer = null;
+  ownId = null;
+  updateStatus();
+
+  let ws;
+  try {
+    ws = new WebSocket(sessionSettings.url);
+  } catch (error) {
+    // A malformed URL will not get better by retrying
+    leaveSession(error.message);
+    return;
+  }
+  socket = ws;
+
+  ws.addEventListener("open", () => {
+    if (ws !== socket) return;
+    send({ type: "join", session: sessionCode, name: sessionSettings.name || "Guest", host: isHost });
+  });
+  ws.addEventListener("message", (event) => {
+    if (ws === socket) onMessage(event);
+  });
+  ws.addEventListener("close", () => {
+    if (ws !== socket) return;
+    socket = null;
+    stopTimers();
+    peers.clear();
+    ownId = null;
+    if (sessionCode) {
+      status = "reconnecting";
+      reconnectTimer = setTimeout(openSocket, RECONNECT_DELAY);
+    }
+  });
+}
+
+function start(code, host) {
+  leaveSession();
+  sessionCode = code;
+  isHost = host;
+  openSocket();
+}
+
+/**
+ * Start a session as its host; returns the code to give to guests
+ */
+export function hostSession() {
+  const random = crypto.getRandomValues(new Uint32Array(CODE_LENGTH));
+  const code = Array.from(random, (value) => CODE_ALPHABET[value % CODE_ALPHABET.length]).join("");
+  start(code, true);
+  return code;
+}
+
+/**
+ * Join the session with `code` as a guest; throws for codes that cannot be valid
+ */
+export function joinSession(code) {
+  const normalized = String(code).trim().toUpperCase();
+  if (!/^[A-Z0-9]{4,12}$/.test(normalized)) {
+    throw new Error(`Invalid session code: ${code}`);
+  }
+  start(normalized, false);
+}
+
+/**
+ * Leave the current session; `reason` is shown as the status
+ */
+export function leaveSession(reason = "not in a session") {
+  sessionCode = null;
+  isHost = false;
+  clearTimeout(reconnectTimer);
+  reconnectTimer = null;
+  stopTimers();
+  if (socket) {
+    const ws = socket;
+    socket = null;
+    ws.close();
+  }
+  peers.clear();
+  ownId = null;
+  follower.reset();
+  status = reason;
+}
+
+/**
+ * Update sessionSettings; a new relay URL or name takes effect on the next join
+ */
+export function setSessionSettings(values) {
+  Object.assign(sessionSettings, values);
+  if (sessionCode && !isHost && sessionSettings.followHostCamera) {
+    follower.applyCamera();
+  }
+}
+
+/**
+ * Follow a new picture source (or null): the host sends its clock, guests correct theirs
+ */
+export function syncSessionToVideo(video) {
+  syncedVideo = video;
+  follower.setVideo(video);
+  if (isHost) sendClock();
+}
+
+/**
+ * e.g. "hosting, 3 people", "following Ana, 2 people", "waiting for host" or "not in a session"
+ */
+export function getSessionStatus() {
+  return status;
+}
+
+/**
+ * Code of the current session, or "" outside one
+ */
+export function getSessionCode() {
+  return sessionCode || "";
+}
+
+/**
+ * The other participants: { id, name, host, pose ([x, y, z, rx, ry, rz] or null) }
+ */
+export function getSessionPeers() {
+  return [...peers.values()];
+}
+
+onStateChange((address, args) => {
+  if (!ownId) return;
+  if (address === "/camera/pose") {
+    // Poses are sent at most every POSE_INTERVAL, always ending on the latest
+    pendingPose = args;
+    if (!poseTimer) {
+      poseTimer = setTimeout(() => {
+        poseTimer = null;
+        send({ type: "pose", pose: pendingPose });
+      }, POSE_INTERVAL);
+    }
+  }
+  if (isHost && isPortable(args)) send({ type: "state", address, args });
+});
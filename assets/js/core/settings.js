@@ -23,6 +23,125 @@ export let bloomSettings = {
 export let screenSettings = {
   defaultImage: "assets/media/background.jpg",
 };
+// Local MP4/WebM files decode through WebCodecs (frame-exact, video only) when enabled
+export let videoSettings = {
+  webCodecs: false,
+};
+// Dome geometry used by the fisheye projection (degrees)
+export let domeSettings = {
+  aperture: 180,
+  tilt: 0,
+  azimuth: 0,
+};
+
+// Screen exposure (stops) and tone-mapping operator for HDR/linear content
+export let toneMappingSettings = {
+  exposure: 0,
+  operator: "none",
+};
+
+// Color correction of the screen source (neutral values; hue in degrees)
+export let colorCorrectionSettings = {
+  brightness: 0,
+  contrast: 1,
+  gamma: 1,
+  saturation: 1,
+  hue: 0,
+  lift: 0,
+};
+
+// Color correction tweaks per media item, keyed by media (see texture.js)
+export let mediaColorCorrections = {};
+
+export function getMediaColorCorrection(key) {
+  return mediaColorCorrections[key] || null;
+}
+
+export function saveMediaColorCorrection(key, values) {
+  mediaColorCorrections[key] = { ...values };
+}
+
+// 3D LUT grading of the screen content; disabling it is the A/B bypass
+export let lutSettings = {
+  enabled: true,
+  intensity: 1,
+};
+
+// Projector rig simulation; blendWidth is a fraction of each projector's image
+export let projectorSettings = {
+  view: "off",
+  blend: true,
+  blendWidth: 0.15,
+};
+
+// Cross-reflection simulation; reflectivity is the screen's diffuse reflectance (gain)
+export let crossReflectionSettings = {
+  enabled: false,
+  reflectivity: 0.4,
+};
+
+// Pixels-per-degree heatmap over the screen (opacity of the colours over the greyed content)
+export let pixelDensitySettings = {
+  enabled: false,
+  opacity: 0.8,
+};
+
+// Motion comfort thresholds in degrees per second (rotation of the picture, residual flow from camera translation)
+export let motionComfortSettings = {
+  rotationCaution: 20,
+  rotationLimit: 45,
+  translationCaution: 10,
+  translationLimit: 25,
+};
+
+// Dome guide overlay (spacing in degrees, line width in pixels)
+export let guideSettings = {
+  visible: false,
+  color: "#ffd400",
+  opacity: 0.75,
+  altitudeSpacing: 15,
+  azimuthSpacing: 30,
+  lineWidth: 1.5,
+  springLine: true,
+  zenithCross: true,
+  frontMarker: true,
+  altitudeLabels: true,
+  azimuthLabels: true,
+  labelSize: 1,
+};
+
+// Playlist defaults (durations in seconds)
+export let playlistSettings = {
+  autoAdvance: true,
+  stillDuration: 10,
+  transition: "crossfade",
+  transitionDuration: 1,
+};
+
+// Separate audio stems; positive offsets delay the audio against the picture
+export let audioSettings = {
+  offsetMs: 0,
+};
+
+// Remote control: WebSocket endpoint of the show-control bridge, connected while enabled
+export let remoteControlSettings = {
+  enabled: false,
+  url: "ws://localhost:9980",
+};
+
+// Window sync: "off", "presenter" or "follower"; followers can keep their own camera
+export let windowSyncSettings = {
+  role: "off",
+  followCamera: true,
+};
+
+// Shared review sessions: relay server, the name shown to others, and what guests follow
+export let sessionSettings = {
+  url: "ws://localhost:9981",
+  name: "",
+  followHostCamera: true,
+  showAvatars: true,
+};
 
 export function setMoveSpeed(value) {
   moveSpeed = value;
@@ -52,6 +171,22 @@ async function loadDefaultSettings() {
       if (settings.startCameraRotation) Object.assign(startCameraRotation, settings.startCameraRotation);
       if (settings.bloomSettings) Object.assign(bloomSettings, settings.bloomSettings);
       if (settings.screenSettings) Object.assign(screenSettings, settings.screenSettings);
+      if (settings.videoSettings) Object.assign(videoSettings, settings.videoSettings);
+      if (settings.domeSettings) Object.assign(domeSettings, settings.domeSettings);
+      if (settings.toneMappingSettings) Object.assign(toneMappingSettings, settings.toneMappingSettings);
+      if (settings.colorCorrectionSettings) Object.assign(colorCorrectionSettings, settings.colorCorrectionSettings);
+      if (settings.mediaColorCorrections) Object.assign(mediaColorCorrections, settings.mediaColorCorrections);
+      if (settings.lutSettings) Object.assign(lutSettings, settings.lutSettings);
+      if (settings.projectorSettings) Object.assign(projectorSettings, settings.projectorSettings);
+      if (settings.crossReflectionSettings) Object.assign(crossReflectionSettings, settings.crossReflectionSettings);
+      if (settings.pixelDensitySettings) Object.assign(pixelDensitySettings, settings.pixelDensitySettings);
+      if (settings.motionComfortSettings) Object.assign(motionComfortSettings, settings.motionComfortSettings);
+      if (settings.guideSettings) Object.assign(guideSettings, settings.guideSettings);
+      if (settings.playlistSettings) Object.assign(playlistSettings, settings.playlistSettings);
+      if (settings.audioSettings) Object.assign(audioSettings, settings.audioSettings);
+      if (settings.remoteControlSettings) Object.assign(remoteControlSettings, settings.remoteControlSettings);
+      if (settings.windowSyncSettings) Object.assign(windowSyncSettings, settings.windowSyncSettings);
+      if (settings.sessionSettings) Object.assign(sessionSettings, settings.sessionSettings);
       
       if (settings.colorSettings) {
         // Initialize if not exists, then assign defaults
@@ -0,0 +1,88 @@
+import { runCommand, hasCommand } from "./preview-api.js";
+
+/**
+ * State follower
+ * Replays another preview's published state as commands and keeps the local
+ * video on its clock, for window sync followers and shared session guests.
+ * Playback time is not replayed directly: the leader sends its clock
+ * ({ time, playing, sentAt }) and the follower nudges its playback rate or
+ * re-seeks, like the audio stems do against the picture.
+ */
+
+const NUDGE_THRESHOLD = 0.03; // seconds of drift corrected by adjusting playback rate
+const SEEK_THRESHOLD = 0.25; // seconds of drift corrected by seeking
+const NUDGE_RATE = 0.05; // playbackRate change used to pull the follower back into sync
+const PAUSED_TOLERANCE = 0.02; // seconds apart a paused follower is left alone
+const CAMERA_ADDRESSES = ["/camera/pose", "/camera/fov", "/camera/flyMode"];
+
+/**
+ * followCamera() says whether camera state is applied; now() returns milliseconds
+ * on the same clock as the leader's sentAt
+ */
+export function createStateFollower({ followCamera, now, label }) {
+  const leaderState = new Map(); // address -> args last received
+  let video = null;
+
+  function shouldApply(address, args) {
+    if (!hasCommand(address)) return false;
+    // Time follows the clock; media that is neither a URL nor a file cannot be loaded here
+    if (address === "/transport/time") return false;
+    if ((address === "/media/url" || address === "/media/file") && !args[0]) return false;
+    return followCamera() || !CAMERA_ADDRESSES.includes(address);
+  }
+
+  async function apply(address, args) {
+    if (!shouldApply(address, args)) return;
+    try {
+      await runCommand(address, args);
+    } catch (error) {
+      console.warn(`${label} could not apply ${address}:`, error);
+    }
+  }
+
+  return {
+    async applyState(address, args) {
+      leaderState.set(address, args);
+      await apply(address, args);
+    },
+
+    applyClock({ time, playing, sentAt }) {
+      if (!video || !video.duration || time === null) return;
+      const target = playing ? time + (now() - sentAt) / 1000 : time;
+      const drift = video.currentTime - target;
+
+      if (!playing || video.paused) {
+        if ("playbackRate" in video) video.playbackRate = 1;
+        // Within a frame is close enough while paused
+        if (Math.abs(drift) > PAUSED_TOLERANCE) video.currentTime = target;
+        return;
+      }
+      if (Math.abs(drift) > SEEK_THRESHOLD) {
+        video.currentTime = target;
+        if ("playbackRate" in video) video.playbackRate = 1;
+      } else if ("playbackRate" in video) {
+        // Image sequences have no rate to adjust; they only re-seek
+        video.playbackRate = Math.abs(drift) > NUDGE_THRESHOLD ? (drift > 0 ? 1 - NUDGE_RATE : 1 + NUDGE_RATE) : 1;
+      }
+    },
+
+    // Catch up with the leader's camera when following is turned back on
+    applyCamera() {
+      CAMERA_ADDRESSES.forEach((address) => {
+        if (leaderState.has(address)) apply(address, leaderState.get(address));
+      });
+    },
+
+    setVideo(value) {
+      if (video && video !== value && "playbackRate" in video) {
+        video.playbackRate = 1;
+      }
+      video = value;
+    },
+
+    reset() {
+      leaderState.clear();
+      if (video && "playbackRate" in video) video.playbackRate = 1;
+    },
+  };
+}
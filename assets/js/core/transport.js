@@ -0,0 +1,229 @@
+/**
+ * Transport
+ * Frame-accurate stepping, SMPTE timecode and A-B loop points for the current
+ * video (or image sequence). Frame numbers are derived from the transport frame
+ * rate; 29.97 and 59.94 use drop-frame timecode.
+ */
+
+const DROP_FRAME_RATES = [29.97, 59.94];
+
+let frameRate = 24;
+let watchedVideo = null;
+let frameCallbackId = null;
+let presentedTime = null; // Media time of the frame on screen, from requestVideoFrameCallback
+let loopIn = null; // Frame numbers, inclusive
+let loopOut = null;
+
+function isDropFrame(fps) {
+  return DROP_FRAME_RATES.some((rate) => Math.abs(rate - fps) < 0.01);
+}
+
+// Frames skipped at the start of each minute (except every tenth) in drop-frame timecode
+function getDroppedFrames(fps) {
+  return isDropFrame(fps) ? Math.round(fps / 15) : 0;
+}
+
+function pad(value) {
+  return String(value).padStart(2, "0");
+}
+
+export function setTransportFrameRate(fps) {
+  frameRate = fps;
+}
+
+export function getTransportFrameRate() {
+  return frameRate;
+}
+
+/**
+ * Frame number to SMPTE timecode (HH:MM:SS:FF, or HH:MM:SS;FF for drop-frame)
+ */
+export function framesToTimecode(frame, fps = frameRate) {
+  const nominal = Math.round(fps);
+  const drop = getDroppedFrames(fps);
+  let count = Math.max(0, Math.floor(frame));
+
+  if (drop) {
+    const framesPer10Minutes = Math.round(fps * 600);
+    const framesPerMinute = nominal * 60 - drop;
+    const tens = Math.floor(count / framesPer10Minutes);
+    const remainder = count % framesPer10Minutes;
+    count += drop * 9 * tens;
+    if (remainder > drop) {
+      count += drop * Math.floor((remainder - drop) / framesPerMinute);
+    }
+  }
+
+  const frames = count % nominal;
+  const seconds = Math.floor(count / nominal) % 60;
+  const minutes = Math.floor(count / (nominal * 60)) % 60;
+  const hours = Math.floor(count / (nominal * 3600));
+  return `${pad(hours)}:${pad(minutes)}:${pad(seconds)}${drop ? ";" : ":"}${pad(frames)}`;
+}
+
+/**
+ * Parse a typed timecode into a frame number
+ * Accepts HH:MM:SS:FF and shorter forms (MM:SS:FF, SS:FF) with ":", ";" or "."
+ * separators, or a bare frame number. Returns null when the text is not valid.
+ */
+export function timecodeToFrames(text, fps = frameRate) {
+  const trimmed = String(text).trim();
+  if (/^\d+$/.test(trimmed)) {
+    return parseInt(trimmed, 10);
+  }
+
+  const parts = trimmed.split(/[:;.]/);
+  if (parts.length < 2 || parts.length > 4 || parts.some((part) => !/^\d+$/.test(part))) {
+    return null;
+  }
+
+  const [hours, minutes, seconds, frames] = [0, 0, 0, 0, ...parts.map(Number)].slice(-4);
+  const nominal = Math.round(fps);
+  if (frames >= nominal || seconds >= 60 || minutes >= 60) {
+    return null;
+  }
+
+  const totalMinutes = hours * 60 + minutes;
+  const drop = getDroppedFrames(fps);
+  return (
+    (hours * 3600 + minutes * 60 + seconds) * nominal +
+    frames -
+    drop * (totalMinutes - Math.floor(totalMinutes / 10))
+  );
+}
+
+export function timeToFrame(seconds, fps = frameRate) {
+  return Math.floor(seconds * fps + 1e-6);
+}
+
+export function formatTimecode(seconds, fps = frameRate) {
+  return framesToTimecode(timeToFrame(seconds, fps), fps);
+}
+
+function getFrameCount(video) {
+  if (video.isImageSequence) return video.frameCount;
+  return video.duration ? Math.max(1, timeToFrame(video.duration)) : 1;
+}
+
+/**
+ * Time of the frame on screen - the presented frame while playing, the seek
+ * target while paused (currentTime runs ahead of the compositor during playback)
+ */
+export function getTransportTime(video) {
+  if (!video) return 0;
+  if (video.paused || video.seeking || presentedTime === null || video !== watchedVideo) {
+    return video.currentTime;
+  }
+  return presentedTime;
+}
+
+export function getCurrentFrame(video) {
+  if (!video) return 0;
+  if (video.isImageSequence) return video.frameIndex;
+  return timeToFrame(getTransportTime(video));
+}
+
+/**
+ * Show a specific frame
+ */
+export function seekToFrame(video, frame) {
+  if (!video) return;
+  const target = Math.min(Math.max(0, frame), getFrameCount(video) - 1);
+  if (video.isImageSequence) {
+    video.seekToFrame(target);
+    video.dispatchEvent(new Event("seeked"));
+    return;
+  }
+  // Aim for the middle of the frame so rounding in the container's timestamps
+  // cannot land on the neighbouring frame
+  video.currentTime = (target + 0.5) / frameRate;
+}
+
+/**
+ * Pause and move one frame forward (1) or back (-1)
+ */
+export function stepFrame(video, direction) {
+  if (!video) return;
+  video.pause();
+  seekToFrame(video, getCurrentFrame(video) + direction);
+}
+
+/**
+ * Jump to a typed timecode; returns false when it cannot be parsed
+ */
+export function seekToTimecode(video, text) {
+  const frame = timecodeToFrames(text);
+  if (frame === null) return false;
+  seekToFrame(video, frame);
+  return true;
+}
+
+export function setLoopIn(video) {
+  loopIn = getCurrentFrame(video);
+  if (loopOut !== null && loopOut < loopIn) loopOut = null;
+}
+
+export function setLoopOut(video) {
+  loopOut = getCurrentFrame(video);
+  if (loopIn !== null && loopIn > loopOut) loopIn = null;
+}
+
+export function clearLoopRange() {
+  loopIn = null;
+  loopOut = null;
+}
+
+/**
+ * Current in/out points as frame numbers (null when unset)
+ */
+export function getLoopRange() {
+  return { in: loopIn, out: loopOut };
+}
+
+// Jump back to the in point once the out point has been shown
+function enforceLoopRange(video, frame) {
+  if (loopIn === null || loopOut === null || video.paused) return;
+  if (frame >= loopOut || frame < loopIn) {
+    seekToFrame(video, loopIn);
+  }
+}
+
+function onTimeUpdate() {
+  if (watchedVideo) {
+    enforceLoopRange(watchedVideo, getCurrentFrame(watchedVideo));
+  }
+}
+
+/**
+ * Track presented frames of a new current video (or null); resets the loop range
+ */
+export function watchVideo(video) {
+  if (video === watchedVideo) return;
+
+  if (watchedVideo) {
+    if (frameCallbackId !== null && watchedVideo.cancelVideoFrameCallback) {
+      watchedVideo.cancelVideoFrameCallback(frameCallbackId);
+    }
+    watchedVideo.removeEventListener("timeupdate", onTimeUpdate);
+  }
+
+  watchedVideo = video;
+  frameCallbackId = null;
+  presentedTime = null;
+  clearLoopRange();
+  if (!video) return;
+
+  if (typeof video.requestVideoFrameCallback === "function") {
+    // Fires once per composited frame, including after seeks while paused
+    const onFrame = (now, metadata) => {
+      if (video !== watchedVideo) return;
+      presentedTime = metadata.mediaTime;
+      enforceLoopRange(video, timeToFrame(metadata.mediaTime));
+      frameCallbackId = video.requestVideoFrameCallback(onFrame);
+    };
+    frameCallbackId = video.requestVideoFrameCallback(onFrame);
+  } else {
+    // Image sequences emit timeupdate on every frame; other sources fall back to it too
+    video.addEventListener("timeupdate", onTimeUpdate);
+  }
+}
@@ -0,0 +1,128 @@
+import { getState, onStateChange } from "./preview-api.js";
+import { createStateFollower } from "./state-follower.js";
+import { windowSyncSettings } from "./settings.js";
+
+/**
+ * Window sync
+ * Mirrors one preview window (the presenter) in others on the same origin
+ * (followers), e.g. an operator's laptop window driving a projector window.
+ * The presenter broadcasts every preview API state change over a
+ * BroadcastChannel, including the local file on screen; followers replay them
+ * as commands. Playback time is not replayed directly: the presenter sends its
+ * clock twice a second and followers nudge their playback rate or re-seek,
+ * like the audio stems do against the picture. Followers can keep their own
+ * camera.
+ */
+
+const CHANNEL_NAME = "fulldome-preview-sync";
+const CLOCK_INTERVAL = 500; // ms between presenter clock messages
+
+let channel = null;
+let channelRole = "off"; // Role the channel was opened for; the settings object may already hold a new one
+let clockTimer = null;
+let syncedVideo = null;
+let lastMessageTime = 0;
+
+// Wall-clock milliseconds that agree between windows of the same browser
+function now() {
+  return performance.timeOrigin + performance.now();
+}
+
+const follower = createStateFollower({
+  followCamera: () => windowSyncSettings.followCamera,
+  now,
+  label: "Window sync",
+});
+
+function post(message) {
+  if (channel) channel.postMessage(message);
+}
+
+// Sent without a video too, so followers know the presenter is there
+function sendClock() {
+  const video = syncedVideo;
+  post({ type: "clock", time: video ? video.currentTime : null, playing: video ? !video.paused : false, sentAt: now() });
+}
+
+function onPresenterStateChange(address, args) {
+  if (windowSyncSettings.role === "presenter") {
+    post({ type: "state", address, args });
+  }
+}
+
+function onMessage(event) {
+  const message = event.data;
+  const role = windowSyncSettings.role;
+  if (role === "presenter" && message.type === "hello") {
+    // A follower opened: bring it up to date
+    getState().forEach(({ address, args }) => post({ type: "state", address, args }));
+    sendClock();
+  } else if (role === "follower") {
+    lastMessageTime = performance.now();
+    if (message.type === "state") follower.applyState(message.address, message.args);
+    else if (message.type === "clock") follower.applyClock(message);
+  }
+}
+
+function closeChannel() {
+  if (channel) {
+    channel.close();
+    channel = null;
+  }
+  channelRole = "off";
+  clearInterval(clockTimer);
+  clockTimer = null;
+}
+
+/**
+ * Change role ("off", "presenter" or "follower") or camera following
+ */
+export function setWindowSyncSettings(values) {
+  Object.assign(windowSyncSettings, values);
+  const role = windowSyncSettings.role;
+
+  if (role === "follower" && windowSyncSettings.followCamera) {
+    follower.applyCamera();
+  }
+  if (role === channelRole) return;
+
+  closeChannel();
+  follower.reset();
+  lastMessageTime = 0;
+  if (role === "off") return;
+  if (typeof BroadcastChannel === "undefined") {
+    console.warn("Window sync needs BroadcastChannel, which this browser does not support");
+    return;
+  }
+
+  channel = new BroadcastChannel(CHANNEL_NAME);
+  channelRole = role;
+  channel.addEventListener("message", onMessage);
+  if (role === "presenter") {
+    clockTimer = setInterval(sendClock, CLOCK_INTERVAL);
+    getState().forEach(({ address, args }) => post({ type: "state", address, args }));
+  } else {
+    post({ type: "hello" });
+  }
+}
+
+/**
+ * Follow a new picture source (or null): the presenter sends its clock, a follower corrects it
+ */
+export function syncWindowsToVideo(video) {
+  syncedVideo = video;
+  follower.setVideo(video);
+  if (windowSyncSettings.role === "presenter") sendClock();
+}
+
+/**
+ * "presenting", "following", "waiting for presenter" or "off"
+ */
+export function getWindowSyncStatus() {
+  const role = windowSyncSettings.role;
+  if (!channel) return "off";
+  if (role === "presenter") return "presenting";
+  return lastMessageTime && performance.now() - lastMessageTime < 2 * CLOCK_INTERVAL + 1000 ? "following" : "waiting for presenter";
+}
+
+onStateChange(onPresenterStateChange);
@@ -15,10 +15,17 @@ import {
 
 // 3D model and movement will be dynamically imported for code splitting
 let loadModel, updateMovement, updateRotation, fbxMeshes, glbLights;
-let getCurrentImageTexture, getCurrentVideoTexture, getCurrentVideo, connectWebcam;
-let loadImage, loadVideo, loadVideoFromURL, disconnectWebcam, loadDefaultScreenTexture;
+let getCurrentImageTexture, getCurrentVideoTexture, getCurrentVideo, getVideoFrameStats, connectWebcam;
+let loadImage, loadVideo, loadVideoFromURL, loadImageFromURL, disconnectWebcam, loadDefaultScreenTexture;
 let getCurrentVideoFilename, getScreenObject, applyProjectionMode, setTextureColorSpace, getVideoDevices;
+let connectScreenCapture, disconnectScreenCapture;
+let setDomeSettings, setContentRotation, setCubemapLayout, loadCubemapFaces, isCubeFaceSet, loadImageSequence;
+let isHDRFile, isKTX2File, setScreenExposure, setScreenToneMapping, onMediaChange, getCurrentMediaKey, getCurrentMediaFile;
 let updateScreenLighting, touchMovement;
+let updateTransition, playlistModule;
+let loadShaderSource, defaultShaderCode, updateShaderSources;
+let updateAudioListener, updateAmbisonics, updateSpeakerArray;
+let updateDomeGuides, updateProjectorRig, updateCrossReflection, updateAvatars;
 
 import {
   loadSettings,
@@ -28,6 +35,7 @@ import {
   startCameraRotation,
   cameraSettings,
 } from "./core/settings.js";
+import { parseViewHash, applyViewLinkToSettings, applyViewLinkToPreview } from "./core/deep-link.js";
 import * as THREE from "three";
 
 let animationFrameId = null;
@@ -46,6 +54,16 @@ async function load3DModules() {
     const movementModule = await import("./3d/movement.js");
     const textureModule = await import("./3d/texture.js");
     const screenLightingModule = await import("./3d/screen-lighting.js");
+    const transitionsModule = await import("./3d/transitions.js");
+    const shaderSourceModule = await import("./3d/shader-source.js");
+    const domeGuidesModule = await import("./3d/dome-guides.js");
+    const projectorRigModule = await import("./3d/projector-rig.js");
+    const crossReflectionModule = await import("./3d/cross-reflection.js");
+    const avatarsModule = await import("./3d/avatars.js");
+    playlistModule = await import("./3d/playlist.js");
+    const audioContextModule = await import("./audio/context.js");
+    const ambisonicsModule = await import("./audio/ambisonics.js");
+    const speakerLayoutModule = await import("./audio/speaker-layout.js");
 
     // Assign to module-level variables
     loadModel = modelModule.loadModel;
@@ -56,19 +74,47 @@ async function load3DModules() {
     getCurrentImageTexture = textureModule.getCurrentImageTexture;
     getCurrentVideoTexture = textureModule.getCurrentVideoTexture;
     getCurrentVideo = textureModule.getCurrentVideo;
+    getVideoFrameStats = textureModule.getVideoFrameStats;
     connectWebcam = textureModule.connectWebcam;
     loadImage = textureModule.loadImage;
     loadVideo = textureModule.loadVideo;
     loadVideoFromURL = textureModule.loadVideoFromURL;
+    loadImageFromURL = textureModule.loadImageFromURL;
     disconnectWebcam = textureModule.disconnectWebcam;
+    connectScreenCapture = textureModule.connectScreenCapture;
+    disconnectScreenCapture = textureModule.disconnectScreenCapture;
     loadDefaultScreenTexture = textureModule.loadDefaultScreenTexture;
     getCurrentVideoFilename = textureModule.getCurrentVideoFilename;
     getScreenObject = textureModule.getScreenObject;
     applyProjectionMode = textureModule.applyProjectionMode;
     setTextureColorSpace = textureModule.setTextureColorSpace;
     getVideoDevices = textureModule.getVideoDevices;
+    setDomeSettings = textureModule.setDomeSettings;
+    setContentRotation = textureModule.setContentRotation;
+    setCubemapLayout = textureModule.setCubemapLayout;
+    loadCubemapFaces = textureModule.loadCubemapFaces;
+    isCubeFaceSet = textureModule.isCubeFaceSet;
+    loadImageSequence = textureModule.loadImageSequence;
+    isHDRFile = textureModule.isHDRFile;
+    isKTX2File = textureModule.isKTX2File;
+    setScreenExposure = textureModule.setScreenExposure;
+    setScreenToneMapping = textureModule.setScreenToneMapping;
+    onMediaChange = textureModule.onMediaChange;
+    getCurrentMediaKey = textureModule.getCurrentMediaKey;
+    getCurrentMediaFile = textureModule.getCurrentMediaFile;
     updateScreenLighting = screenLightingModule.updateScreenLighting;
     touchMovement = movementModule.touchMovement;
+    updateTransition = transitionsModule.updateTransition;
+    loadShaderSource = textureModule.loadShaderSource;
+    defaultShaderCode = textureModule.DEFAULT_SHADER_CODE;
+    updateShaderSources = shaderSourceModule.updateShaderSources;
+    updateDomeGuides = domeGuidesModule.updateDomeGuides;
+    updateProjectorRig = projectorRigModule.updateProjectorRig;
+    updateCrossReflection = crossReflectionModule.updateCrossReflection;
+    updateAvatars = avatarsModule.updateAvatars;
+    updateAudioListener = audioContextModule.updateAudioListener;
+    updateAmbisonics = ambisonicsModule.updateAmbisonics;
+    updateSpeakerArray = speakerLayoutModule.updateSpeakerArray;
 
     // Make available globally for other modules
     window.loadModel = loadModel;
@@ -87,6 +133,11 @@ async function init() {
   // Load settings
   await loadSettings();
 
+  // A shared link overrides the start view; the camera moves there now because the render loop copies it back into the start settings
+  const viewLink = parseViewHash();
+  applyViewLinkToSettings(viewLink);
+  resetCamera(startCameraPosition, startCameraRotation, euler);
+
   // Update camera FOV from settings
   updateCameraFOV(cameraSettings.fov || 80);
 
@@ -100,8 +151,10 @@ async function init() {
 
   // Load 3D modules and start rendering
   await load3DModules();
+  let modelLoaded = Promise.resolve();
   if (loadModel) {
-    loadModel();
+    // Linked media replaces the default picture, so that is not loaded under it
+    modelLoaded = loadModel({ defaultTexture: !viewLink.some(({ address }) => address === "/media/url") });
     startRenderLoop();
   }
 
@@ -112,25 +165,57 @@ async function init() {
       loadImage,
       loadVideo,
       loadVideoFromURL,
+      loadImageFromURL,
+      loadCubemapFaces,
+      isCubeFaceSet,
+      isHDRFile,
+      isKTX2File,
+      loadImageSequence,
+      loadShaderSource,
+      defaultShaderCode,
       connectWebcam: async (deviceId) => {
         if (connectWebcam) {
           await connectWebcam(deviceId);
         }
       },
       disconnectWebcam,
+      connectScreenCapture,
+      disconnectScreenCapture,
       getCurrentVideo,
       getCurrentVideoFilename,
       getCurrentVideoTexture,
+      getCurrentImageTexture,
+      getVideoFrameStats,
+      onMediaChange,
+      getCurrentMediaKey,
+      getCurrentMediaFile,
       getScreenObject,
       applyProjectionMode,
       setTextureColorSpace,
       getVideoDevices,
+      setDomeSettings,
+      setContentRotation,
+      setCubemapLayout,
+      setScreenExposure,
+      setScreenToneMapping,
       touchMovement,
       updateCameraFOV,
+      playlist: playlistModule,
     });
   } catch (error) {
     console.error("Error initializing GUI:", error);
   }
+
+  // Linked media needs the screen, so the view is restored once the model is in
+  try {
+    await modelLoaded;
+    await applyViewLinkToPreview(viewLink);
+    if (getCurrentMediaKey && !getCurrentMediaKey()) {
+      await loadDefaultScreenTexture();
+    }
+  } catch (error) {
+    console.warn("Could not restore the linked view:", error);
+  }
 }
 
 function setupEventListeners() {
@@ -156,7 +241,7 @@ function setupEventListeners() {
     if (!fileInput) {
       fileInput = document.createElement("input");
       fileInput.type = "file";
-      fileInput.accept = "image/*,video/*";
+      fileInput.accept = "image/*,video/*,.exr,.hdr,.ktx2";
       fileInput.style.display = "none";
       document.body.appendChild(fileInput);
 
@@ -166,10 +251,10 @@ function setupEventListeners() {
           if (!loadImage || !loadVideo) {
             await load3DModules();
           }
-          if (file.type.startsWith("image/")) {
-            loadImage(file);
+          if (file.type.startsWith("image/") || isHDRFile(file) || isKTX2File(file)) {
+            loadImage(file).catch((error) => console.error("Error loading image:", error));
           } else if (file.type.startsWith("video/")) {
-            loadVideo(file);
+            loadVideo(file).catch((error) => console.error("Error loading video:", error));
           }
         }
         fileInput.value = "";
@@ -230,6 +315,39 @@ function animate(currentTime) {
     updateScreenLighting(currentTime);
   }
 
+  if (updateTransition) {
+    updateTransition(currentTime);
+  }
+
+  // Live shader sources render into their targets before the scene uses them
+  if (updateShaderSources) {
+    updateShaderSources(currentTime);
+  }
+
+  if (updateDomeGuides) {
+    updateDomeGuides();
+  }
+
+  if (updateProjectorRig) {
+    updateProjectorRig();
+  }
+
+  if (updateCrossReflection) {
+    updateCrossReflection(currentTime);
+  }
+
+  // Other participants of a shared session
+  if (updateAvatars) {
+    updateAvatars(deltaTime);
+  }
+
+  // Spatial audio follows the camera
+  if (updateAudioListener) {
+    updateAudioListener(camera);
+    updateAmbisonics(camera);
+    updateSpeakerArray();
+  }
+
   updatePostProcessing();
 }
 
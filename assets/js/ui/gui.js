@@ -1,19 +1,59 @@
 // GUI Controller Module using lil-gui
 import GUI from 'lil-gui';
-import { cameraSettings } from '../core/settings.js';
+import { cameraSettings, toneMappingSettings } from '../core/settings.js';
 import * as settings from '../core/settings.js';
+import * as transport from '../core/transport.js';
+import * as previewAPI from '../core/preview-api.js';
+import * as remoteControl from '../core/remote-control.js';
+import * as windowSync from '../core/window-sync.js';
+import * as session from '../core/session.js';
+import * as deepLink from '../core/deep-link.js';
+import * as audioStems from '../audio/stems.js';
+import * as speakerLayout from '../audio/speaker-layout.js';
+import * as domeGuides from '../3d/dome-guides.js';
+import * as lut from '../3d/lut.js';
+import * as colorCorrection from '../3d/color-correction.js';
+import * as projectorRig from '../3d/projector-rig.js';
+import * as crossReflection from '../3d/cross-reflection.js';
+import * as largeTexture from '../3d/large-texture.js';
+import * as pixelDensity from '../3d/pixel-density.js';
+import * as motionComfort from '../3d/motion-comfort.js';
+import { camera, resetCamera } from '../3d/scene.js';
+import { euler } from '../3d/camera.js';
 
 let gui = null;
 let videoControllers = null;
+let transformControllers = null;
 let cameraController = null;
+let fovController = null;
 let flyModeController = null;
+let copyLinkController = null;
 let colorControllers = {};
-let loadImage, loadVideo, loadVideoFromURL, connectWebcam, disconnectWebcam, getCurrentVideo;
+let loadImage, loadVideo, loadVideoFromURL, loadImageFromURL, connectWebcam, disconnectWebcam, getCurrentVideo;
+let loadCubemapFaces, isCubeFaceSet, isHDRFile, isKTX2File, loadImageSequence;
+let setScreenExposure, setScreenToneMapping;
+let loadShaderSource = null;
+let shaderCode = '';
+let shaderResolution = 2048;
+let sequenceInput = null;
+let playlist = null;
+let playlistInput = null;
+let audioInput = null;
+let stemOptionsToAdd = {};
+let speakerLayoutInput = null;
+let lutInput = null;
+let projectorRigInput = null;
 let getCurrentVideoFilename, getCurrentVideoTexture, getScreenObject, applyProjectionMode, setTextureColorSpace, getVideoDevices;
+let onMediaChange, getCurrentMediaKey, getCurrentMediaFile;
+let setDomeSettings, setContentRotation, setCubemapLayout, getCurrentImageTexture, getVideoFrameStats;
 let touchMovement;
 let fileInput = null;
+let viewKeptForMediaKey = null; // Media key whose video controls keep the current view
 let videoUpdateInterval = null;
 let isCameraConnected = false;
+let isScreenCaptureActive = false;
+let screenCaptureController = null;
+let connectScreenCapture, disconnectScreenCapture;
 let updateCameraFOV = null;
 let videoDevices = [];
 let selectedDeviceId = null;
@@ -29,6 +69,13 @@ let defaultTransformValues = {
   scale: 1
 };
 
+const TRANSFORM_KEYS = ['panX', 'panY', 'tilt', 'roll', 'scale', 'yaw', 'pitch', 'sphereRoll'];
+const PROJECTION_OPTIONS = ['dome', 'equirectangular', 'cubemap', '16:9', 'square'];
+const CUBEMAP_LAYOUT_OPTIONS = ['horizontal-cross', 'vertical-cross', '3x2'];
+const FLAT_PROJECTIONS = ['16:9', 'square']; // Mapped through the mesh UVs rather than dome directions
+const IMAGE_URL_PATTERN = /\.(png|jpe?g|webp|gif|avif|bmp)([?#]|$)/i;
+const GRAPH_REDRAW_INTERVAL = 250; // ms between motion comfort graph redraws while analysing
+
 // Control objects
 const controls = {
   // Media controls
@@ -36,22 +83,22 @@ const controls = {
     if (!fileInput) {
       fileInput = document.createElement("input");
       fileInput.type = "file";
-      fileInput.accept = "image/*,video/*";
+      fileInput.accept = "image/*,video/*,.exr,.hdr,.ktx2";
+      fileInput.multiple = true; // Six cube face images can be picked together
       fileInput.style.display = "none";
       document.body.appendChild(fileInput);
 
       fileInput.addEventListener("change", (e) => {
-        const file = e.target.files?.[0];
-        if (file) {
-          if (file.type.startsWith("image/")) {
-            loadImage(file);
-            hideVideoControls();
-          } else if (file.type.startsWith("video/")) {
-            loadVideo(file);
-            setTimeout(() => {
-              setupVideoControls();
-            }, 500);
-          }
+        const files = Array.from(e.target.files || []);
+        const file = files[0];
+        if (isCubeFaceSet && isCubeFaceSet(files)) {
+          loadCubemapFaces(files);
+          hideVideoControls();
+        } else if (files.length > 1 && files.every((f) => f.type.startsWith("image/"))) {
+          // Several frames selected together play back as an image sequence
+          loadImageSequence(files, controls.frameRate);
+        } else if (file) {
+          loadMediaFile(file).catch((error) => console.warn(error.message));
         }
         fileInput.value = "";
       });
@@ -74,7 +121,9 @@ const controls = {
         showCameraDropdown();
         connectWebcam(selectedDeviceId).then(() => {
           isCameraConnected = true;
+          isScreenCaptureActive = false;
           updateCameraButton();
+          updateScreenCaptureButton();
           hideVideoControls();
         }).catch(() => {
           isCameraConnected = false;
@@ -83,10 +132,56 @@ const controls = {
       }
     }
   },
+  screenCapture: () => {
+    if (isScreenCaptureActive) {
+      if (disconnectScreenCapture) {
+        disconnectScreenCapture();
+        isScreenCaptureActive = false;
+        updateScreenCaptureButton();
+        hideVideoControls();
+      }
+    } else if (connectScreenCapture) {
+      connectScreenCapture().then(() => {
+        isScreenCaptureActive = true;
+        isCameraConnected = false;
+        updateScreenCaptureButton();
+        updateCameraButton();
+        hideCameraDropdown();
+        hideVideoControls();
+      }).catch(() => {
+        isScreenCaptureActive = false;
+        updateScreenCaptureButton();
+      });
+    }
+  },
+  uploadSequence: () => {
+    if (!sequenceInput) {
+      sequenceInput = document.createElement("input");
+      sequenceInput.type = "file";
+      sequenceInput.webkitdirectory = true; // Pick a whole folder of frames
+      sequenceInput.style.display = "none";
+      document.body.appendChild(sequenceInput);
+
+      sequenceInput.addEventListener("change", (e) => {
+        const frames = Array.from(e.target.files || []).filter((f) => f.type.startsWith("image/"));
+        if (frames.length > 0 && loadImageSequence) {
+          loadImageSequence(frames, controls.frameRate);
+        }
+        sequenceInput.value = "";
+      });
+    }
+    sequenceInput.click();
+  },
+  shaderEditor: () => {
+    showShaderEditor();
+  },
   cameraDevice: 'default',
   loadURL: () => {
     showURLInputModal();
   },
+  copyLink: () => {
+    copyViewLink();
+  },
 
   // Video controls
   videoPlaying: false,
@@ -100,34 +195,70 @@ const controls = {
   timeDisplay: '0%',
   frameRate: 24,
 
+  // Transport controls
+  goToTimecode: '00:00:00:00',
+  stepBackward: () => transport.stepFrame(getCurrentVideo ? getCurrentVideo() : null, -1),
+  stepForward: () => transport.stepFrame(getCurrentVideo ? getCurrentVideo() : null, 1),
+  setLoopIn: () => {
+    transport.setLoopIn(getCurrentVideo ? getCurrentVideo() : null);
+    updateLoopRangeDisplay();
+  },
+  setLoopOut: () => {
+    transport.setLoopOut(getCurrentVideo ? getCurrentVideo() : null);
+    updateLoopRangeDisplay();
+  },
+  clearLoopRange: () => {
+    transport.clearLoopRange();
+    updateLoopRangeDisplay();
+  },
+
   // Projection and transform controls
   projectionMode: 'dome',
+  cubemapLayout: 'horizontal-cross',
   colorSpace: 'sRGB',
+  // Exposure (stops) and tone mapping, mainly for EXR/HDR stills
+  exposure: toneMappingSettings.exposure,
+  toneMapping: toneMappingSettings.operator,
   panX: 0,
   panY: 0,
   tilt: 0,
   roll: 0,
   scale: 1,
+  // Content sphere rotation (degrees)
+  yaw: 0,
+  pitch: 0,
+  sphereRoll: 0,
   resetTransform: () => {
     controls.panX = 0;
     controls.panY = 0;
     controls.tilt = 0;
     controls.roll = 0;
     controls.scale = 1;
+    controls.yaw = 0;
+    controls.pitch = 0;
+    controls.sphereRoll = 0;
     applyTransformToTexture();
     // Update GUI displays
-    if (videoControllers) {
-      if (videoControllers.panX) videoControllers.panX.updateDisplay();
-      if (videoControllers.panY) videoControllers.panY.updateDisplay();
-      if (videoControllers.tilt) videoControllers.tilt.updateDisplay();
-      if (videoControllers.roll) videoControllers.roll.updateDisplay();
-      if (videoControllers.scale) videoControllers.scale.updateDisplay();
+    if (transformControllers) {
+      if (transformControllers.panX) transformControllers.panX.updateDisplay();
+      if (transformControllers.panY) transformControllers.panY.updateDisplay();
+      if (transformControllers.tilt) transformControllers.tilt.updateDisplay();
+      if (transformControllers.roll) transformControllers.roll.updateDisplay();
+      if (transformControllers.scale) transformControllers.scale.updateDisplay();
+      if (transformControllers.yaw) transformControllers.yaw.updateDisplay();
+      if (transformControllers.pitch) transformControllers.pitch.updateDisplay();
+      if (transformControllers.sphereRoll) transformControllers.sphereRoll.updateDisplay();
     }
   },
 
   // Camera controls
   cameraFOV: 80,
   flyMode: false,
+
+  // Dome geometry controls (degrees)
+  domeAperture: 180,
+  domeTilt: 0,
+  domeAzimuth: 0,
 };
 
 export function initGUI(modules) {
@@ -135,8 +266,19 @@ export function initGUI(modules) {
   loadImage = modules.loadImage;
   loadVideo = modules.loadVideo;
   loadVideoFromURL = modules.loadVideoFromURL;
+  loadImageFromURL = modules.loadImageFromURL;
+  loadCubemapFaces = modules.loadCubemapFaces;
+  isCubeFaceSet = modules.isCubeFaceSet;
+  isHDRFile = modules.isHDRFile;
+  isKTX2File = modules.isKTX2File;
+  loadImageSequence = modules.loadImageSequence;
+  loadShaderSource = modules.loadShaderSource;
+  shaderCode = modules.defaultShaderCode || '';
+  playlist = modules.playlist;
   connectWebcam = modules.connectWebcam;
   disconnectWebcam = modules.disconnectWebcam;
+  connectScreenCapture = modules.connectScreenCapture;
+  disconnectScreenCapture = modules.disconnectScreenCapture;
   getCurrentVideo = modules.getCurrentVideo;
   getCurrentVideoFilename = modules.getCurrentVideoFilename;
   getCurrentVideoTexture = modules.getCurrentVideoTexture;
@@ -146,10 +288,23 @@ export function initGUI(modules) {
   getVideoDevices = modules.getVideoDevices;
   touchMovement = modules.touchMovement;
   updateCameraFOV = modules.updateCameraFOV;
+  setDomeSettings = modules.setDomeSettings;
+  setContentRotation = modules.setContentRotation;
+  setCubemapLayout = modules.setCubemapLayout;
+  setScreenExposure = modules.setScreenExposure;
+  setScreenToneMapping = modules.setScreenToneMapping;
+  getCurrentImageTexture = modules.getCurrentImageTexture;
+  getVideoFrameStats = modules.getVideoFrameStats;
+  onMediaChange = modules.onMediaChange;
+  getCurrentMediaKey = modules.getCurrentMediaKey;
+  getCurrentMediaFile = modules.getCurrentMediaFile;
 
   // Initialize FOV from settings
   controls.cameraFOV = cameraSettings.fov || 80;
   controls.flyMode = settings.flyMode;
+  controls.domeAperture = settings.domeSettings.aperture;
+  controls.domeTilt = settings.domeSettings.tilt;
+  controls.domeAzimuth = settings.domeSettings.azimuth;
 
   // Create GUI
   gui = new GUI({ title: 'Fulldome Preview', width: 280 });
@@ -160,7 +315,9 @@ export function initGUI(modules) {
 
   // Media controls at root
   gui.add(controls, 'upload').name('📁 Upload Image/Video');
+  gui.add(controls, 'uploadSequence').name('🎞️ Upload Image Sequence');
   gui.add(controls, 'loadURL').name('🔗 Load from URL');
+  gui.add(controls, 'shaderEditor').name('🎨 Live Shader');
 
   // Connect Virtual Camera button
   cameraController = gui.add(controls, 'camera').name('📷 Connect Virtual Camera');
@@ -187,17 +344,30 @@ export function initGUI(modules) {
   // Hide camera dropdown until user connects
   cameraSelectController.hide();
 
+  // Screen/window capture (e.g. Resolume or TouchDesigner output) without a virtual camera driver
+  screenCaptureController = gui.add(controls, 'screenCapture').name('🖥️ Capture Screen/Window');
+
+  // texture.js reports streams that end on their own (share stopped from the browser UI, camera unplugged)
+  window.onMediaStreamEnded = () => {
+    isCameraConnected = false;
+    isScreenCaptureActive = false;
+    updateCameraButton();
+    updateScreenCaptureButton();
+  };
+
   // Camera FOV slider
-  gui.add(controls, 'cameraFOV', 30, 120, 1).name('📐 Camera FOV').onChange((fov) => {
+  fovController = gui.add(controls, 'cameraFOV', 30, 120, 1).name('📐 Camera FOV').onChange((fov) => {
     cameraSettings.fov = fov;
     if (updateCameraFOV) {
       updateCameraFOV(fov);
     }
+    previewAPI.publishState('/camera/fov', fov);
   });
 
   // Fly mode checkbox
   flyModeController = gui.add(controls, 'flyMode').name('✈️ Fly Mode (F)').onChange((value) => {
     settings.setFlyMode(value);
+    previewAPI.publishState('/camera/flyMode', value);
   });
 
   // Listen for F key toggle from camera.js
@@ -206,8 +376,11 @@ export function initGUI(modules) {
     if (flyModeController) {
       flyModeController.updateDisplay();
     }
+    previewAPI.publishState('/camera/flyMode', newValue);
   };
 
+  // Link to this view (media URL, projection, transform, camera, colours)
+  copyLinkController = gui.add(controls, 'copyLink').name('📋 Copy Link');
 
   // Video controls at root (hidden by default)
   // 1. File title (readonly)
@@ -238,15 +411,42 @@ export function initGUI(modules) {
   });
 
   // 4. Time Display Mode dropdown
-  const timeDisplayModeController = gui.add(controls, 'timeDisplayMode', ['percentage', 'seconds', 'frames']).name('Time Format');
+  const timeDisplayModeController = gui.add(controls, 'timeDisplayMode', ['percentage', 'seconds', 'frames', 'timecode']).name('Time Format');
 
   // 5. Time Display (readonly)
   const timeDisplayController = gui.add(controls, 'timeDisplay').name('Position').listen();
   timeDisplayController.domElement.style.pointerEvents = 'none';
   timeDisplayController.domElement.querySelector('input').readOnly = true;
 
-  // 6. Frame Rate (for frames mode)
-  const frameRateController = gui.add(controls, 'frameRate', [24, 25, 30, 60]).name('Frame Rate');
+  // 6. Frame Rate (for frames/timecode display and frame stepping)
+  transport.setTransportFrameRate(controls.frameRate);
+  const frameRateController = gui.add(controls, 'frameRate', [23.976, 24, 25, 29.97, 30, 50, 59.94, 60]).name('Frame Rate').onChange((fps) => {
+    transport.setTransportFrameRate(fps);
+    // Image sequences have no timing of their own - this sets their playback rate
+    const video = getCurrentVideo ? getCurrentVideo() : null;
+    if (video && video.isImageSequence) {
+      video.frameRate = fps;
+    }
+    updateLoopRangeDisplay();
+  });
+
+  // 6a. Frame stepping and timecode entry
+  const stepBackwardController = gui.add(controls, 'stepBackward').name('⏪ Previous Frame (,)');
+  const stepForwardController = gui.add(controls, 'stepForward').name('⏩ Next Frame (.)');
+
+  const goToTimecodeController = gui.add(controls, 'goToTimecode').name('Go To Timecode').onFinishChange((text) => {
+    const video = getCurrentVideo ? getCurrentVideo() : null;
+    if (video && !transport.seekToTimecode(video, text)) {
+      console.warn(`Invalid timecode: ${text}`);
+      controls.goToTimecode = transport.formatTimecode(transport.getTransportTime(video));
+      goToTimecodeController.updateDisplay();
+    }
+  });
+
+  // 6b. A-B loop points
+  const loopInController = gui.add(controls, 'setLoopIn').name('Set In (I)');
+  const loopOutController = gui.add(controls, 'setLoopOut').name('Set Out (O)');
+  const clearLoopController = gui.add(controls, 'clearLoopRange').name('Clear In/Out');
 
   // 7. Loop
   const loopController = gui.add(controls, 'videoLoop').name('Loop').onChange((loop) => {
@@ -254,6 +454,7 @@ export function initGUI(modules) {
     if (video) {
       video.loop = loop;
     }
+    previewAPI.publishState('/transport/loop', loop);
   });
 
   // 8. Volume
@@ -266,18 +467,43 @@ export function initGUI(modules) {
   });
 
   // 9. Projection dropdown
-  const projectionController = gui.add(controls, 'projectionMode', ['dome', 'equirectangular', '16:9', 'square']).name('Projection').onChange(() => {
+  const projectionController = gui.add(controls, 'projectionMode', PROJECTION_OPTIONS).name('Projection').onChange(() => {
+    updateTransformControllers();
     applyTransformToTexture();
   });
 
+  // 9a. Cube face layout (cubemap projection only)
+  const cubemapLayoutController = gui.add(controls, 'cubemapLayout', CUBEMAP_LAYOUT_OPTIONS).name('Cube Layout').onChange((layout) => {
+    if (setCubemapLayout) {
+      setCubemapLayout(layout);
+    }
+    previewAPI.publishState('/projection/cubemapLayout', layout);
+  });
+
   // 9b. Color Space dropdown (for PNG sequences that need linear color)
   const colorSpaceController = gui.add(controls, 'colorSpace', ['sRGB', 'linear']).name('Color Space').onChange((value) => {
-    const texture = getCurrentVideoTexture ? getCurrentVideoTexture() : null;
+    const texture = getCurrentScreenTexture();
     if (texture && setTextureColorSpace) {
       setTextureColorSpace(texture, value);
     }
   });
 
+  // 9c. Exposure and tone mapping of the screen content
+  const exposureController = gui.add(controls, 'exposure', -10, 10).name('Exposure (stops)').step(0.1).onChange((value) => {
+    if (setScreenExposure) {
+      setScreenExposure(value);
+    }
+  });
+
+  const toneMappingController = gui.add(controls, 'toneMapping', ['none', 'ACES', 'AgX', 'Reinhard']).name('Tone Mapping').onChange((value) => {
+    if (setScreenToneMapping) {
+      setScreenToneMapping(value);
+    }
+  });
+
+  // 9d. Color correction of the screen source, remembered per media item
+  setupColorCorrectionControls();
+
   // 10. Pan/Tilt/Roll sliders
   const panXController = gui.add(controls, 'panX', -1, 1).name('Pan X').step(0.01).onChange(() => {
     applyTransformToTexture();
@@ -295,6 +521,19 @@ export function initGUI(modules) {
     applyTransformToTexture();
   });
 
+  // 10b. Content sphere Yaw/Pitch/Roll sliders (degrees)
+  const yawController = gui.add(controls, 'yaw', -180, 180).name('Yaw').step(1).onChange(() => {
+    applyTransformToTexture();
+  });
+
+  const pitchController = gui.add(controls, 'pitch', -90, 90).name('Pitch').step(1).onChange(() => {
+    applyTransformToTexture();
+  });
+
+  const sphereRollController = gui.add(controls, 'sphereRoll', -180, 180).name('Sphere Roll').step(1).onChange(() => {
+    applyTransformToTexture();
+  });
+
   // 11. Scale slider
   const scaleController = gui.add(controls, 'scale', 0.5, 2.0).name('Scale').step(0.01).onChange(() => {
     applyTransformToTexture();
@@ -311,21 +550,97 @@ export function initGUI(modules) {
     timeDisplayMode: timeDisplayModeController,
     timeDisplay: timeDisplayController,
     frameRate: frameRateController,
+    stepBackward: stepBackwardController,
+    stepForward: stepForwardController,
+    goToTimecode: goToTimecodeController,
+    loopIn: loopInController,
+    loopOut: loopOutController,
+    clearLoop: clearLoopController,
     loop: loopController,
     volume: volumeController,
+  };
+
+  // Projection and transform controls apply to any screen media, so they stay visible
+  transformControllers = {
     projection: projectionController,
+    cubemapLayout: cubemapLayoutController,
     colorSpace: colorSpaceController,
+    exposure: exposureController,
+    toneMapping: toneMappingController,
     panX: panXController,
     panY: panYController,
     tilt: tiltController,
     roll: rollController,
+    yaw: yawController,
+    pitch: pitchController,
+    sphereRoll: sphereRollController,
     scale: scaleController,
     reset: resetController,
   };
 
   // Hide video controls initially
   Object.values(videoControllers).forEach(controller => controller.hide());
+  updateTransformControllers();
+
+  // Sync the dropdowns when texture.js switches projection itself (e.g. six dropped cube faces)
+  window.onProjectionModeChange = (mode, layout) => {
+    controls.projectionMode = mode;
+    transformControllers.projection.updateDisplay();
+    if (layout) {
+      controls.cubemapLayout = layout;
+      transformControllers.cubemapLayout.updateDisplay();
+      previewAPI.publishState('/projection/cubemapLayout', layout);
+    }
+    updateTransformControllers();
+    publishTransformState();
+  };
+
+  // WebCodecs decoding and frame statistics of the current video
+  setupVideoDecodingControls();
+
+  // Stills too large for the GPU even when tiled are downsampled, or not shown at all - say so
+  largeTexture.onTextureWarning((message) => {
+    if (!message) return;
+    const text = document.createElement('div');
+    text.textContent = message;
+    showCustomModal('Image too large', text.innerHTML);
+  });
+
+  // Dome geometry used by the fisheye projection
+  setupDomeControls();
+
+  // .cube LUT grading of the screen content
+  setupLUTControls();
+
+  // Projector coverage, overlap and blended brightness
+  setupProjectorControls();
+
+  // Light bounced across the dome and the contrast it costs
+  setupCrossReflectionControls();
+
+  // Source pixels per degree of the visual field from the current seat
+  setupPixelDensityControls();
+
+  // Rotation and camera movement speeds over the video, flagged against comfort thresholds
+  setupMotionComfortControls();
+
+  // Altitude/azimuth guide grid over the screen
+  setupGuideControls();
 
+  // Playlist of queued media
+  setupPlaylistControls();
+
+  // Separate audio stems synced to the picture
+  setupAudioControls();
+
+  // WebSocket remote control for show-control systems
+  setupRemoteControl();
+
+  // Presenter/follower mirroring between windows
+  setupWindowSyncControls();
+
+  // Review sessions with people elsewhere through a relay server
+  setupSessionControls();
 
   // Setup keyboard handlers for movement
   setupKeyboardHandlers();
@@ -459,6 +774,18 @@ function showCustomModal(title, htmlContent) {
   document.body.appendChild(modal);
 }
 
+// Stills by file extension, anything else as a video or HLS stream
+async function loadMediaFromURL(url) {
+  if (typeof url !== 'string' || !url) throw new Error('/media/url needs a URL');
+  new URL(url); // Throws for malformed URLs
+  if (IMAGE_URL_PATTERN.test(url)) {
+    await loadImageFromURL(url);
+    hideVideoControls();
+  } else {
+    await loadVideoFromURL(url);
+  }
+}
+
 // Show URL input modal for loading video from URL
 function showURLInputModal() {
   // Remove existing modal if any
@@ -498,7 +825,7 @@ function showURLInputModal() {
 
   // Create title
   const titleEl = document.createElement('h2');
-  titleEl.textContent = 'Load Video from URL';
+  titleEl.textContent = 'Load Media from URL';
   titleEl.style.cssText = `
     margin: 0 0 16px 0;
     font-size: 20px;
@@ -507,10 +834,11 @@ function showURLInputModal() {
 
   // Create description
   const descEl = document.createElement('p');
-  descEl.innerHTML = `Enter a direct URL to a video file or stream:<br>
+  descEl.innerHTML = `Enter a direct URL to an image, video file or stream:<br>
+    • Images: .png, .jpg, .webp, .gif, .avif, .bmp<br>
     • Video files: .mp4, .webm<br>
     • HLS streams: .m3u8 (VLC, OBS, IP cameras)<br><br>
-    <small style="color: #888;">Note: YouTube/Vimeo page URLs won't work. Use direct video URLs or HLS stream URLs.</small>`;
+    <small style="color: #888;">Note: YouTube/Vimeo page URLs won't work. Use direct media URLs or HLS stream URLs.</small>`;
   descEl.style.cssText = `
     font-size: 14px;
     line-height: 1.6;
@@ -568,7 +896,7 @@ function showURLInputModal() {
 
   // Create load button
   const loadBtn = document.createElement('button');
-  loadBtn.textContent = 'Load Video';
+  loadBtn.textContent = 'Load';
   loadBtn.style.cssText = `
     padding: 8px 16px;
     background-color: #4a9eff;
@@ -609,16 +937,16 @@ function showURLInputModal() {
     errorEl.style.display = 'none';
 
     try {
-      if (loadVideoFromURL) {
-        await loadVideoFromURL(url);
+      if (loadVideoFromURL && loadImageFromURL) {
+        await loadMediaFromURL(url);
         closeModal();
       } else {
-        throw new Error('Video loading not available');
+        throw new Error('Media loading not available');
       }
     } catch (error) {
-      errorEl.textContent = error.message || 'Failed to load video';
+      errorEl.textContent = error.message || 'Failed to load media';
       errorEl.style.display = 'block';
-      loadBtn.textContent = 'Load Video';
+      loadBtn.textContent = 'Load';
       loadBtn.disabled = false;
     }
   };
@@ -663,6 +991,218 @@ function showURLInputModal() {
   setTimeout(() => input.focus(), 100);
 }
 
+// Side panel for editing the live shader source - docked left so the dome stays visible
+function showShaderEditor() {
+  const existingPanel = document.getElementById('shader-editor-panel');
+  if (existingPanel) {
+    existingPanel.querySelector('textarea').focus();
+    return;
+  }
+
+  const panel = document.createElement('div');
+  panel.id = 'shader-editor-panel';
+  panel.style.cssText = `
+    position: fixed;
+    top: 0;
+    left: 0;
+    width: min(560px, 45vw);
+    height: 100%;
+    background-color: rgba(26, 26, 26, 0.92);
+    color: #ffffff;
+    padding: 16px;
+    box-sizing: border-box;
+    display: flex;
+    flex-direction: column;
+    gap: 10px;
+    z-index: 10000;
+    font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, Arial, sans-serif;
+    box-shadow: 4px 0 20px rgba(0, 0, 0, 0.5);
+  `;
+
+  // Create title
+  const titleEl = document.createElement('h2');
+  titleEl.textContent = 'Live Shader';
+  titleEl.style.cssText = `
+    margin: 0;
+    font-size: 20px;
+    font-weight: 600;
+  `;
+
+  const descEl = document.createElement('p');
+  descEl.textContent = 'Shadertoy-style mainImage(). Ctrl+Enter (Cmd+Enter) runs it; iChannel0 is the media that was on screen before.';
+  descEl.style.cssText = `
+    margin: 0;
+    font-size: 13px;
+    color: #aaa;
+  `;
+
+  // Code editor
+  const textarea = document.createElement('textarea');
+  textarea.value = shaderCode;
+  textarea.spellcheck = false;
+  textarea.style.cssText = `
+    flex: 1;
+    width: 100%;
+    padding: 10px;
+    font-family: Menlo, Consolas, "Courier New", monospace;
+    font-size: 13px;
+    line-height: 1.5;
+    tab-size: 2;
+    border: 1px solid #444;
+    border-radius: 4px;
+    background-color: #111;
+    color: #e6e6e6;
+    box-sizing: border-box;
+    resize: none;
+    white-space: pre;
+  `;
+
+  // Compile errors (clicking one moves the cursor to its line)
+  const errorList = document.createElement('div');
+  errorList.style.cssText = `
+    max-height: 25%;
+    overflow-y: auto;
+    font-family: Menlo, Consolas, "Courier New", monospace;
+    font-size: 12px;
+    color: #ff6b6b;
+  `;
+
+  const statusEl = document.createElement('span');
+  statusEl.style.cssText = `
+    flex: 1;
+    font-size: 13px;
+    color: #7ddc7d;
+  `;
+
+  const resolutionSelect = document.createElement('select');
+  [1024, 2048, 4096].forEach((size) => {
+    const option = document.createElement('option');
+    option.value = size;
+    option.textContent = `${size} × ${size}`;
+    option.selected = size === shaderResolution;
+    resolutionSelect.appendChild(option);
+  });
+  resolutionSelect.style.cssText = `
+    padding: 6px;
+    background-color: #2a2a2a;
+    color: #fff;
+    border: 1px solid #444;
+    border-radius: 4px;
+  `;
+
+  // Create button container
+  const buttonContainer = document.createElement('div');
+  buttonContainer.style.cssText = `
+    display: flex;
+    gap: 10px;
+    align-items: center;
+  `;
+
+  const closeBtn = document.createElement('button');
+  closeBtn.textContent = 'Close';
+  closeBtn.style.cssText = `
+    padding: 8px 16px;
+    background-color: #444;
+    color: #ffffff;
+    border: none;
+    border-radius: 4px;
+    cursor: pointer;
+    font-size: 14px;
+    font-weight: 500;
+  `;
+  closeBtn.onmouseover = () => { closeBtn.style.backgroundColor = '#555'; };
+  closeBtn.onmouseout = () => { closeBtn.style.backgroundColor = '#444'; };
+
+  const runBtn = document.createElement('button');
+  runBtn.textContent = 'Run';
+  runBtn.style.cssText = `
+    padding: 8px 16px;
+    background-color: #4a9eff;
+    color: #ffffff;
+    border: none;
+    border-radius: 4px;
+    cursor: pointer;
+    font-size: 14px;
+    font-weight: 500;
+  `;
+  runBtn.onmouseover = () => { runBtn.style.backgroundColor = '#5aaeff'; };
+  runBtn.onmouseout = () => { runBtn.style.backgroundColor = '#4a9eff'; };
+
+  const goToLine = (line) => {
+    const lines = textarea.value.split('\n');
+    const offset = lines.slice(0, Math.max(0, line - 1)).reduce((total, text) => total + text.length + 1, 0);
+    textarea.focus();
+    textarea.setSelectionRange(offset, offset + (lines[line - 1] || '').length);
+  };
+
+  const runShader = () => {
+    if (!loadShaderSource) return;
+    shaderCode = textarea.value;
+    shaderResolution = parseInt(resolutionSelect.value, 10);
+    const errors = loadShaderSource(shaderCode, shaderResolution);
+
+    errorList.innerHTML = '';
+    if (errors.length === 0) {
+      statusEl.textContent = '✓ Running';
+      hideVideoControls();
+      applyTransformToTexture();
+      return;
+    }
+
+    statusEl.textContent = '';
+    errors.forEach(({ line, message }) => {
+      const errorEl = document.createElement('div');
+      errorEl.textContent = line > 0 ? `Line ${line}: ${message}` : message;
+      errorEl.style.cssText = `
+        padding: 2px 0;
+        cursor: ${line > 0 ? 'pointer' : 'default'};
+      `;
+      if (line > 0) {
+        errorEl.onclick = () => goToLine(line);
+      }
+      errorList.appendChild(errorEl);
+    });
+  };
+
+  const closePanel = () => {
+    panel.remove();
+  };
+
+  // Keep typing from reaching the movement and transport shortcuts
+  const stopKeys = (e) => e.stopPropagation();
+  textarea.addEventListener('keyup', stopKeys);
+  textarea.addEventListener('keydown', (e) => {
+    e.stopPropagation();
+    if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) {
+      e.preventDefault();
+      runShader();
+    } else if (e.key === 'Tab') {
+      // Indent instead of leaving the editor
+      e.preventDefault();
+      textarea.setRangeText('  ', textarea.selectionStart, textarea.selectionEnd, 'end');
+    } else if (e.key === 'Escape') {
+      closePanel();
+    }
+  });
+
+  runBtn.onclick = runShader;
+  closeBtn.onclick = closePanel;
+
+  // Assemble panel
+  buttonContainer.appendChild(statusEl);
+  buttonContainer.appendChild(resolutionSelect);
+  buttonContainer.appendChild(closeBtn);
+  buttonContainer.appendChild(runBtn);
+  panel.appendChild(titleEl);
+  panel.appendChild(descEl);
+  panel.appendChild(textarea);
+  panel.appendChild(errorList);
+  panel.appendChild(buttonContainer);
+
+  document.body.appendChild(panel);
+  setTimeout(() => textarea.focus(), 100);
+}
+
 // Show help alert
 export function showHelpAlert() {
   const helpText = `How to use the Fulldome Preview:
@@ -677,17 +1217,53 @@ Movement:
 
 Media:
 - Upload images or videos using the "Upload" button
-- Load videos from URL using the "Load from URL" button
+- Load images or videos from URL using the "Load from URL" button
+- EXR and HDR stills load as float images; set Exposure (stops) and Tone Mapping to view them
+- KTX2/Basis stills load as compressed textures; stills too large for the GPU are tiled, or downsampled with a warning
+- Drop a folder of numbered frames (or use "Upload Image Sequence") to play a PNG/JPEG sequence
+- Queue stills and videos in the Playlist folder; they advance with a crossfade or cut
+- "Live Shader" runs Shadertoy-style GLSL on the dome (Ctrl+Enter); iChannel0 is the previous media
 - Connect a virtual camera using the "Connect Virtual Camera" button
 - Select camera source from the "Virtual Camera" dropdown
+- "Capture Screen/Window" shows a desktop window, screen or browser tab
 
 Video Controls:
 - Play, pause, scrub, loop, and adjust volume
-- Choose time display format (percentage, seconds, or frames)
-- Change projection mode (dome, equirectangular, 16:9, square)
+- Choose time display format (percentage, seconds, frames, or SMPTE timecode)
+- , / . step one frame; type a timecode or frame number in "Go To Timecode"
+- I / O set in and out points to loop an A-B range; "Clear In/Out" removes them
+- Video Decoding: WebCodecs decodes local MP4/WebM files frame-exactly and shows frame counts
+
+Audio:
+- Attach WAV/FLAC stems in the Audio Stems folder, with an offset and per-stem gain/mute
+- AmbiX stems are rendered binaurally and turn with the camera and content yaw
+- 5.1/7.1 (or custom JSON layout) files play from virtual speakers around the dome
+
+Projection and Transform:
+- Change projection mode (dome, equirectangular, cubemap, 16:9, square)
+- Dome mode maps a fisheye domemaster; set aperture and tilt in the Dome folder
+- Cubemaps: pick the cube layout, or drop six face images (right/left/top/bottom/front/back or px/nx/py/ny/pz/nz)
 - Adjust Pan X/Y, Tilt, Roll, and Scale
+- Yaw, Pitch and Sphere Roll rotate 360° content to choose its front
 - Reset Transform to restore defaults
 
+Grading:
+- Color Correction sets brightness, contrast, gamma, saturation, hue and black lift per media item
+- Load a .cube 3D LUT in the LUT folder or drop it on the page; toggle it with "Apply LUT (A/B)"
+
+Checking the Picture:
+- Dome Guides overlays altitude circles, azimuth spokes, the spring line and the front marker
+- Projectors simulates the projector rig: blended brightness, heatmap, footprints or overlap count
+- Pixels per Degree colours the screen by source pixels per degree from your seat (about 60 px/° is 20/20 vision)
+- Cross-Reflection adds the light the screen bounces onto itself; set the screen Reflectivity
+- Motion Comfort graphs how fast the picture turns and moves; click the graph to jump there, "Export Report" saves CSV
+
+Sharing and Control:
+- Copy Link copies a link to this view; media is included if it was loaded from a URL
+- Window Sync mirrors a Presenter window in Follower windows on this computer
+- Shared Session: guests with the host's code follow it through a relay (node server/relay.mjs); share media by URL
+- Remote Control accepts JSON commands over a WebSocket bridge for show control; "/commands" lists them
+
 Colors:
 - Adjust colors of 3D objects using the color pickers
 
@@ -718,6 +1294,824 @@ https://paulbourke.net/`;
   alert(creditsText);
 }
 
+function setupDomeControls() {
+  const domeFolder = gui.addFolder('Dome');
+  domeFolder.close(); // Start collapsed
+
+  const applyDome = () => {
+    if (setDomeSettings) {
+      setDomeSettings({
+        aperture: controls.domeAperture,
+        tilt: controls.domeTilt,
+        azimuth: controls.domeAzimuth,
+      });
+    }
+  };
+
+  domeFolder.add(controls, 'domeAperture', [180, 200, 210, 220]).name('Aperture (°)').onChange(applyDome);
+  domeFolder.add(controls, 'domeTilt', 0, 90, 1).name('Tilt (°)').onChange(applyDome);
+  domeFolder.add(controls, 'domeAzimuth', -180, 180, 1).name('Front Azimuth (°)').onChange(applyDome);
+}
+
+function setupColorCorrectionControls() {
+  const colorCorrectionFolder = gui.addFolder('Color Correction');
+  colorCorrectionFolder.close(); // Start collapsed
+
+  const values = colorCorrection.getColorCorrection();
+  const apply = (name) => (value) => colorCorrection.setColorCorrection({ [name]: value });
+
+  colorCorrectionFolder.add(values, 'brightness', -0.5, 0.5, 0.01).name('Brightness').onChange(apply('brightness'));
+  colorCorrectionFolder.add(values, 'contrast', 0, 2, 0.01).name('Contrast').onChange(apply('contrast'));
+  colorCorrectionFolder.add(values, 'gamma', 0.2, 3, 0.01).name('Gamma').onChange(apply('gamma'));
+  colorCorrectionFolder.add(values, 'saturation', 0, 2, 0.01).name('Saturation').onChange(apply('saturation'));
+  colorCorrectionFolder.add(values, 'hue', -180, 180, 1).name('Hue Shift (°)').onChange(apply('hue'));
+  colorCorrectionFolder.add(values, 'lift', 0, 0.5, 0.01).name('Black Lift').onChange(apply('lift'));
+  colorCorrectionFolder.add({ reset: () => colorCorrection.resetColorCorrection() }, 'reset').name('↺ Reset Color');
+
+  // Switching media restores that item's values
+  colorCorrection.onColorCorrectionChange((current) => {
+    Object.assign(values, current);
+    colorCorrectionFolder.controllers.forEach((controller) => controller.updateDisplay());
+  });
+}
+
+function setupLUTControls() {
+  const lutSettings = settings.lutSettings;
+  const lutFolder = gui.addFolder('LUT');
+  lutFolder.close(); // Start collapsed
+
+  const actions = {
+    load: () => {
+      if (!lutInput) {
+        lutInput = document.createElement("input");
+        lutInput.type = "file";
+        lutInput.accept = ".cube";
+        lutInput.style.display = "none";
+        document.body.appendChild(lutInput);
+
+        lutInput.addEventListener("change", async (e) => {
+          const file = e.target.files?.[0];
+          lutInput.value = "";
+          if (!file) return;
+          try {
+            await lut.loadLUT(file);
+          } catch (error) {
+            console.error("Error loading LUT:", error);
+            alert(`Could not load the LUT: ${error.message}`);
+          }
+        });
+      }
+      lutInput.click();
+    },
+    clear: () => lut.clearLUT(),
+    current: 'None',
+  };
+
+  lutFolder.add(actions, 'load').name('📂 Load .cube LUT');
+  const currentController = lutFolder.add(actions, 'current').name('Current').disable();
+  lutFolder.add(lutSettings, 'enabled').name('Apply LUT (A/B)').onChange((enabled) => lut.setLUTEnabled(enabled));
+  lutFolder.add(lutSettings, 'intensity', 0, 1, 0.01).name('Intensity').onChange((intensity) => lut.setLUTIntensity(intensity));
+  lutFolder.add(actions, 'clear').name('✕ Remove LUT');
+
+  lut.onLUTChange((current) => {
+    actions.current = current ? `${current.name} (${current.size}³)` : 'None';
+    currentController.updateDisplay();
+    if (current) lutFolder.open();
+  });
+}
+
+function setupProjectorControls() {
+  const projectorSettings = settings.projectorSettings;
+  const projectorFolder = gui.addFolder('Projectors');
+  projectorFolder.close(); // Start collapsed
+
+  const actions = {
+    loadRig: () => {
+      if (!projectorRigInput) {
+        projectorRigInput = document.createElement("input");
+        projectorRigInput.type = "file";
+        projectorRigInput.accept = ".json,application/json";
+        projectorRigInput.style.display = "none";
+        document.body.appendChild(projectorRigInput);
+
+        projectorRigInput.addEventListener("change", async (e) => {
+          const file = e.target.files?.[0];
+          projectorRigInput.value = "";
+          if (!file) return;
+          try {
+            await projectorRig.loadProjectorRig(file);
+          } catch (error) {
+            console.error("Error loading projector rig:", error);
+            alert(`Could not load the projector rig: ${error.message}`);
+          }
+        });
+      }
+      projectorRigInput.click();
+    },
+    resetRig: () => projectorRig.resetProjectorRig(),
+    rig: '',
+    coverage: '',
+    brightness: '',
+  };
+
+  const applyProjectors = () => projectorRig.setProjectorSettings(projectorSettings);
+
+  projectorFolder.add(projectorSettings, 'view', ['off', 'brightness', 'heatmap', 'footprints', 'overlap']).name('View').onChange(applyProjectors);
+  projectorFolder.add(projectorSettings, 'blend').name('Edge Blend').onChange(applyProjectors);
+  projectorFolder.add(projectorSettings, 'blendWidth', 0, 0.5, 0.01).name('Blend Width').onChange(applyProjectors);
+  projectorFolder.add(actions, 'loadRig').name('📂 Load Rig JSON');
+  projectorFolder.add(actions, 'resetRig').name('↺ Default Rig');
+  const rigController = projectorFolder.add(actions, 'rig').name('Rig').disable();
+  const coverageController = projectorFolder.add(actions, 'coverage').name('Coverage').disable();
+  const brightnessController = projectorFolder.add(actions, 'brightness').name('Brightness').disable();
+
+  // Footprint colours, one swatch per projector
+  const legendFolder = projectorFolder.addFolder('Legend');
+
+  const showRig = ({ name, projectors, stats }) => {
+    actions.rig = `${name} (${projectors.length})`;
+    if (stats) {
+      actions.coverage = `${Math.round(stats.coverage * 100)}% · overlap ${Math.round(stats.overlap * 100)}%`;
+      actions.brightness = `${Math.round(stats.minLux)}–${Math.round(stats.maxLux)} lx · min ${Math.round(stats.uniformity * 100)}% / max ${Math.round(stats.hotspot * 100)}% of avg`;
+    }
+    rigController.updateDisplay();
+    coverageController.updateDisplay();
+    brightnessController.updateDisplay();
+
+    [...legendFolder.controllers].forEach((controller) => controller.destroy());
+    projectors.forEach(({ label, color }) => {
+      legendFolder.addColor({ color }, 'color').name(label).disable();
+    });
+  };
+  projectorRig.onProjectorRigChange(showRig);
+  showRig(projectorRig.getProjectorRig());
+}
+
+function setupVideoDecodingControls() {
+  const videoSettings = settings.videoSettings;
+  const decodingFolder = gui.addFolder('Video Decoding');
+  decodingFolder.close(); // Start collapsed
+
+  // Read from the current video whenever the panel redraws
+  const readout = {
+    get decoder() {
+      const stats = getVideoFrameStats ? getVideoFrameStats() : null;
+      return stats ? stats.decoder : '—';
+    },
+    get frames() {
+      const stats = getVideoFrameStats ? getVideoFrameStats() : null;
+      if (!stats) return '—';
+      const percent = stats.frames > 0 ? (stats.dropped / stats.frames) * 100 : 0;
+      return `${stats.frames} · dropped ${stats.dropped} (${percent.toFixed(1)}%)`;
+    },
+    get uploads() {
+      const stats = getVideoFrameStats ? getVideoFrameStats() : null;
+      return stats ? `${stats.uploads} · missed ${stats.missed}` : '—';
+    },
+  };
+
+  const webCodecsController = decodingFolder.add(videoSettings, 'webCodecs').name('WebCodecs (frame-exact)');
+  if (typeof VideoDecoder === 'undefined') {
+    webCodecsController.disable();
+  }
+  decodingFolder.add(readout, 'decoder').name('Decoder').disable().listen();
+  decodingFolder.add(readout, 'frames').name('Frames').disable().listen();
+  decodingFolder.add(readout, 'uploads').name('Uploads').disable().listen();
+}
+
+function setupCrossReflectionControls() {
+  const crossReflectionSettings = settings.crossReflectionSettings;
+  const crossReflectionFolder = gui.addFolder('Cross-Reflection');
+  crossReflectionFolder.close(); // Start collapsed
+
+  // Black level the bounce adds, in percent of peak white
+  const readout = {
+    get blackLevel() {
+      if (!crossReflectionSettings.enabled) return 'off';
+      return `+${(crossReflection.getCrossReflectionLevel() * 100).toFixed(1)}%`;
+    },
+  };
+  const applyCrossReflection = () => crossReflection.setCrossReflectionSettings(crossReflectionSettings);
+
+  crossReflectionFolder.add(crossReflectionSettings, 'enabled').name('Enable').onChange(applyCrossReflection);
+  crossReflectionFolder.add(crossReflectionSettings, 'reflectivity', 0, 1, 0.01).name('Reflectivity (gain)').onChange(applyCrossReflection);
+  crossReflectionFolder.add(readout, 'blackLevel').name('Black Level').disable().listen();
+}
+
+function setupPixelDensityControls() {
+  const pixelDensitySettings = settings.pixelDensitySettings;
+  const pixelDensityFolder = gui.addFolder('Pixels per Degree');
+  pixelDensityFolder.close(); // Start collapsed
+
+  const applyPixelDensity = () => pixelDensity.setPixelDensitySettings(pixelDensitySettings);
+
+  // Reference value for the loaded media, seen from the dome centre
+  const readout = {
+    get source() {
+      const density = pixelDensity.getSourcePixelDensity();
+      return density ? `${density.width} × ${density.height} · ${density.ppd.toFixed(1)} px/° at centre` : '—';
+    },
+  };
+
+  pixelDensityFolder.add(pixelDensitySettings, 'enabled').name('Show Heatmap').onChange(applyPixelDensity);
+  pixelDensityFolder.add(pixelDensitySettings, 'opacity', 0, 1, 0.05).name('Opacity').onChange(applyPixelDensity);
+  pixelDensityFolder.add(readout, 'source').name('Source').disable().listen();
+
+  // Heatmap colours; values between stops are blended
+  const legendFolder = pixelDensityFolder.addFolder('Legend');
+  const stops = pixelDensity.getPixelDensityLegend();
+  stops.forEach(({ ppd, color }, index) => {
+    const label = index === stops.length - 1 ? `${ppd}+ px/° (20/20 acuity)` : `${ppd} px/°`;
+    legendFolder.addColor({ color }, 'color').name(label).disable();
+  });
+
+  applyPixelDensity();
+}
+
+function setupMotionComfortControls() {
+  const motionComfortSettings = settings.motionComfortSettings;
+  const motionFolder = gui.addFolder('Motion Comfort');
+  motionFolder.close(); // Start collapsed
+
+  const readout = {
+    get status() {
+      const { running, progress, samples, ranges } = motionComfort.getMotionAnalysis();
+      if (running) return `Analysing… ${Math.round(progress * 100)}%`;
+      if (samples.length === 0) return '—';
+      const limits = ranges.filter((range) => range.level === 'limit').length;
+      return `${ranges.length} flagged (${limits} over limit)`;
+    },
+  };
+  const actions = {
+    analyse: () => {
+      try {
+        motionComfort.startMotionAnalysis();
+      } catch (error) {
+        alert(error.message);
+      }
+    },
+    stop: () => motionComfort.stopMotionAnalysis(),
+    exportReport: () => {
+      if (motionComfort.getMotionAnalysis().samples.length === 0) {
+        alert('Analyse a video first.');
+        return;
+      }
+      const name = (getCurrentVideoFilename ? getCurrentVideoFilename() : '') || 'video';
+      const blob = new Blob([motionComfort.getMotionReport()], { type: 'text/csv' });
+      const link = document.createElement('a');
+      link.href = URL.createObjectURL(blob);
+      link.download = `${name.replace(/\.[^.]+$/, '')}-motion-comfort.csv`;
+      link.click();
+      // Revoking straight after click() cancels the download in some browsers
+      setTimeout(() => URL.revokeObjectURL(link.href), 0);
+    },
+  };
+  const applyThresholds = () => motionComfort.setMotionComfortSettings(motionComfortSettings);
+
+  motionFolder.add(actions, 'analyse').name('Analyse Video');
+  motionFolder.add(actions, 'stop').name('Stop');
+  motionFolder.add(readout, 'status').name('Status').disable().listen();
+  motionFolder.add(motionComfortSettings, 'rotationCaution', 5, 90, 1).name('Rotation Caution (°/s)').onChange(applyThresholds);
+  motionFolder.add(motionComfortSettings, 'rotationLimit', 5, 180, 1).name('Rotation Limit (°/s)').onChange(applyThresholds);
+  motionFolder.add(motionComfortSettings, 'translationCaution', 1, 60, 1).name('Translation Caution (°/s)').onChange(applyThresholds);
+  motionFolder.add(motionComfortSettings, 'translationLimit', 1, 120, 1).name('Translation Limit (°/s)').onChange(applyThresholds);
+
+  // Timeline: rotation (blue) and translation (green) with their thresholds, flagged ranges shaded
+  const graph = document.createElement('canvas');
+  graph.style.cssText = 'display: block; width: 100%; height: 110px; cursor: pointer;';
+  graph.title = 'Click to jump to that point in the video';
+  motionFolder.$children.appendChild(graph);
+  motionFolder.add(actions, 'exportReport').name('Export Report');
+
+  const drawGraph = () => {
+    const { samples, ranges, duration } = motionComfort.getMotionAnalysis();
+    const scale = window.devicePixelRatio || 1;
+    const width = graph.clientWidth || 240;
+    const height = graph.clientHeight || 110;
+    graph.width = Math.round(width * scale);
+    graph.height = Math.round(height * scale);
+    const ctx = graph.getContext('2d');
+    ctx.setTransform(scale, 0, 0, scale, 0, 0);
+    ctx.fillStyle = '#1f1f1f';
+    ctx.fillRect(0, 0, width, height);
+    if (!duration || samples.length === 0) return;
+
+    const peak = samples.reduce((max, sample) => Math.max(max, sample.smoothRotation, sample.smoothTranslation), 0);
+    const top = Math.max(peak, motionComfortSettings.rotationLimit, motionComfortSettings.translationLimit) * 1.1;
+    const x = (time) => (time / duration) * width;
+    const y = (value) => height - (Math.min(value, top) / top) * (height - 14);
+
+    ranges.forEach((range) => {
+      ctx.fillStyle = range.level === 'limit' ? 'rgba(255, 60, 60, 0.3)' : 'rgba(255, 190, 40, 0.25)';
+      ctx.fillRect(x(range.start), 0, Math.max(1, x(range.end) - x(range.start)), height);
+    });
+
+    const drawThreshold = (value, color, dash) => {
+      ctx.strokeStyle = color;
+      ctx.setLineDash(dash);
+      ctx.beginPath();
+      ctx.moveTo(0, y(value));
+      ctx.lineTo(width, y(value));
+      ctx.stroke();
+    };
+    ctx.lineWidth = 1;
+    drawThreshold(motionComfortSettings.rotationCaution, '#4a9eff', [2, 3]);
+    drawThreshold(motionComfortSettings.rotationLimit, '#4a9eff', [6, 3]);
+    drawThreshold(motionComfortSettings.translationCaution, '#40d040', [2, 3]);
+    drawThreshold(motionComfortSettings.translationLimit, '#40d040', [6, 3]);
+    ctx.setLineDash([]);
+
+    const drawLine = (key, color) => {
+      ctx.strokeStyle = color;
+      ctx.lineWidth = 1.5;
+      ctx.beginPath();
+      samples.forEach((sample, index) => {
+        if (index === 0) ctx.moveTo(x(sample.time), y(sample[key]));
+        else ctx.lineTo(x(sample.time), y(sample[key]));
+      });
+      ctx.stroke();
+    };
+    drawLine('smoothTranslation', '#40d040');
+    drawLine('smoothRotation', '#4a9eff');
+
+    ctx.font = '10px sans-serif';
+    ctx.fillStyle = '#aaaaaa';
+    ctx.fillText(`${Math.round(top)}°/s`, 4, 10);
+  };
+
+  graph.addEventListener('click', (e) => {
+    const { duration } = motionComfort.getMotionAnalysis();
+    const video = getCurrentVideo ? getCurrentVideo() : null;
+    if (!video || !duration || motionComfort.getMotionAnalysis().running) return;
+    const rect = graph.getBoundingClientRect();
+    video.currentTime = ((e.clientX - rect.left) / rect.width) * duration;
+  });
+
+  // New samples arrive every frame; while analysing the graph is redrawn a few times a second
+  let graphTimer = null;
+  motionComfort.onMotionAnalysisChange(({ running }) => {
+    if (!running) {
+      clearTimeout(graphTimer);
+      graphTimer = null;
+      drawGraph();
+    } else if (!graphTimer) {
+      graphTimer = setTimeout(() => {
+        graphTimer = null;
+        drawGraph();
+      }, GRAPH_REDRAW_INTERVAL);
+    }
+  });
+  // The canvas has no size while the folder is closed
+  motionFolder.onOpenClose(() => drawGraph());
+}
+
+function setupRemoteControl() {
+  const remoteControlSettings = settings.remoteControlSettings;
+  const remoteFolder = gui.addFolder('Remote Control');
+  remoteFolder.close(); // Start collapsed
+
+  registerPreviewCommands();
+
+  const readout = {
+    get status() {
+      return remoteControl.getRemoteControlStatus();
+    },
+  };
+  const applyRemoteControl = () => remoteControl.setRemoteControlSettings(remoteControlSettings);
+
+  remoteFolder.add(remoteControlSettings, 'url').name('WebSocket URL').onFinishChange(applyRemoteControl);
+  remoteFolder.add(remoteControlSettings, 'enabled').name('Connect').onChange(applyRemoteControl);
+  remoteFolder.add(readout, 'status').name('Status').disable().listen();
+
+  if (remoteControlSettings.enabled) {
+    applyRemoteControl();
+  }
+}
+
+// Commands for the state the panel owns; they go through the controllers so the panel stays in step
+function registerPreviewCommands() {
+  const requireVideo = () => {
+    const video = getCurrentVideo ? getCurrentVideo() : null;
+    if (!video) throw new Error('No video is loaded');
+    return video;
+  };
+
+  // Media loaded through the API keeps the view, which is set through the API as well
+  const loadMediaKeepingView = async (loading) => {
+    await loading;
+    viewKeptForMediaKey = getCurrentMediaKey();
+  };
+  previewAPI.registerCommand('/media/url', (url) => loadMediaKeepingView(loadMediaFromURL(url)));
+  previewAPI.registerCommand('/media/file', (file) => {
+    if (!(file instanceof Blob)) throw new Error('/media/file needs a File');
+    return loadMediaKeepingView(loadMediaFile(file));
+  });
+
+  previewAPI.registerCommand('/transport/play', () => requireVideo().play());
+  previewAPI.registerCommand('/transport/pause', () => requireVideo().pause());
+  previewAPI.registerCommand('/transport/playing', (playing) => (playing ? requireVideo().play() : requireVideo().pause()));
+  previewAPI.registerCommand('/transport/time', (seconds) => {
+    requireVideo().currentTime = Number(seconds);
+  });
+  previewAPI.registerCommand('/transport/timecode', (text) => {
+    if (!transport.seekToTimecode(requireVideo(), text)) throw new Error(`Invalid timecode: ${text}`);
+  });
+  previewAPI.registerCommand('/transport/loop', (loop) => {
+    requireVideo();
+    videoControllers.loop.setValue(Boolean(loop));
+  });
+
+  previewAPI.registerCommand('/projection/mode', (mode) => {
+    if (!PROJECTION_OPTIONS.includes(mode)) throw new Error(`Unknown projection: ${mode}`);
+    transformControllers.projection.setValue(mode);
+  });
+  previewAPI.registerCommand('/projection/cubemapLayout', (layout) => {
+    if (!CUBEMAP_LAYOUT_OPTIONS.includes(layout)) throw new Error(`Unknown cube layout: ${layout}`);
+    transformControllers.cubemapLayout.setValue(layout);
+  });
+  TRANSFORM_KEYS.forEach((key) => {
+    previewAPI.registerCommand(`/transform/${key}`, (value) => {
+      if (!Number.isFinite(Number(value))) throw new Error(`${key} needs a number`);
+      transformControllers[key].setValue(Number(value));
+    });
+  });
+  previewAPI.registerCommand('/transform/reset', () => controls.resetTransform());
+
+  // Position in scene units, rotation as XYZ Euler angles in radians
+  previewAPI.registerCommand('/camera/pose', (x, y, z, rx, ry, rz) => {
+    const values = [x, y, z, rx, ry, rz].map(Number);
+    if (!values.every(Number.isFinite)) throw new Error('/camera/pose needs x, y, z, rx, ry, rz');
+    resetCamera({ x: values[0], y: values[1], z: values[2] }, { x: values[3], y: values[4], z: values[5] }, euler);
+    publishCameraPose();
+  });
+  previewAPI.registerCommand('/camera/fov', (fov) => fovController.setValue(Number(fov)));
+  previewAPI.registerCommand('/camera/flyMode', (enabled) => flyModeController.setValue(Boolean(enabled)));
+
+  // Current state for anyone connecting later; colours follow once the venue model has loaded
+  previewAPI.publishState('/camera/fov', controls.cameraFOV);
+  previewAPI.publishState('/camera/flyMode', controls.flyMode);
+  previewAPI.publishState('/projection/cubemapLayout', controls.cubemapLayout);
+  publishTransformState();
+  publishCameraPose();
+  if (onMediaChange) {
+    onMediaChange(publishMediaState);
+  }
+}
+
+// One picked or mirrored file: a still (including EXR/HDR/KTX2) or a video
+function loadMediaFile(file) {
+  if (file.type.startsWith("image/") || (isHDRFile && isHDRFile(file)) || (isKTX2File && isKTX2File(file))) {
+    const loading = loadImage(file);
+    hideVideoControls();
+    return loading;
+  }
+  // The video loaders set up the video controls themselves
+  if (file.type.startsWith("video/")) return loadVideo(file);
+  return Promise.reject(new Error(`${file.name} is not an image or video`));
+}
+
+// Media loaded from a URL can be loaded again anywhere, local files only in other windows of this browser
+function publishMediaState(key) {
+  previewAPI.publishState('/media/key', key);
+  previewAPI.publishState('/media/url', key.startsWith('url:') ? key.slice(4) : '');
+  previewAPI.publishState('/media/file', (getCurrentMediaFile && getCurrentMediaFile()) || null);
+}
+
+function publishPlaybackState(video) {
+  if (video !== (getCurrentVideo ? getCurrentVideo() : null)) return;
+  previewAPI.publishState('/transport/playing', !video.paused);
+  previewAPI.publishState('/transport/time', Math.round(video.currentTime * 1000) / 1000);
+  previewAPI.publishState('/transport/loop', video.loop);
+}
+
+function publishTransformState() {
+  previewAPI.publishState('/projection/mode', controls.projectionMode);
+  TRANSFORM_KEYS.forEach((key) => previewAPI.publishState(`/transform/${key}`, controls[key]));
+}
+
+function publishCameraPose() {
+  const round = (value) => Math.round(value * 1000) / 1000;
+  const { position, rotation } = camera;
+  previewAPI.publishState('/camera/pose', [position.x, position.y, position.z, rotation.x, rotation.y, rotation.z].map(round));
+}
+
+// "#rrggbb" (or "rrggbb"), or r, g, b from 0 to 1, as the "#rrggbb" a colour controller takes
+function parseColor(...values) {
+  if (values.length >= 3) {
+    const channels = values.slice(0, 3).map(Number);
+    if (!channels.every(Number.isFinite)) throw new Error(`Invalid colour: ${values.join(', ')}`);
+    return '#' + channels.map((value) => Math.round(Math.min(1, Math.max(0, value)) * 255).toString(16).padStart(2, '0')).join('');
+  }
+  const hex = String(values[0]).replace(/^#/, '');
+  if (!/^[0-9a-f]{6}$/i.test(hex)) throw new Error(`Invalid colour: ${values[0]}`);
+  return `#${hex.toLowerCase()}`;
+}
+
+async function copyViewLink() {
+  const link = deepLink.getViewLink();
+  try {
+    await navigator.clipboard.writeText(link);
+  } catch {
+    // Clipboard access needs a secure context and focus; let the user copy it instead
+    prompt('Copy this link:', link);
+    return;
+  }
+  copyLinkController.name('✅ Link Copied');
+  setTimeout(() => copyLinkController.name('📋 Copy Link'), 2000);
+}
+
+function setupWindowSyncControls() {
+  const windowSyncSettings = settings.windowSyncSettings;
+  const syncFolder = gui.addFolder('Window Sync');
+  syncFolder.close(); // Start collapsed
+
+  // Windows opened with ?sync=follower (see Open Follower Window) follow straight away
+  const requestedRole = new URLSearchParams(window.location.search).get('sync');
+  if (['presenter', 'follower'].includes(requestedRole)) {
+    windowSyncSettings.role = requestedRole;
+  }
+
+  const readout = {
+    get status() {
+      return windowSync.getWindowSyncStatus();
+    },
+  };
+  const actions = {
+    openFollower: () => {
+      if (windowSyncSettings.role !== 'presenter') {
+        roleController.setValue('presenter');
+      }
+      const url = new URL(window.location.href);
+      url.searchParams.set('sync', 'follower');
+      window.open(url.href, '_blank');
+    },
+  };
+  const applyWindowSync = () => windowSync.setWindowSyncSettings(windowSyncSettings);
+
+  const roleController = syncFolder.add(windowSyncSettings, 'role', ['off', 'presenter', 'follower']).name('Role').onChange(applyWindowSync);
+  syncFolder.add(windowSyncSettings, 'followCamera').name('Follow Camera').onChange(applyWindowSync);
+  syncFolder.add(readout, 'status').name('Status').disable().listen();
+  syncFolder.add(actions, 'openFollower').name('Open Follower Window');
+
+  applyWindowSync();
+}
+
+function setupSessionControls() {
+  const sessionSettings = settings.sessionSettings;
+  const sessionFolder = gui.addFolder('Shared Session');
+  sessionFolder.close(); // Start collapsed
+
+  const form = { code: '' };
+  const readout = {
+    get status() {
+      return session.getSessionStatus();
+    },
+  };
+  const actions = {
+    host: () => {
+      codeController.setValue(session.hostSession());
+    },
+    join: () => {
+      try {
+        session.joinSession(form.code);
+      } catch (error) {
+        alert(error.message);
+      }
+    },
+    leave: () => session.leaveSession(),
+  };
+  const applySession = () => session.setSessionSettings(sessionSettings);
+
+  sessionFolder.add(sessionSettings, 'url').name('Relay URL').onFinishChange(applySession);
+  sessionFolder.add(sessionSettings, 'name').name('Your Name').onFinishChange(applySession);
+  const codeController = sessionFolder.add(form, 'code').name('Session Code');
+  sessionFolder.add(actions, 'host').name('Host New Session');
+  sessionFolder.add(actions, 'join').name('Join Session');
+  sessionFolder.add(actions, 'leave').name('Leave Session');
+  sessionFolder.add(sessionSettings, 'followHostCamera').name('Follow Host Camera').onChange(applySession);
+  sessionFolder.add(sessionSettings, 'showAvatars').name('Show Avatars').onChange(applySession);
+  sessionFolder.add(readout, 'status').name('Status').disable().listen();
+}
+
+function setupGuideControls() {
+  const guideSettings = settings.guideSettings;
+  const guideFolder = gui.addFolder('Dome Guides');
+  guideFolder.close(); // Start collapsed
+
+  const applyGuides = () => domeGuides.applyGuideSettings();
+
+  guideFolder.add(guideSettings, 'visible').name('Show Guides').onChange(applyGuides);
+  guideFolder.addColor(guideSettings, 'color').name('Colour').onChange(applyGuides);
+  guideFolder.add(guideSettings, 'opacity', 0, 1, 0.05).name('Opacity').onChange(applyGuides);
+  guideFolder.add(guideSettings, 'altitudeSpacing', [5, 10, 15, 30]).name('Altitude Every (°)').onChange(applyGuides);
+  guideFolder.add(guideSettings, 'azimuthSpacing', [10, 15, 30, 45, 90]).name('Azimuth Every (°)').onChange(applyGuides);
+  guideFolder.add(guideSettings, 'lineWidth', 0.5, 5, 0.5).name('Line Width (px)').onChange(applyGuides);
+  guideFolder.add(guideSettings, 'springLine').name('Spring Line').onChange(applyGuides);
+  guideFolder.add(guideSettings, 'zenithCross').name('Zenith Cross').onChange(applyGuides);
+  guideFolder.add(guideSettings, 'frontMarker').name('Front Marker').onChange(applyGuides);
+  guideFolder.add(guideSettings, 'altitudeLabels').name('Altitude Labels').onChange(applyGuides);
+  guideFolder.add(guideSettings, 'azimuthLabels').name('Azimuth Labels').onChange(applyGuides);
+  guideFolder.add(guideSettings, 'labelSize', 0.5, 3, 0.1).name('Label Size').onChange(applyGuides);
+
+  applyGuides();
+}
+
+function setupPlaylistControls() {
+  if (!playlist) return;
+
+  const playlistSettings = settings.playlistSettings;
+  const playlistFolder = gui.addFolder('Playlist');
+  playlistFolder.close(); // Start collapsed
+
+  const actions = {
+    addFiles: () => {
+      if (!playlistInput) {
+        playlistInput = document.createElement("input");
+        playlistInput.type = "file";
+        playlistInput.accept = "image/*,video/*,.exr,.hdr,.ktx2";
+        playlistInput.multiple = true;
+        playlistInput.style.display = "none";
+        document.body.appendChild(playlistInput);
+
+        playlistInput.addEventListener("change", (e) => {
+          playlist.addFilesToPlaylist(e.target.files || []);
+          playlistInput.value = "";
+        });
+      }
+      playlistInput.click();
+    },
+    addURL: () => {
+      const url = prompt('Image or video URL to add to the playlist:');
+      if (url && url.trim()) {
+        playlist.addURLToPlaylist(url.trim());
+      }
+    },
+    play: () => playlist.startPlaylist(),
+    next: () => playlist.playlistNext(),
+    previous: () => playlist.playlistPrevious(),
+    stop: () => playlist.stopPlaylist(),
+    removeCurrent: () => playlist.removeFromPlaylist(playlist.getPlaylist().currentIndex),
+    clear: () => playlist.clearPlaylist(),
+    itemDuration: playlistSettings.stillDuration,
+  };
+
+  playlistFolder.add(actions, 'addFiles').name('➕ Add Files');
+  playlistFolder.add(actions, 'addURL').name('➕ Add URL');
+  playlistFolder.add(actions, 'play').name('▶️ Play');
+  playlistFolder.add(actions, 'previous').name('⏮️ Previous');
+  playlistFolder.add(actions, 'next').name('⏭️ Next');
+  playlistFolder.add(actions, 'stop').name('⏹️ Stop Advancing');
+
+  playlistFolder.add(playlistSettings, 'autoAdvance').name('Auto Advance').onChange(() => {
+    playlist.refreshPlaylistAdvance();
+  });
+  playlistFolder.add(playlistSettings, 'transition', ['crossfade', 'cut']).name('Transition');
+  playlistFolder.add(playlistSettings, 'transitionDuration', 0, 5, 0.1).name('Fade (s)');
+  playlistFolder.add(playlistSettings, 'stillDuration', 1, 120, 1).name('Default Still (s)');
+
+  // Duration of the still currently showing
+  const itemDurationController = playlistFolder.add(actions, 'itemDuration', 1, 120, 1).name('This Still (s)').onChange((seconds) => {
+    playlist.setItemDuration(playlist.getPlaylist().currentIndex, seconds);
+  });
+  itemDurationController.hide();
+
+  playlistFolder.add(actions, 'removeCurrent').name('✕ Remove Current');
+  playlistFolder.add(actions, 'clear').name('🗑️ Clear Playlist');
+
+  // Item list - one button per entry, rebuilt whenever the playlist changes
+  const itemsFolder = playlistFolder.addFolder('Items');
+
+  playlist.onPlaylistChange(({ items, currentIndex }) => {
+    [...itemsFolder.controllers].forEach((controller) => controller.destroy());
+    items.forEach((item, index) => {
+      const marker = index === currentIndex ? '▶' : `${index + 1}.`;
+      const icon = item.error ? '⚠️' : item.type === 'image' ? '🖼️' : '🎬';
+      const controller = itemsFolder.add({ play: () => playlist.playItem(index) }, 'play').name(`${marker} ${icon} ${item.name}`);
+      // Items that failed to load say why on hover
+      if (item.error) controller.domElement.title = item.error;
+    });
+
+    const current = items[currentIndex];
+    if (current && current.type === 'image') {
+      actions.itemDuration = current.duration;
+      itemDurationController.updateDisplay();
+      itemDurationController.show();
+    } else {
+      itemDurationController.hide();
+    }
+  });
+}
+
+function setupAudioControls() {
+  const audioFolder = gui.addFolder('Audio Stems');
+  audioFolder.close(); // Start collapsed
+
+  // Stems are only added once the file picker returns, so remember which kind was asked for
+  const openAudioPicker = (stemOptions) => {
+    if (!getCurrentVideo || !getCurrentVideo()) {
+      alert('Load a video or image sequence first - audio stems follow its timing.');
+      return;
+    }
+    if (!audioInput) {
+      audioInput = document.createElement("input");
+      audioInput.type = "file";
+      audioInput.accept = "audio/*,.wav,.flac";
+      audioInput.multiple = true;
+      audioInput.style.display = "none";
+      document.body.appendChild(audioInput);
+
+      audioInput.addEventListener("change", (e) => {
+        audioStems.addStems(e.target.files || [], stemOptionsToAdd);
+        audioInput.value = "";
+      });
+    }
+    stemOptionsToAdd = stemOptions;
+    audioInput.click();
+  };
+
+  const actions = {
+    addFiles: () => openAudioPicker({}),
+    ambisonicOrder: 1,
+    addAmbisonic: () => openAudioPicker({ ambisonicOrder: actions.ambisonicOrder }),
+    addMultichannel: () => openAudioPicker({ speakerArray: true }),
+    speakerLayout: speakerLayout.getSpeakerLayout().name,
+    showSpeakers: false,
+    loadLayout: () => {
+      if (!speakerLayoutInput) {
+        speakerLayoutInput = document.createElement("input");
+        speakerLayoutInput.type = "file";
+        speakerLayoutInput.accept = ".json,application/json";
+        speakerLayoutInput.style.display = "none";
+        document.body.appendChild(speakerLayoutInput);
+
+        speakerLayoutInput.addEventListener("change", async (e) => {
+          const file = e.target.files?.[0];
+          speakerLayoutInput.value = "";
+          if (!file) return;
+          try {
+            const name = await speakerLayout.loadSpeakerLayout(file);
+            // options() replaces the controller, so the change handler has to be re-attached
+            actions.speakerLayout = name;
+            layoutController = layoutController.options(speakerLayout.getSpeakerLayoutNames()).onChange(onLayoutChange);
+          } catch (error) {
+            console.error("Error loading speaker layout:", error);
+            alert(`Could not load speaker layout: ${error.message}`);
+          }
+        });
+      }
+      speakerLayoutInput.click();
+    },
+    clear: () => audioStems.clearStems(),
+  };
+
+  audioFolder.add(actions, 'addFiles').name('➕ Add Audio Files');
+  audioFolder.add(actions, 'ambisonicOrder', { 'First order (4 ch)': 1, 'Second order (9 ch)': 2 }).name('Ambisonic Order');
+  audioFolder.add(actions, 'addAmbisonic').name('➕ Add Ambisonic (AmbiX)');
+
+  // Channel-based audio played from virtual speakers around the dome
+  // The layout dropdown stays last: options() re-adds it at the end of its folder
+  const speakerFolder = audioFolder.addFolder('Speaker Array');
+  speakerFolder.add(actions, 'addMultichannel').name('➕ Add Multichannel (5.1/7.1/...)');
+  speakerFolder.add(actions, 'loadLayout').name('📂 Load Layout JSON');
+  speakerFolder.add(actions, 'showSpeakers').name('Show Speakers').onChange((visible) => {
+    speakerLayout.setSpeakerMarkersVisible(visible);
+  });
+  const onLayoutChange = (name) => speakerLayout.setSpeakerLayout(name);
+  let layoutController = speakerFolder.add(actions, 'speakerLayout', speakerLayout.getSpeakerLayoutNames()).name('Speaker Layout').onChange(onLayoutChange);
+  audioFolder.add(settings.audioSettings, 'offsetMs', -2000, 2000, 1).name('Offset (ms)').onChange((ms) => {
+    audioStems.setAudioOffset(ms);
+  });
+  audioFolder.add(actions, 'clear').name('🗑️ Remove All');
+
+  // One folder per stem with gain, mute and remove
+  let stemFolders = [];
+  audioStems.onStemsChange((stems) => {
+    stemFolders.forEach((folder) => folder.destroy());
+    stemFolders = stems.map((stem) => {
+      let icon = '🔊';
+      if (stem.ambisonicOrder) {
+        icon = stem.ambisonicOrder === 1 ? '🎧 FOA' : '🎧 SOA';
+      } else if (stem.speakerArray) {
+        icon = '🔈 Array';
+      }
+      const stemFolder = audioFolder.addFolder(`${icon} ${stem.name}`);
+      const stemControls = {
+        gainDb: stem.gainDb,
+        muted: stem.muted,
+        remove: () => audioStems.removeStem(stem.id),
+      };
+      stemFolder.add(stemControls, 'gainDb', -60, 12, 0.5).name('Gain (dB)').onChange((db) => {
+        audioStems.setStemGain(stem.id, db);
+      });
+      stemFolder.add(stemControls, 'muted').name('Mute').onChange((muted) => {
+        audioStems.setStemMuted(stem.id, muted);
+      });
+      stemFolder.add(stemControls, 'remove').name('✕ Remove');
+      return stemFolder;
+    });
+  });
+}
+
 async function setupColorControls() {
   // Wait for model to load
   const checkModel = async () => {
@@ -768,9 +2162,12 @@ async function setupColorControls() {
               window.savedColorSettings[item.name] = { r, g, b };
 
               // Colors are updated in memory only (no persistence)
+              previewAPI.publishState(`/colors/${item.name}`, value);
             });
 
             colorControllers[item.name] = controller;
+            previewAPI.registerCommand(`/colors/${item.name}`, (...color) => controller.setValue(parseColor(...color)));
+            previewAPI.publishState(`/colors/${item.name}`, currentColor);
           }
         });
       } else {
@@ -791,6 +2188,7 @@ function setupKeyboardHandlers() {
     if (touchMovement) {
       setMovementKey(key, true);
     }
+    handleTransportKey(e);
   });
 
   window.addEventListener('keyup', (e) => {
@@ -801,6 +2199,28 @@ function setupKeyboardHandlers() {
   });
 }
 
+// Frame stepping and loop points, while a video is loaded and no text field has focus
+function handleTransportKey(e) {
+  const video = getCurrentVideo ? getCurrentVideo() : null;
+  const target = e.target;
+  if (!video || target.tagName === 'INPUT' || target.tagName === 'TEXTAREA' || target.isContentEditable) return;
+
+  switch (e.key.toLowerCase()) {
+    case ',':
+      controls.stepBackward();
+      break;
+    case '.':
+      controls.stepForward();
+      break;
+    case 'i':
+      controls.setLoopIn();
+      break;
+    case 'o':
+      controls.setLoopOut();
+      break;
+  }
+}
+
 function setMovementKey(key, active) {
   if (!touchMovement) return;
 
@@ -845,6 +2265,16 @@ function setupVideoControls() {
     controls.videoLoop = video.loop;
     controls.videoVolume = Math.round(video.volume * 100);
     controls.videoPlaying = !video.paused;
+    if (video.isImageSequence) {
+      video.frameRate = controls.frameRate;
+    }
+
+    // New media starts without loop points or audio stems
+    transport.watchVideo(video);
+    audioStems.syncStemsToVideo(video);
+    windowSync.syncWindowsToVideo(video);
+    session.syncSessionToVideo(video);
+    updateLoopRangeDisplay();
 
     // Set video title
     const filename = getCurrentVideoFilename ? getCurrentVideoFilename() : '';
@@ -853,45 +2283,63 @@ function setupVideoControls() {
       videoControllers.title.updateDisplay();
     }
 
-    // Reset transform values
-    controls.panX = 0;
-    controls.panY = 0;
-    controls.tilt = 0;
-    controls.roll = 0;
-    controls.scale = 1;
-    controls.projectionMode = 'dome';
-    controls.colorSpace = 'sRGB';
+    // Reset transform values, unless the media came through the preview API
+    const keepView = viewKeptForMediaKey !== null && viewKeptForMediaKey === getCurrentMediaKey();
+    viewKeptForMediaKey = null;
+    if (!keepView) {
+      controls.panX = 0;
+      controls.panY = 0;
+      controls.tilt = 0;
+      controls.roll = 0;
+      controls.scale = 1;
+      controls.yaw = 0;
+      controls.pitch = 0;
+      controls.sphereRoll = 0;
+      controls.projectionMode = 'dome';
+      controls.colorSpace = 'sRGB';
+    }
 
     // Update controllers
     videoControllers.loop.setValue(video.loop);
     videoControllers.volume.setValue(Math.round(video.volume * 100));
     videoControllers.playPause.setValue(!video.paused);
-    if (videoControllers.projection) videoControllers.projection.setValue('dome');
-    if (videoControllers.colorSpace) videoControllers.colorSpace.setValue('sRGB');
-    if (videoControllers.panX) videoControllers.panX.updateDisplay();
-    if (videoControllers.panY) videoControllers.panY.updateDisplay();
-    if (videoControllers.tilt) videoControllers.tilt.updateDisplay();
-    if (videoControllers.roll) videoControllers.roll.updateDisplay();
-    if (videoControllers.scale) videoControllers.scale.updateDisplay();
+    if (transformControllers.projection) transformControllers.projection.setValue(controls.projectionMode);
+    if (transformControllers.colorSpace) transformControllers.colorSpace.setValue(controls.colorSpace);
+    if (transformControllers.panX) transformControllers.panX.updateDisplay();
+    if (transformControllers.panY) transformControllers.panY.updateDisplay();
+    if (transformControllers.tilt) transformControllers.tilt.updateDisplay();
+    if (transformControllers.roll) transformControllers.roll.updateDisplay();
+    if (transformControllers.scale) transformControllers.scale.updateDisplay();
+    if (transformControllers.yaw) transformControllers.yaw.updateDisplay();
+    if (transformControllers.pitch) transformControllers.pitch.updateDisplay();
+    if (transformControllers.sphereRoll) transformControllers.sphereRoll.updateDisplay();
 
     // Listen for video events
     const playHandler = () => {
       controls.videoPlaying = true;
       videoControllers.playPause.updateDisplay();
+      publishPlaybackState(video);
     };
 
     const pauseHandler = () => {
       controls.videoPlaying = false;
       videoControllers.playPause.updateDisplay();
+      publishPlaybackState(video);
     };
 
     video.addEventListener("play", playHandler);
     video.addEventListener("pause", pauseHandler);
     video.addEventListener("ended", pauseHandler);
+    video.addEventListener("seeked", () => publishPlaybackState(video));
+    publishPlaybackState(video);
   }
 }
 
 function hideVideoControls() {
+  transport.watchVideo(null);
+  audioStems.syncStemsToVideo(null);
+  windowSync.syncWindowsToVideo(null);
+  session.syncSessionToVideo(null);
   if (videoControllers) {
     Object.values(videoControllers).forEach(controller => controller.hide());
   }
@@ -904,6 +2352,10 @@ function startVideoUpdateLoop() {
 
   videoUpdateInterval = setInterval(() => {
     const video = getCurrentVideo ? getCurrentVideo() : null;
+
+    // Playback position while playing and the camera pose (only changes are published)
+    if (video && !video.paused) publishPlaybackState(video);
+    publishCameraPose();
     if (video && videoControllers && !videoControllers.time._hidden) {
       if (video.duration) {
         controls.videoTime = (video.currentTime / video.duration) * 100;
@@ -923,6 +2375,8 @@ function startVideoUpdateLoop() {
           const currentFrame = Math.floor(currentTime * fps);
           const totalFrames = Math.floor(duration * fps);
           controls.timeDisplay = currentFrame + ' / ' + totalFrames;
+        } else if (mode === 'timecode') {
+          controls.timeDisplay = transport.formatTimecode(transport.getTransportTime(video)) + ' / ' + transport.formatTimecode(duration);
         }
 
         if (videoControllers.timeDisplay) {
@@ -933,12 +2387,26 @@ function startVideoUpdateLoop() {
   }, 100);
 }
 
+// Show the in/out timecodes on their buttons
+function updateLoopRangeDisplay() {
+  if (!videoControllers) return;
+  const range = transport.getLoopRange();
+  videoControllers.loopIn.name(range.in === null ? 'Set In (I)' : `Set In (I) · ${transport.framesToTimecode(range.in)}`);
+  videoControllers.loopOut.name(range.out === null ? 'Set Out (O)' : `Set Out (O) · ${transport.framesToTimecode(range.out)}`);
+}
+
 function updateCameraButton() {
   if (cameraController) {
     cameraController.name(isCameraConnected ? '🔌 Disconnect Virtual Camera' : '📷 Connect Virtual Camera');
   }
 }
 
+function updateScreenCaptureButton() {
+  if (screenCaptureController) {
+    screenCaptureController.name(isScreenCaptureActive ? '⏹️ Stop Screen Capture' : '🖥️ Capture Screen/Window');
+  }
+}
+
 function showCameraDropdown() {
   if (cameraSelectController) {
     cameraSelectController.show();
@@ -978,27 +2446,62 @@ async function refreshCameraList() {
   }
 }
 
+// Equirectangular content is rotated as a sphere, so the 2D tilt does not apply
+// Cube faces sit in fixed cells, so only the sphere rotation moves them; cube layout only matters there
+function updateTransformControllers() {
+  if (!transformControllers) return;
+  const cubemap = controls.projectionMode === 'cubemap';
+  transformControllers.tilt.show(controls.projectionMode !== 'equirectangular' && !cubemap);
+  transformControllers.panX.show(!cubemap);
+  transformControllers.panY.show(!cubemap);
+  transformControllers.scale.show(!cubemap);
+  transformControllers.cubemapLayout.show(cubemap);
+}
+
+// Texture currently on the screen (video, webcam or still image)
+function getCurrentScreenTexture() {
+  const videoTexture = getCurrentVideoTexture ? getCurrentVideoTexture() : null;
+  if (videoTexture) return videoTexture;
+  return getCurrentImageTexture ? getCurrentImageTexture() : null;
+}
+
 // Apply current transform values to texture
 function applyTransformToTexture() {
-  const texture = getCurrentVideoTexture ? getCurrentVideoTexture() : null;
+  // The dome projections look up world-space directions, so rolling the mesh would only turn the
+  // dome geometry under the picture; there Roll turns the content around the front axis instead
+  const flatMapping = FLAT_PROJECTIONS.includes(controls.projectionMode);
+  const contentRoll = flatMapping ? 0 : (controls.roll * 180) / Math.PI;
+
+  // Content sphere rotation lives in the screen shader, independent of the texture
+  if (setContentRotation) {
+    setContentRotation(controls.yaw, controls.pitch, controls.sphereRoll + contentRoll);
+  }
+  publishTransformState();
+
+  const texture = getCurrentScreenTexture();
   if (!texture) return;
 
+  // Cube faces are looked up in fixed cells of the texture, so pan, scale and tilt would mix them up
+  const cubemap = controls.projectionMode === 'cubemap';
+
   // Apply projection mode base values
   if (applyProjectionMode) {
-    applyProjectionMode(texture, controls.projectionMode, controls.scale);
+    applyProjectionMode(texture, controls.projectionMode, cubemap ? 1 : controls.scale);
   }
 
   // Apply pan offset on top of projection offset
-  texture.offset.x += controls.panX;
-  texture.offset.y += controls.panY;
+  if (!cubemap) {
+    texture.offset.x += controls.panX;
+    texture.offset.y += controls.panY;
+  }
 
-  // Apply tilt (texture rotation)
-  texture.rotation = controls.tilt;
+  // Apply tilt (texture rotation) - equirectangular and cubemaps use the sphere rotation instead
+  texture.rotation = controls.projectionMode === 'equirectangular' || cubemap ? 0 : controls.tilt;
 
-  // Apply roll to screen object if available
+  // Flat mappings follow the mesh UVs, so rolling the screen object rolls the picture
   const screen = getScreenObject ? getScreenObject() : null;
   if (screen) {
-    screen.rotation.z = controls.roll;
+    screen.rotation.z = flatMapping ? controls.roll : 0;
   }
 
   texture.needsUpdate = true;
@@ -0,0 +1,13 @@
+// Decodes image sequence frames off the main thread
+// Receives { index, file } and replies with { index, bitmap } (or { index, error })
+
+self.addEventListener("message", async (e) => {
+  const { index, file } = e.data;
+  try {
+    // Flip here: WebGL ignores UNPACK_FLIP_Y for ImageBitmap uploads
+    const bitmap = await createImageBitmap(file, { imageOrientation: "flipY" });
+    self.postMessage({ index, bitmap }, [bitmap]);
+  } catch (error) {
+    self.postMessage({ index, error: error.message || String(error) });
+  }
+});
@@ -0,0 +1,256 @@
+// Estimates global motion on the dome between consecutive analysis frames
+// Receives { type: "start", projection, aperture } once, then { type: "frame", run, time, width, height, pixels }
+// (RGBA, frames in playback order) and replies to each frame with { type: "skipped", run, time } when
+// there is nothing to compare it with, otherwise with
+// { type: "sample", run, time, dt, rotation, axis, translation, blocks, clipped }: rotation and residual
+// translational flow in degrees per second, axis as a dome-space unit vector [x, y, z]. `clipped`
+// means most blocks moved further than the search range; the rotation is then a lower bound.
+//
+// Block matching finds where each textured block of the previous frame moved to; each block
+// centre and its match are turned into directions on the dome. The rotation that best explains
+// all the moves is solved in the small-angle approximation (d2 - d1 = w x d1) and refined once;
+// what is left over is flow from camera translation (and moving objects), whose size depends on
+// scene depth.
+
+const BLOCK_SIZE = 16; // Large enough that most blocks hold texture in two directions
+const SEARCH_RANGE = 8; // Pixels either way; fast pans at low frame rates move further than this
+const MIN_BLOCK_CONTRAST = 256; // Summed deviation from the block mean (0-255 levels) below which a block is too flat to match
+const MIN_BLOCKS = 12;
+const OUTLIER_FACTOR = 2.5; // Blocks further than this many median residuals from the rotation are dropped
+
+let projection = "fisheye";
+let aperture = Math.PI;
+let previous = null; // { time, width, height, luma }
+
+function toLuma(pixels, width, height) {
+  const luma = new Float32Array(width * height);
+  for (let i = 0; i < luma.length; i++) {
+    luma[i] = 0.2126 * pixels[i * 4] + 0.7152 * pixels[i * 4 + 1] + 0.0722 * pixels[i * 4 + 2];
+  }
+  return luma;
+}
+
+// Image position (pixels, y down) to a dome-space direction, mirroring the screen shader's lookups
+// Returns null outside the fisheye circle
+function pixelToDirection(x, y, width, height) {
+  const u = x / width;
+  const v = y / height;
+  if (projection === "equirectangular") {
+    const lon = (u - 0.5) * 2 * Math.PI;
+    const lat = (0.5 - v) * Math.PI;
+    return [Math.cos(lat) * Math.sin(lon), Math.sin(lat), Math.cos(lat) * Math.cos(lon)];
+  }
+  // Fisheye domemaster: zenith in the middle, front at the bottom edge
+  const dx = u - 0.5;
+  const dy = v - 0.5;
+  const theta = Math.sqrt(dx * dx + dy * dy) * aperture;
+  if (theta > aperture / 2) return null;
+  const phi = Math.atan2(dx, dy);
+  return [Math.sin(theta) * Math.sin(phi), Math.cos(theta), Math.sin(theta) * Math.cos(phi)];
+}
+
+function blockCost(a, b, width, ax, ay, bx, by) {
+  let cost = 0;
+  for (let y = 0; y < BLOCK_SIZE; y++) {
+    let ia = (ay + y) * width + ax;
+    let ib = (by + y) * width + bx;
+    for (let x = 0; x < BLOCK_SIZE; x++) {
+      const difference = a[ia++] - b[ib++];
+      cost += difference * difference;
+    }
+  }
+  return cost;
+}
+
+function blockContrast(luma, width, bx, by) {
+  let mean = 0;
+  for (let y = 0; y < BLOCK_SIZE; y++) {
+    for (let x = 0; x < BLOCK_SIZE; x++) mean += luma[(by + y) * width + bx + x];
+  }
+  mean /= BLOCK_SIZE * BLOCK_SIZE;
+  let deviation = 0;
+  for (let y = 0; y < BLOCK_SIZE; y++) {
+    for (let x = 0; x < BLOCK_SIZE; x++) deviation += Math.abs(luma[(by + y) * width + bx + x] - mean);
+  }
+  return deviation;
+}
+
+// Vertex of the parabola through three costs, for sub-pixel matches
+function subPixel(left, centre, right) {
+  const denominator = left - 2 * centre + right;
+  return denominator > 0 ? (0.5 * (left - right)) / denominator : 0;
+}
+
+// Where each textured block of `from` moved to in `to`, as pairs of dome directions
+// `clipped` counts blocks whose best match was at the edge of the search window
+function matchBlocks(from, to, width, height) {
+  const matches = [];
+  let clipped = 0;
+  for (let by = SEARCH_RANGE; by + BLOCK_SIZE + SEARCH_RANGE <= height; by += BLOCK_SIZE) {
+    for (let bx = SEARCH_RANGE; bx + BLOCK_SIZE + SEARCH_RANGE <= width; bx += BLOCK_SIZE) {
+      const half = BLOCK_SIZE / 2;
+      const start = pixelToDirection(bx + half, by + half, width, height);
+      if (!start || blockContrast(from, width, bx, by) < MIN_BLOCK_CONTRAST) continue;
+
+      let best = Infinity;
+      let bestX = 0;
+      let bestY = 0;
+      for (let dy = -SEARCH_RANGE; dy <= SEARCH_RANGE; dy++) {
+        for (let dx = -SEARCH_RANGE; dx <= SEARCH_RANGE; dx++) {
+          const cost = blockCost(from, to, width, bx, by, bx + dx, by + dy);
+          // Prefer no motion on ties, so flat areas of a static shot stay put
+          if (cost < best || (cost === best && dx * dx + dy * dy < bestX * bestX + bestY * bestY)) {
+            best = cost;
+            bestX = dx;
+            bestY = dy;
+          }
+        }
+      }
+      // Matches at the edge of the search window are probably cut short, not real
+      if (Math.abs(bestX) === SEARCH_RANGE || Math.abs(bestY) === SEARCH_RANGE) {
+        clipped++;
+        continue;
+      }
+
+      const cost = (dx, dy) => blockCost(from, to, width, bx, by, bx + dx, by + dy);
+      const offsetX = bestX + subPixel(cost(bestX - 1, bestY), best, cost(bestX + 1, bestY));
+      const offsetY = bestY + subPixel(cost(bestX, bestY - 1), best, cost(bestX, bestY + 1));
+      const end = pixelToDirection(bx + half + offsetX, by + half + offsetY, width, height);
+      if (end) matches.push({ start, end });
+    }
+  }
+  return { matches, clipped };
+}
+
+function cross(a, b) {
+  return [a[1] * b[2] - a[2] * b[1], a[2] * b[0] - a[0] * b[2], a[0] * b[1] - a[1] * b[0]];
+}
+
+function solve3(m, b) {
+  const det =
+    m[0] * (m[4] * m[8] - m[5] * m[7]) - m[1] * (m[3] * m[8] - m[5] * m[6]) + m[2] * (m[3] * m[7] - m[4] * m[6]);
+  if (Math.abs(det) < 1e-9) return [0, 0, 0];
+  const column = (index) => {
+    const copy = m.slice();
+    copy[index] = b[0];
+    copy[index + 3] = b[1];
+    copy[index + 6] = b[2];
+    return (
+      copy[0] * (copy[4] * copy[8] - copy[5] * copy[7]) -
+      copy[1] * (copy[3] * copy[8] - copy[5] * copy[6]) +
+      copy[2] * (copy[3] * copy[7] - copy[4] * copy[6])
+    );
+  };
+  return [column(0) / det, column(1) / det, column(2) / det];
+}
+
+// Rotate d by the rotation vector w (axis times angle in radians)
+function rotate(d, w) {
+  const angle = Math.hypot(w[0], w[1], w[2]);
+  if (angle < 1e-12) return d;
+  const k = [w[0] / angle, w[1] / angle, w[2] / angle];
+  const c = Math.cos(angle);
+  const s = Math.sin(angle);
+  const kd = k[0] * d[0] + k[1] * d[1] + k[2] * d[2];
+  const kxd = cross(k, d);
+  return [0, 1, 2].map((i) => d[i] * c + kxd[i] * s + k[i] * kd * (1 - c));
+}
+
+// Least-squares rotation vector w (radians) with d2 - d1 = w x d1:
+// sum(I - d d^T) w = sum(d x (d2 - d1))
+// Solved again around the first estimate, which removes most of the small-angle error on fast moves
+function solveRotation(matches) {
+  const first = solveStep(matches, [0, 0, 0]);
+  const correction = solveStep(matches, first);
+  return [first[0] + correction[0], first[1] + correction[1], first[2] + correction[2]];
+}
+
+function solveStep(matches, w) {
+  const m = [0, 0, 0, 0, 0, 0, 0, 0, 0];
+  const b = [0, 0, 0];
+  matches.forEach(({ start, end }) => {
+    const d = rotate(start, w);
+    const delta = [end[0] - d[0], end[1] - d[1], end[2] - d[2]];
+    const c = cross(d, delta);
+    for (let row = 0; row < 3; row++) {
+      b[row] += c[row];
+      for (let col = 0; col < 3; col++) {
+        m[row * 3 + col] += (row === col ? 1 : 0) - d[row] * d[col];
+      }
+    }
+  });
+  return solve3(m, b);
+}
+
+// Angle (radians) of the flow left once the rotation is taken out
+function residual({ start, end }, w) {
+  const rotated = rotate(start, w);
+  return Math.hypot(end[0] - rotated[0], end[1] - rotated[1], end[2] - rotated[2]);
+}
+
+function median(values) {
+  const sorted = values.slice().sort((a, b) => a - b);
+  return sorted.length > 0 ? sorted[sorted.length >> 1] : 0;
+}
+
+// Angle (radians) of the search range, where the image is least magnified
+function searchRangeAngle(width) {
+  return (SEARCH_RANGE * (projection === "equirectangular" ? 2 * Math.PI : aperture)) / width;
+}
+
+function estimateMotion(from, to, width, height) {
+  const { matches, clipped } = matchBlocks(from, to, width, height);
+  if (clipped > matches.length) {
+    // Too fast to follow: report the least it must have been
+    return { rotation: [0, searchRangeAngle(width), 0], translation: 0, blocks: matches.length, clipped: true };
+  }
+  if (matches.length < MIN_BLOCKS) return { rotation: [0, 0, 0], translation: 0, blocks: matches.length, clipped: false };
+
+  // Objects moving across a still shot would otherwise drag the rotation along
+  let w = solveRotation(matches);
+  const cutoff = OUTLIER_FACTOR * Math.max(median(matches.map((match) => residual(match, w))), 1e-4);
+  const inliers = matches.filter((match) => residual(match, w) <= cutoff);
+  if (inliers.length >= MIN_BLOCKS) {
+    w = solveRotation(inliers);
+  }
+
+  // Median, so a few mismatched blocks do not read as camera movement
+  const translation = median(matches.map((match) => residual(match, w)));
+  return { rotation: w, translation, blocks: matches.length, clipped: false };
+}
+
+self.addEventListener("message", (e) => {
+  const message = e.data;
+  if (message.type === "start") {
+    projection = message.projection;
+    aperture = message.aperture;
+    previous = null;
+    return;
+  }
+
+  const { run, time, width, height, pixels } = message;
+  const luma = toLuma(pixels, width, height);
+  const last = previous;
+  previous = { time, width, height, luma };
+  // A new size or a jump backwards starts over; there is nothing to compare against
+  if (!last || last.width !== width || last.height !== height || time <= last.time) {
+    self.postMessage({ type: "skipped", run, time });
+    return;
+  }
+
+  const dt = time - last.time;
+  const { rotation, translation, blocks, clipped } = estimateMotion(last.luma, luma, width, height);
+  const angle = Math.hypot(rotation[0], rotation[1], rotation[2]);
+  const toDegreesPerSecond = 180 / Math.PI / dt;
+  self.postMessage({
+    type: "sample",
+    run,
+    time,
+    dt,
+    rotation: angle * toDegreesPerSecond,
+    axis: angle > 0 ? rotation.map((value) => value / angle) : [0, 1, 0],
+    translation: translation * toDegreesPerSecond,
+    blocks,
+    clipped,
+  });
+});
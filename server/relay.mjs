@@ -0,0 +1,257 @@
+import { createServer } from "node:http";
+import { createHash, randomUUID } from "node:crypto";
+
+/**
+ * Shared session relay
+ * Forwards JSON messages between the participants of each session (see
+ * assets/js/core/session.js for the protocol). It keeps no state beyond who
+ * is connected and has no dependencies, so it runs anywhere with Node:
+ *
+ *   node server/relay.mjs [port]   (default 9981, or the PORT environment variable)
+ *
+ * Only the host of a session may send state and clock messages; poses and
+ * hellos go from anyone to everyone else in the session. Sessions exist while
+ * someone is in them. Errors are only sent for rejected joins, followed by
+ * closing the connection.
+ */
+
+const DEFAULT_PORT = 9981;
+const WEBSOCKET_GUID = "258EAFA5-E914-47DA-95CA-C5AB0DC85B11";
+const MAX_MESSAGE_SIZE = 1 << 20; // bytes; state messages are small
+const MAX_NAME_LENGTH = 40;
+const HOST_ONLY_TYPES = ["state", "clock"];
+const FORWARDED_TYPES = ["state", "clock", "pose", "hello"];
+
+const OPCODE_CONTINUATION = 0x0;
+const OPCODE_TEXT = 0x1;
+const OPCODE_BINARY = 0x2;
+const OPCODE_CLOSE = 0x8;
+const OPCODE_PING = 0x9;
+const OPCODE_PONG = 0xa;
+
+const sessions = new Map(); // code -> Set of connections
+
+function encodeFrame(opcode, payload = Buffer.alloc(0)) {
+  const length = payload.length;
+  let header;
+  if (length < 126) {
+    header = Buffer.from([0, length]);
+  } else if (length < 65536) {
+    header = Buffer.alloc(4);
+    header.writeUInt16BE(length, 2);
+    header[1] = 126;
+  } else {
+    header = Buffer.alloc(10);
+    header.writeBigUInt64BE(BigInt(length), 2);
+    header[1] = 127;
+  }
+  header[0] = 0x80 | opcode;
+  return Buffer.concat([header, payload]);
+}
+
+/**
+ * One WebSocket connection; calls onText(connection, text) for each complete text message
+ */
+class Connection {
+  constructor(socket, onText, onClose) {
+    this.socket = socket;
+    this.onText = onText;
+    this.onClose = onClose;
+    this.buffer = Buffer.alloc(0);
+    this.fragments = [];
+    this.fragmentOpcode = null;
+    this.closed = false;
+    this.id = randomUUID().slice(0, 8);
+    this.session = null;
+    this.name = "";
+    this.host = false;
+
+    socket.on("data", (data) => this.receive(data));
+    socket.on("close", () => this.finish());
+    socket.on("error", () => this.finish());
+  }
+
+  send(message) {
+    if (this.closed) return;
+    this.socket.write(encodeFrame(OPCODE_TEXT, Buffer.from(JSON.stringify(message))));
+  }
+
+  close(code = 1000) {
+    if (this.closed) return;
+    const payload = Buffer.alloc(2);
+    payload.writeUInt16BE(code);
+    this.socket.end(encodeFrame(OPCODE_CLOSE, payload));
+    this.finish();
+  }
+
+  finish() {
+    if (this.closed) return;
+    this.closed = true;
+    this.socket.destroy();
+    this.onClose(this);
+  }
+
+  receive(data) {
+    this.buffer = Buffer.concat([this.buffer, data]);
+    // Parse every complete frame in the buffer
+    while (!this.closed) {
+      const frame = this.parseFrame();
+      if (!frame) return;
+      this.handleFrame(frame);
+    }
+  }
+
+  parseFrame() {
+    const buffer = this.buffer;
+    if (buffer.length < 2) return null;
+    const fin = (buffer[0] & 0x80) !== 0;
+    const opcode = buffer[0] & 0x0f;
+    const masked = (buffer[1] & 0x80) !== 0;
+    let length = buffer[1] & 0x7f;
+    let offset = 2;
+
+    if (length === 126) {
+      if (buffer.length < 4) return null;
+      length = buffer.readUInt16BE(2);
+      offset = 4;
+    } else if (length === 127) {
+      if (buffer.length < 10) return null;
+      const longLength = buffer.readBigUInt64BE(2);
+      length = longLength > BigInt(MAX_MESSAGE_SIZE) ? Infinity : Number(longLength);
+      offset = 10;
+    }
+    // Clients must mask their frames (RFC 6455 5.1)
+    if (!masked || length > MAX_MESSAGE_SIZE) {
+      this.close(masked ? 1009 : 1002);
+      return null;
+    }
+    if (buffer.length < offset + 4 + length) return null;
+
+    const mask = buffer.subarray(offset, offset + 4);
+    const payload = Buffer.from(buffer.subarray(offset + 4, offset + 4 + length));
+    for (let i = 0; i < payload.length; i++) {
+      payload[i] ^= mask[i % 4];
+    }
+    this.buffer = buffer.subarray(offset + 4 + length);
+    return { fin, opcode, payload };
+  }
+
+  handleFrame({ fin, opcode, payload }) {
+    if (opcode === OPCODE_CLOSE) {
+      this.close();
+    } else if (opcode === OPCODE_PING) {
+      this.socket.write(encodeFrame(OPCODE_PONG, payload));
+    } else if (opcode === OPCODE_PONG) {
+      // Unsolicited pongs are allowed and ignored
+    } else if (opcode === OPCODE_TEXT || opcode === OPCODE_BINARY || opcode === OPCODE_CONTINUATION) {
+      if (opcode !== OPCODE_CONTINUATION) {
+        this.fragmentOpcode = opcode;
+        this.fragments = [];
+      }
+      this.fragments.push(payload);
+      const size = this.fragments.reduce((total, fragment) => total + fragment.length, 0);
+      if (size > MAX_MESSAGE_SIZE) {
+        this.close(1009);
+        return;
+      }
+      if (!fin) return;
+      const message = Buffer.concat(this.fragments);
+      this.fragments = [];
+      // The protocol is JSON text only
+      if (this.fragmentOpcode === OPCODE_TEXT) this.onText(this, message.toString("utf8"));
+    } else {
+      this.close(1002);
+    }
+  }
+}
+
+function describe(connection) {
+  return { id: connection.id, name: connection.name, host: connection.host };
+}
+
+function broadcast(code, message, except) {
+  const members = sessions.get(code);
+  if (!members) return;
+  members.forEach((member) => {
+    if (member !== except) member.send(message);
+  });
+}
+
+function join(connection, { session, name, host }) {
+  const code = String(session || "").toUpperCase();
+  if (!/^[A-Z0-9]{4,12}$/.test(code)) {
+    connection.send({ type: "error", message: "Invalid session code" });
+    connection.close();
+    return;
+  }
+  const members = sessions.get(code) || new Set();
+  if (host && [...members].some((member) => member.host)) {
+    connection.send({ type: "error", message: `Session ${code} already has a host` });
+    connection.close();
+    return;
+  }
+
+  connection.session = code;
+  connection.name = String(name || "Guest").slice(0, MAX_NAME_LENGTH);
+  connection.host = Boolean(host);
+  connection.send({ type: "welcome", id: connection.id, session: code, peers: [...members].map(describe) });
+  members.add(connection);
+  sessions.set(code, members);
+  broadcast(code, { type: "peer-joined", peer: describe(connection) }, connection);
+  console.log(`${connection.name} joined ${code}${connection.host ? " as host" : ""} (${members.size} connected)`);
+}
+
+function leave(connection) {
+  const code = connection.session;
+  const members = sessions.get(code);
+  if (!members || !members.delete(connection)) return;
+  if (members.size === 0) sessions.delete(code);
+  broadcast(code, { type: "peer-left", id: connection.id });
+  console.log(`${connection.name} left ${code} (${members.size} connected)`);
+}
+
+function onText(connection, text) {
+  let message;
+  try {
+    message = JSON.parse(text);
+  } catch {
+    return;
+  }
+  if (!message || typeof message.type !== "string") return;
+
+  if (message.type === "ping") {
+    connection.send({ type: "pong", t0: message.t0, serverTime: Date.now() });
+  } else if (message.type === "join") {
+    if (!connection.session) join(connection, message);
+  } else if (connection.session && FORWARDED_TYPES.includes(message.type)) {
+    if (HOST_ONLY_TYPES.includes(message.type) && !connection.host) return;
+    broadcast(connection.session, { ...message, from: connection.id }, connection);
+  }
+}
+
+const server = createServer((request, response) => {
+  response.writeHead(426, { "Content-Type": "text/plain", Upgrade: "websocket" });
+  response.end("Shared session relay: connect with a WebSocket\n");
+});
+
+server.on("upgrade", (request, socket) => {
+  const key = request.headers["sec-websocket-key"];
+  if (!key || request.headers.upgrade?.toLowerCase() !== "websocket") {
+    socket.end("HTTP/1.1 400 Bad Request\r\n\r\n");
+    return;
+  }
+  const accept = createHash("sha1").update(key + WEBSOCKET_GUID).digest("base64");
+  socket.write(
+    "HTTP/1.1 101 Switching Protocols\r\n" +
+      "Upgrade: websocket\r\n" +
+      "Connection: Upgrade\r\n" +
+      `Sec-WebSocket-Accept: ${accept}\r\n\r\n`
+  );
+  socket.setNoDelay(true);
+  new Connection(socket, onText, leave);
+});
+
+const port = Number(process.argv[2] || process.env.PORT || DEFAULT_PORT);
+server.listen(port, () => {
+  console.log(`Shared session relay listening on ws://localhost:${port}`);
+});